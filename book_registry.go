@@ -0,0 +1,184 @@
+package main
+
+import (
+	"log"
+	"strings"
+	"sync"
+)
+
+// BookRegistry shares one Binance-synced L3OrderBook per symbol between all
+// /ws connections watching it. Books are reference counted: the first
+// subscriber starts the Binance sync and the last one to leave stops it.
+type BookRegistry struct {
+	mu    sync.Mutex
+	books map[string]*bookEntry
+}
+
+type bookEntry struct {
+	book   *L3OrderBook
+	cancel chan bool
+	refs   int
+}
+
+// NewBookRegistry creates an empty registry
+func NewBookRegistry() *BookRegistry {
+	return &BookRegistry{books: make(map[string]*bookEntry)}
+}
+
+// Acquire returns the book for a symbol, starting its Binance sync if nobody
+// was watching it yet. Every Acquire must be paired with a Release.
+func (r *BookRegistry) Acquire(symbol string) *L3OrderBook {
+	r.mu.Lock()
+	defer r.mu.Unlock()
+
+	entry, ok := r.books[symbol]
+	if !ok {
+		entry = &bookEntry{
+			book:   NewL3OrderBook(symbol),
+			cancel: make(chan bool),
+		}
+		r.books[symbol] = entry
+		go runBinanceSync(symbol, entry.book, entry.cancel)
+		if history != nil {
+			go history.Record(symbol, entry.book, entry.cancel)
+		}
+		log.Printf("Started book for %s", strings.ToUpper(symbol))
+	}
+	entry.refs++
+	return entry.book
+}
+
+// Release drops one reference to a symbol's book and stops its Binance sync
+// once nobody is watching it
+func (r *BookRegistry) Release(symbol string) {
+	r.mu.Lock()
+	defer r.mu.Unlock()
+
+	entry, ok := r.books[symbol]
+	if !ok {
+		return
+	}
+	entry.refs--
+	if entry.refs > 0 {
+		return
+	}
+
+	// Closing rather than sending reaches every select on the channel
+	close(entry.cancel)
+	delete(r.books, symbol)
+	log.Printf("Stopped book for %s", strings.ToUpper(symbol))
+}
+
+// Subscription is one /ws connection's view: the symbol it watches and its
+// own clustering settings, so viewers of the same book don't override each other
+type Subscription struct {
+	mu          sync.Mutex
+	registry    *BookRegistry
+	symbol      string
+	book        *L3OrderBook
+	kmeansMode  bool
+	numClusters int
+	flowSeq     int64       // Last trade flow event sent on this connection
+	healthSent  *BookHealth // Book health last sent on this connection
+}
+
+// NewSubscription starts watching a symbol
+func NewSubscription(registry *BookRegistry, symbol string) *Subscription {
+	book := registry.Acquire(symbol)
+	return &Subscription{
+		registry:    registry,
+		symbol:      symbol,
+		book:        book,
+		kmeansMode:  false, // Default to disabled
+		numClusters: 10,    // Default number of clusters
+		flowSeq:     book.flow.Seq(),
+	}
+}
+
+// SwitchSymbol moves the subscription to another symbol's book
+func (s *Subscription) SwitchSymbol(symbol string) {
+	s.mu.Lock()
+	defer s.mu.Unlock()
+
+	if s.symbol == symbol {
+		return // Already on this symbol
+	}
+
+	// Acquire first so a shared book is never torn down and restarted
+	book := s.registry.Acquire(symbol)
+	s.registry.Release(s.symbol)
+	s.symbol = symbol
+	s.book = book
+	s.flowSeq = book.flow.Seq() // Trades from before the switch aren't news
+	s.healthSent = nil
+}
+
+// Close releases the subscription's book
+func (s *Subscription) Close() {
+	s.mu.Lock()
+	defer s.mu.Unlock()
+	s.registry.Release(s.symbol)
+}
+
+// Book returns the book currently being watched
+func (s *Subscription) Book() *L3OrderBook {
+	s.mu.Lock()
+	defer s.mu.Unlock()
+	return s.book
+}
+
+// SetKmeansMode enables or disables K-means clustering
+func (s *Subscription) SetKmeansMode(enabled bool) {
+	s.mu.Lock()
+	defer s.mu.Unlock()
+	s.kmeansMode = enabled
+}
+
+// SetNumClusters sets the number of clusters for K-means
+func (s *Subscription) SetNumClusters(clusters int) {
+	s.mu.Lock()
+	defer s.mu.Unlock()
+	if clusters > 0 && clusters <= 20 { // Reasonable limits
+		s.numClusters = clusters
+	}
+}
+
+// GetClusteringInfo returns current clustering configuration
+func (s *Subscription) GetClusteringInfo() (bool, int) {
+	s.mu.Lock()
+	defer s.mu.Unlock()
+	return s.kmeansMode, s.numClusters
+}
+
+// Snapshot builds the L3 snapshot for this subscription's book and settings
+func (s *Subscription) Snapshot(topLevels int) L3Snapshot {
+	s.mu.Lock()
+	book, kmeansMode, numClusters := s.book, s.kmeansMode, s.numClusters
+	s.mu.Unlock()
+	return book.getL3Snapshot(topLevels, kmeansMode, numClusters)
+}
+
+// Health returns the watched book's health if it changed since the last
+// call, so each connection hears about every change once
+func (s *Subscription) Health() (string, BookHealth, bool) {
+	s.mu.Lock()
+	defer s.mu.Unlock()
+
+	health := s.book.Health()
+	if s.healthSent != nil && *s.healthSent == health {
+		return s.symbol, health, false
+	}
+	s.healthSent = &health
+	return s.symbol, health, true
+}
+
+// TradeFlow returns the trades and queue reductions on the watched book that
+// this connection hasn't been sent yet
+func (s *Subscription) TradeFlow() (string, []*Trade, []*QueueReduction) {
+	s.mu.Lock()
+	defer s.mu.Unlock()
+
+	trades, reductions, seq := s.book.flow.Since(s.flowSeq)
+	s.flowSeq = seq
+	return s.symbol, trades, reductions
+}
@@ -0,0 +1,226 @@
+package main
+
+import (
+	"bytes"
+	"encoding/json"
+	"strings"
+	"sync"
+	"time"
+)
+
+// Protocol 2 of /ws, negotiated per connection with a "configure" message.
+// Instead of a full l3_update every tick, the connection gets one
+// book_snapshot and then book_delta messages carrying only the levels whose
+// content changed since the last message, plus the prices that left the top
+// levels. Every snapshot and delta has a sequence number; a client that sees
+// a gap sends "resync" and gets a fresh snapshot. Protocol 1 (the default)
+// keeps sending full l3_update frames.
+const (
+	protocolFull  = 1
+	protocolDelta = 2
+
+	minStreamInterval = 50 * time.Millisecond
+	maxStreamInterval = 5 * time.Second
+)
+
+// optionalLevelFields are the L3Level fields a client can leave out
+var optionalLevelFields = []string{"orders", "clustered_orders", "colors", "queue_metrics", "order_details"}
+
+// BookStream is one connection's protocol settings and what it last sent.
+// The read loop configures it while the write loop encodes frames, so all
+// access goes through mu.
+type BookStream struct {
+	mu        sync.Mutex
+	protocol  int
+	fields    map[string]bool
+	interval  time.Duration
+	seq       int64
+	symbol    string
+	precision []byte
+	sent      map[string][]byte // "bid|price" -> encoding of the level last sent
+	resync    bool
+}
+
+// StreamConfig is the client's side of the negotiation, and the server's
+// reply with the values it settled on
+type StreamConfig struct {
+	Protocol int      `json:"protocol"`
+	Fields   []string `json:"fields"`
+	Interval int64    `json:"interval"` // ms between frames
+}
+
+// NewBookStream starts out on protocol 1 with every field at 20 frames a second
+func NewBookStream() *BookStream {
+	bs := &BookStream{protocol: protocolFull, interval: minStreamInterval, resync: true}
+	bs.fields = make(map[string]bool)
+	for _, field := range optionalLevelFields {
+		bs.fields[field] = true
+	}
+	return bs
+}
+
+// Configure applies a client's request and returns the settings in effect.
+// Leaving Fields out keeps all of them; unknown fields are ignored.
+func (bs *BookStream) Configure(config StreamConfig) StreamConfig {
+	bs.mu.Lock()
+	defer bs.mu.Unlock()
+
+	if config.Protocol == protocolFull || config.Protocol == protocolDelta {
+		bs.protocol = config.Protocol
+	}
+	if config.Fields != nil {
+		bs.fields = make(map[string]bool)
+		for _, field := range config.Fields {
+			bs.fields[field] = true
+		}
+	}
+	if config.Interval > 0 {
+		interval := time.Duration(config.Interval) * time.Millisecond
+		bs.interval = min(max(interval, minStreamInterval), maxStreamInterval)
+	}
+	bs.resync = true
+
+	fields := make([]string, 0, len(optionalLevelFields))
+	for _, field := range optionalLevelFields {
+		if bs.fields[field] {
+			fields = append(fields, field)
+		}
+	}
+	return StreamConfig{Protocol: bs.protocol, Fields: fields, Interval: bs.interval.Milliseconds()}
+}
+
+// Interval returns the time between frames the client asked for
+func (bs *BookStream) Interval() time.Duration {
+	bs.mu.Lock()
+	defer bs.mu.Unlock()
+	return bs.interval
+}
+
+// Resync makes the next frame a full snapshot
+func (bs *BookStream) Resync() {
+	bs.mu.Lock()
+	defer bs.mu.Unlock()
+	bs.resync = true
+}
+
+// Next encodes a snapshot as the message to send for this tick: an
+// l3_update on protocol 1, otherwise a book_snapshot or book_delta
+func (bs *BookStream) Next(snapshot L3Snapshot) map[string]any {
+	bs.mu.Lock()
+	defer bs.mu.Unlock()
+
+	snapshot.Bids = bs.filterLevels(snapshot.Bids)
+	snapshot.Asks = bs.filterLevels(snapshot.Asks)
+
+	if bs.protocol == protocolFull {
+		return map[string]any{"type": "l3_update", "data": snapshot}
+	}
+
+	// Ages grow on every tick, which would make every level look changed;
+	// the client works them out from the creation times and the frame time
+	for _, levels := range [][]L3Level{snapshot.Bids, snapshot.Asks} {
+		for i := range levels {
+			stripAges(&levels[i])
+		}
+	}
+
+	precision, _ := json.Marshal(snapshot.Precision)
+	bs.seq++
+
+	// A new symbol starts a new book
+	if bs.resync || snapshot.Symbol != bs.symbol {
+		bs.resync = false
+		bs.symbol = snapshot.Symbol
+		bs.precision = precision
+		bs.sent = make(map[string][]byte)
+		bs.diffLevels("bid", snapshot.Bids)
+		bs.diffLevels("ask", snapshot.Asks)
+		return map[string]any{"type": "book_snapshot", "seq": bs.seq, "data": snapshot}
+	}
+
+	bids, removedBids := bs.diffLevels("bid", snapshot.Bids)
+	asks, removedAsks := bs.diffLevels("ask", snapshot.Asks)
+	delta := map[string]any{
+		"type":         "book_delta",
+		"seq":          bs.seq,
+		"timestamp":    snapshot.Timestamp,
+		"symbol":       snapshot.Symbol,
+		"kmeans_mode":  snapshot.KmeansMode,
+		"num_clusters": snapshot.NumClusters,
+		"bids":         bids,
+		"asks":         asks,
+		"removed_bids": removedBids,
+		"removed_asks": removedAsks,
+	}
+	if !bytes.Equal(precision, bs.precision) {
+		bs.precision = precision
+		delta["precision"] = snapshot.Precision
+	}
+	return delta
+}
+
+// filterLevels drops the fields the client didn't ask for. Levels are
+// copied, the snapshot's own slices are left alone.
+func (bs *BookStream) filterLevels(levels []L3Level) []L3Level {
+	filtered := make([]L3Level, len(levels))
+	for i, level := range levels {
+		if !bs.fields["orders"] {
+			level.Orders = nil
+		}
+		if !bs.fields["clustered_orders"] {
+			level.ClusteredOrders = nil
+		}
+		if !bs.fields["colors"] {
+			level.Colors = nil
+		}
+		if !bs.fields["queue_metrics"] {
+			level.QueueMetrics = nil
+		}
+		if !bs.fields["order_details"] {
+			level.OrderDetails = nil
+		}
+		filtered[i] = level
+	}
+	return filtered
+}
+
+// stripAges zeroes the age fields, leaving the timestamps they come from.
+// Each connection builds its own snapshot, so it is changed in place.
+func stripAges(level *L3Level) {
+	if level.QueueMetrics != nil {
+		level.QueueMetrics.AvgAge = 0
+		level.QueueMetrics.OldestAge = 0
+	}
+	for _, order := range level.OrderDetails {
+		order.Age = 0
+	}
+}
+
+// diffLevels records one side's levels as sent and returns the ones that
+// changed since last time, and the prices no longer among them
+func (bs *BookStream) diffLevels(side string, levels []L3Level) ([]L3Level, []string) {
+	changed := make([]L3Level, 0)
+	seen := make(map[string]bool, len(levels))
+	for _, level := range levels {
+		key := side + "|" + level.Price.String()
+		seen[key] = true
+
+		encoded, err := json.Marshal(level)
+		if err != nil {
+			continue
+		}
+		if !bytes.Equal(encoded, bs.sent[key]) {
+			bs.sent[key] = encoded
+			changed = append(changed, level)
+		}
+	}
+
+	removed := make([]string, 0)
+	for key := range bs.sent {
+		if strings.HasPrefix(key, side+"|") && !seen[key] {
+			delete(bs.sent, key)
+			removed = append(removed, strings.TrimPrefix(key, side+"|"))
+		}
+	}
+	return changed, removed
+}
@@ -74,8 +74,10 @@ func GetOrderAgeColor(index int, isBid bool) Color {
 	return palette[len(palette)-1]
 }
 
-// GetClusterColor returns a color for a specific cluster
-func GetClusterColor(cluster int, isBid bool) Color {
+// GetClusterColor returns a color for a specific cluster out of numClusters.
+// With more clusters than palette colors, the colors are spread evenly along
+// the palette's gradient instead so no two clusters share one.
+func GetClusterColor(cluster, numClusters int, isBid bool) Color {
 	var palette []Color
 	if isBid {
 		palette = BidColors
@@ -83,9 +85,15 @@ func GetClusterColor(cluster int, isBid bool) Color {
 		palette = AskColors
 	}
 
-	// Cycle through the palette for cluster colors
-	colorIndex := cluster % len(palette)
-	return palette[colorIndex]
+	if numClusters <= len(palette) {
+		return palette[cluster%len(palette)]
+	}
+	position := float64(cluster) / float64(numClusters-1) * float64(len(palette)-1)
+	index := int(position)
+	if index >= len(palette)-1 {
+		return palette[len(palette)-1]
+	}
+	return InterpolateColor(palette[index], palette[index+1], position-float64(index))
 }
 
 // GetSpecialOrderColor returns special colors for highlighted orders
@@ -103,9 +111,9 @@ func GetSpecialOrderColor(orderQty, maxOrder, secondMaxOrder decimal.Decimal) *C
 func InterpolateColor(color1, color2 Color, factor float64) Color {
 	factor = math.Max(0, math.Min(1, factor)) // Clamp to [0,1]
 	
-	r := uint8(float64(color1.R) + factor*float64(int(color2.R)-int(color1.R)))
-	g := uint8(float64(color1.G) + factor*float64(int(color2.G)-int(color1.G)))
-	b := uint8(float64(color1.B) + factor*float64(int(color2.B)-int(color1.B)))
+	r := uint8(math.Round(float64(color1.R) + factor*float64(int(color2.R)-int(color1.R))))
+	g := uint8(math.Round(float64(color1.G) + factor*float64(int(color2.G)-int(color1.G))))
+	b := uint8(math.Round(float64(color1.B) + factor*float64(int(color2.B)-int(color1.B))))
 	
 	return Color{R: r, G: g, B: b}
 }
@@ -139,7 +147,7 @@ func GenerateOrderColors(orders []decimal.Decimal, isBid bool, maxOrder, secondM
 }
 
 // GenerateClusteredOrderColors generates colors for clustered orders
-func GenerateClusteredOrderColors(clusteredOrders []*ClusteredOrder, isBid bool, maxOrder, secondMaxOrder decimal.Decimal) []string {
+func GenerateClusteredOrderColors(clusteredOrders []*ClusteredOrder, numClusters int, isBid bool, maxOrder, secondMaxOrder decimal.Decimal) []string {
 	colors := make([]string, len(clusteredOrders))
 	
 	for i, order := range clusteredOrders {
@@ -150,7 +158,7 @@ func GenerateClusteredOrderColors(clusteredOrders []*ClusteredOrder, isBid bool,
 		}
 		
 		// Use cluster-based coloring
-		color := GetClusterColor(order.Cluster, isBid)
+		color := GetClusterColor(order.Cluster, numClusters, isBid)
 		colors[i] = color.ToHex()
 	}
 	
@@ -0,0 +1,140 @@
+package main
+
+import (
+	"errors"
+	"fmt"
+	"time"
+)
+
+// BookHealth says whether a book is in step with Binance's depth stream
+type BookHealth struct {
+	State   string `json:"state"`              // "syncing", "synced", "resyncing" or "disconnected"
+	Since   int64  `json:"since"`              // Unix ms the state was entered
+	Gaps    int    `json:"gaps"`               // Sequence gaps since the book started
+	LastGap int64  `json:"last_gap,omitempty"` // Unix ms of the latest gap
+}
+
+// Health returns the book's sync state
+func (ob *L3OrderBook) Health() BookHealth {
+	ob.mu.RLock()
+	defer ob.mu.RUnlock()
+	return ob.health
+}
+
+func (ob *L3OrderBook) setHealthState(state string) {
+	ob.mu.Lock()
+	defer ob.mu.Unlock()
+	if ob.health.State != state {
+		ob.health.State = state
+		ob.health.Since = time.Now().UnixMilli()
+	}
+}
+
+func (ob *L3OrderBook) recordGap() {
+	ob.mu.Lock()
+	defer ob.mu.Unlock()
+	now := time.Now().UnixMilli()
+	ob.health.Gaps++
+	ob.health.LastGap = now
+	ob.health.State = "resyncing"
+	ob.health.Since = now
+}
+
+// errSnapshotTooOld means updates are missing between the snapshot and the
+// stream; a newer snapshot fixes it and nothing was lost from the book
+var errSnapshotTooOld = errors.New("snapshot is older than the first update")
+
+// Updates kept while a snapshot is fetched. Older ones are dropped, since
+// the snapshot will be newer than them anyway.
+const maxBufferedUpdates = 1000
+
+// depthSync keeps a book in step with the diff depth stream the way Binance
+// prescribes: updates are buffered until the REST snapshot arrives, the ones
+// it already contains are dropped, the first one applied must straddle its
+// lastUpdateId, and from then on each update's pu must be the u of the one
+// before. When that breaks, updates are buffered again for a new snapshot.
+type depthSync struct {
+	book       *L3OrderBook
+	buffer     []*binanceWSUpdate
+	snapshotID int64 // lastUpdateId of the snapshot in use, 0 while waiting for one
+	lastID     int64 // u of the last applied update, 0 until the first after the snapshot
+}
+
+func newDepthSync(book *L3OrderBook) *depthSync {
+	book.setHealthState("syncing")
+	return &depthSync{book: book}
+}
+
+// Waiting reports whether updates are being buffered for a snapshot
+func (ds *depthSync) Waiting() bool {
+	return ds.snapshotID == 0
+}
+
+// Push takes the next update off the stream: buffered while waiting for a
+// snapshot, applied otherwise. An update that doesn't follow on from the last
+// one returns an error and the book needs a new snapshot.
+func (ds *depthSync) Push(update *binanceWSUpdate) error {
+	if ds.Waiting() {
+		ds.buffer = append(ds.buffer, update)
+		if len(ds.buffer) > maxBufferedUpdates {
+			ds.buffer = ds.buffer[1:]
+		}
+		return nil
+	}
+
+	if err := ds.apply(update); err != nil {
+		ds.restart([]*binanceWSUpdate{update}, err)
+		return err
+	}
+	return nil
+}
+
+// Snapshot loads a REST snapshot and replays the buffered updates on it. An
+// error means the book still needs a new snapshot.
+func (ds *depthSync) Snapshot(resp *binanceRESTResp) error {
+	ds.book.loadSnapshot(resp)
+	ds.snapshotID = resp.LastUpdateID
+	ds.lastID = 0
+
+	buffered := ds.buffer
+	ds.buffer = nil
+	for i, update := range buffered {
+		if err := ds.apply(update); err != nil {
+			ds.restart(buffered[i:], err)
+			return err
+		}
+	}
+	ds.book.setHealthState("synced")
+	return nil
+}
+
+// restart goes back to buffering, starting from the update that broke the
+// sequence so a newer snapshot can pick up from there
+func (ds *depthSync) restart(updates []*binanceWSUpdate, err error) {
+	ds.snapshotID = 0
+	ds.lastID = 0
+	ds.buffer = append([]*binanceWSUpdate(nil), updates...)
+	if errors.Is(err, errSnapshotTooOld) {
+		ds.book.setHealthState("syncing")
+	} else {
+		ds.book.recordGap()
+	}
+}
+
+func (ds *depthSync) apply(update *binanceWSUpdate) error {
+	if update.FinalUpdateID < ds.snapshotID {
+		return nil // Already in the snapshot
+	}
+
+	if ds.lastID == 0 {
+		if update.FirstUpdateID > ds.snapshotID {
+			return fmt.Errorf("%w (U %d, lastUpdateId %d)", errSnapshotTooOld, update.FirstUpdateID, ds.snapshotID)
+		}
+	} else if update.PrevFinalUpdateID != ds.lastID {
+		return fmt.Errorf("sequence gap: pu %d, expected %d", update.PrevFinalUpdateID, ds.lastID)
+	}
+
+	ds.book.applyDelta(update)
+	ds.lastID = update.FinalUpdateID
+	return nil
+}
@@ -0,0 +1,326 @@
+package main
+
+import (
+	"encoding/json"
+	"errors"
+	"fmt"
+	"net/http"
+	"net/http/httptest"
+	"strings"
+	"sync"
+	"testing"
+	"time"
+
+	"github.com/gorilla/websocket"
+)
+
+// fakeExchange stands in for Binance's REST and WebSocket hosts. Depth
+// snapshots are served in turn, the last one repeatedly, and the stream sends
+// its messages as soon as it is connected, then stays open.
+type fakeExchange struct {
+	snapshots []binanceRESTResp
+	messages  []string
+
+	mu     sync.Mutex
+	served int
+	closed chan bool
+}
+
+func (fe *fakeExchange) ServeHTTP(w http.ResponseWriter, r *http.Request) {
+	switch r.URL.Path {
+	case "/fapi/v1/exchangeInfo":
+		json.NewEncoder(w).Encode(ExchangeInfo{Symbols: []SymbolInfo{{
+			Symbol:     "ETHUSDT",
+			Status:     "TRADING",
+			QuoteAsset: "USDT",
+			Filters:    []Filter{{FilterType: "PRICE_FILTER", TickSize: "0.01"}, {FilterType: "LOT_SIZE", StepSize: "0.001"}},
+		}}})
+	case "/fapi/v1/depth":
+		fe.mu.Lock()
+		if len(fe.snapshots) == 0 {
+			fe.mu.Unlock()
+			http.Error(w, "no snapshot", http.StatusServiceUnavailable)
+			return
+		}
+		snapshot := fe.snapshots[min(fe.served, len(fe.snapshots)-1)]
+		fe.served++
+		fe.mu.Unlock()
+		json.NewEncoder(w).Encode(snapshot)
+	case "/stream":
+		upgrader := websocket.Upgrader{CheckOrigin: func(r *http.Request) bool { return true }}
+		conn, err := upgrader.Upgrade(w, r, nil)
+		if err != nil {
+			return
+		}
+		defer conn.Close()
+		for _, message := range fe.messages {
+			if err := conn.WriteMessage(websocket.TextMessage, []byte(message)); err != nil {
+				return
+			}
+		}
+		<-fe.closed
+	default:
+		http.NotFound(w, r)
+	}
+}
+
+// startFakeExchange points the Binance endpoints at a fake exchange, as
+// BINANCE_WS_URL and BINANCE_REST_URL do, until the test ends
+func startFakeExchange(t *testing.T, fe *fakeExchange) {
+	t.Helper()
+	fe.closed = make(chan bool)
+	server := httptest.NewServer(fe)
+
+	wsURL, restURL := binanceWSURL, binanceRESTURL
+	binanceWSURL = "ws" + strings.TrimPrefix(server.URL, "http")
+	binanceRESTURL = server.URL
+	t.Cleanup(func() {
+		close(fe.closed)
+		server.Close()
+		binanceWSURL, binanceRESTURL = wsURL, restURL
+	})
+}
+
+func newTestBook(t *testing.T) *L3OrderBook {
+	t.Helper()
+	startFakeExchange(t, &fakeExchange{})
+	return NewL3OrderBook("ethusdt")
+}
+
+func testSnapshot(lastUpdateID int64, bids, asks [][]string) *binanceRESTResp {
+	return &binanceRESTResp{LastUpdateID: lastUpdateID, Bids: bids, Asks: asks}
+}
+
+func testUpdate(first, final, prev int64, bids, asks [][]string) *binanceWSUpdate {
+	return &binanceWSUpdate{FirstUpdateID: first, FinalUpdateID: final, PrevFinalUpdateID: prev, B: bids, A: asks}
+}
+
+// levelQty returns a level's total quantity, or "" when it isn't in the book
+func levelQty(book *L3OrderBook, isBid bool, price string) string {
+	book.mu.RLock()
+	defer book.mu.RUnlock()
+	levels := book.asks
+	if isBid {
+		levels = book.bids
+	}
+	queue, ok := levels[price]
+	if !ok {
+		return ""
+	}
+	queue.mu.RLock()
+	defer queue.mu.RUnlock()
+	return queue.sum().String()
+}
+
+func TestDepthSyncDropsUpdatesInSnapshot(t *testing.T) {
+	book := newTestBook(t)
+	ds := newDepthSync(book)
+
+	// Both end before the snapshot's lastUpdateId, so it already has them
+	ds.Push(testUpdate(80, 90, 75, [][]string{{"100.00", "7"}}, nil))
+	ds.Push(testUpdate(91, 99, 90, nil, [][]string{{"101.00", "0"}}))
+	if !ds.Waiting() {
+		t.Fatal("expected updates to be buffered until the snapshot")
+	}
+
+	if err := ds.Snapshot(testSnapshot(100, [][]string{{"100.00", "1"}}, [][]string{{"101.00", "2"}})); err != nil {
+		t.Fatalf("snapshot: %v", err)
+	}
+	if qty := levelQty(book, true, "100.00"); qty != "1" {
+		t.Errorf("bid 100.00 = %q, want the snapshot's 1", qty)
+	}
+	if qty := levelQty(book, false, "101.00"); qty != "2" {
+		t.Errorf("ask 101.00 = %q, want the snapshot's 2", qty)
+	}
+	if ds.lastID != 0 {
+		t.Errorf("lastID = %d, want 0 with nothing applied", ds.lastID)
+	}
+
+	// A late stale update is dropped too, and the first update after the
+	// snapshot still has to straddle it
+	if err := ds.Push(testUpdate(95, 99, 94, [][]string{{"100.00", "9"}}, nil)); err != nil {
+		t.Fatalf("stale update: %v", err)
+	}
+	if qty := levelQty(book, true, "100.00"); qty != "1" {
+		t.Errorf("bid 100.00 = %q after a stale update, want 1", qty)
+	}
+	if health := book.Health(); health.State != "synced" || health.Gaps != 0 {
+		t.Errorf("health = %+v, want synced with no gaps", health)
+	}
+}
+
+func TestDepthSyncFirstUpdateStraddlesSnapshot(t *testing.T) {
+	book := newTestBook(t)
+	ds := newDepthSync(book)
+
+	// U <= lastUpdateId <= u: the first update applied, then each pu follows on
+	ds.Push(testUpdate(95, 105, 94, [][]string{{"100.00", "3"}}, nil))
+	ds.Push(testUpdate(106, 110, 105, [][]string{{"99.00", "4"}}, nil))
+	if err := ds.Snapshot(testSnapshot(100, [][]string{{"100.00", "1"}}, nil)); err != nil {
+		t.Fatalf("snapshot: %v", err)
+	}
+	if err := ds.Push(testUpdate(111, 115, 110, nil, [][]string{{"101.00", "5"}})); err != nil {
+		t.Fatalf("update after snapshot: %v", err)
+	}
+
+	for _, level := range []struct {
+		isBid      bool
+		price, qty string
+	}{{true, "100.00", "3"}, {true, "99.00", "4"}, {false, "101.00", "5"}} {
+		if qty := levelQty(book, level.isBid, level.price); qty != level.qty {
+			t.Errorf("level %s = %q, want %s", level.price, qty, level.qty)
+		}
+	}
+	if ds.lastID != 115 {
+		t.Errorf("lastID = %d, want 115", ds.lastID)
+	}
+
+	// u == lastUpdateId straddles it as well
+	ds = newDepthSync(book)
+	ds.Push(testUpdate(118, 120, 115, [][]string{{"100.00", "6"}}, nil))
+	if err := ds.Snapshot(testSnapshot(120, [][]string{{"100.00", "2"}}, nil)); err != nil {
+		t.Fatalf("snapshot at u: %v", err)
+	}
+	if qty := levelQty(book, true, "100.00"); qty != "6" {
+		t.Errorf("bid 100.00 = %q, want 6 from the update ending at lastUpdateId", qty)
+	}
+}
+
+func TestDepthSyncSnapshotOlderThanUpdates(t *testing.T) {
+	book := newTestBook(t)
+	ds := newDepthSync(book)
+
+	ds.Push(testUpdate(101, 110, 100, [][]string{{"100.00", "3"}}, nil))
+	ds.Push(testUpdate(111, 120, 110, [][]string{{"100.00", "4"}}, nil))
+
+	// Updates 91-100 are missing between the snapshot and the stream
+	err := ds.Snapshot(testSnapshot(90, [][]string{{"100.00", "1"}}, nil))
+	if !errors.Is(err, errSnapshotTooOld) {
+		t.Fatalf("err = %v, want errSnapshotTooOld", err)
+	}
+	if !ds.Waiting() || len(ds.buffer) != 2 {
+		t.Fatalf("waiting = %v with %d buffered, want both updates kept for the next snapshot", ds.Waiting(), len(ds.buffer))
+	}
+	// Nothing was lost from the book, so it isn't a gap
+	if health := book.Health(); health.State != "syncing" || health.Gaps != 0 {
+		t.Errorf("health = %+v, want syncing with no gaps", health)
+	}
+
+	if err := ds.Snapshot(testSnapshot(105, [][]string{{"100.00", "2"}}, nil)); err != nil {
+		t.Fatalf("newer snapshot: %v", err)
+	}
+	if qty := levelQty(book, true, "100.00"); qty != "4" {
+		t.Errorf("bid 100.00 = %q, want 4", qty)
+	}
+	if health := book.Health(); health.State != "synced" {
+		t.Errorf("state = %q, want synced", health.State)
+	}
+}
+
+func TestDepthSyncGapResnapshots(t *testing.T) {
+	book := newTestBook(t)
+	ds := newDepthSync(book)
+	if err := ds.Snapshot(testSnapshot(100, [][]string{{"100.00", "1"}}, nil)); err != nil {
+		t.Fatalf("snapshot: %v", err)
+	}
+	if err := ds.Push(testUpdate(95, 105, 94, [][]string{{"100.00", "2"}}, nil)); err != nil {
+		t.Fatalf("first update: %v", err)
+	}
+
+	// 106-110 was dropped on the way, so pu doesn't match the last u
+	dropped := testUpdate(111, 115, 110, [][]string{{"100.00", "5"}}, nil)
+	err := ds.Push(dropped)
+	if err == nil || errors.Is(err, errSnapshotTooOld) {
+		t.Fatalf("err = %v, want a sequence gap", err)
+	}
+	if qty := levelQty(book, true, "100.00"); qty != "2" {
+		t.Errorf("bid 100.00 = %q, want 2 with the update after the gap held back", qty)
+	}
+	if !ds.Waiting() || len(ds.buffer) != 1 || ds.buffer[0] != dropped {
+		t.Fatalf("expected the update after the gap to be buffered for a new snapshot")
+	}
+	health := book.Health()
+	if health.State != "resyncing" || health.Gaps != 1 || health.LastGap == 0 {
+		t.Errorf("health = %+v, want resyncing with one gap", health)
+	}
+
+	// Updates keep being buffered until the new snapshot picks up from the gap
+	ds.Push(testUpdate(116, 120, 115, [][]string{{"99.00", "3"}}, nil))
+	if err := ds.Snapshot(testSnapshot(112, [][]string{{"100.00", "4"}}, nil)); err != nil {
+		t.Fatalf("new snapshot: %v", err)
+	}
+	if qty := levelQty(book, true, "100.00"); qty != "5" {
+		t.Errorf("bid 100.00 = %q, want 5", qty)
+	}
+	if qty := levelQty(book, true, "99.00"); qty != "3" {
+		t.Errorf("bid 99.00 = %q, want 3", qty)
+	}
+	if health := book.Health(); health.State != "synced" || health.Gaps != 1 {
+		t.Errorf("health = %+v, want synced with one gap", health)
+	}
+}
+
+func TestConnectAndSyncResnapshotsOnGap(t *testing.T) {
+	depth := func(first, final, prev int64, bids, asks string) string {
+		return fmt.Sprintf(`{"stream":"ethusdt@depth@100ms","data":{"e":"depthUpdate","U":%d,"u":%d,"pu":%d,"b":%s,"a":%s}}`,
+			first, final, prev, bids, asks)
+	}
+	fe := &fakeExchange{
+		snapshots: []binanceRESTResp{
+			*testSnapshot(100, [][]string{{"100.00", "1"}}, [][]string{{"101.00", "1"}}),
+			*testSnapshot(122, [][]string{{"100.00", "3"}, {"99.00", "1"}}, [][]string{{"101.00", "1"}}),
+		},
+		messages: []string{
+			depth(95, 105, 90, `[["100.00","2"]]`, `[]`),
+			`{"stream":"ethusdt@aggTrade","data":{"a":1,"p":"101.00","q":"0.5","T":1,"m":false}}`,
+			depth(106, 110, 105, `[["100.00","3"]]`, `[]`),
+			// 111-120 never arrives
+			depth(121, 125, 120, `[["99.00","4"]]`, `[]`),
+			depth(126, 130, 125, `[]`, `[["101.00","5"]]`),
+		},
+	}
+	startFakeExchange(t, fe)
+	book := NewL3OrderBook("ethusdt")
+
+	cancel := make(chan bool)
+	result := make(chan error, 1)
+	go func() { result <- connectAndSync("ethusdt", book, cancel) }()
+
+	deadline := time.Now().Add(10 * time.Second)
+	for {
+		health := book.Health()
+		if health.State == "synced" && health.Gaps == 1 && levelQty(book, false, "101.00") == "5" {
+			break
+		}
+		if time.Now().After(deadline) {
+			close(cancel)
+			t.Fatalf("book didn't resync after the gap: health %+v", health)
+		}
+		time.Sleep(20 * time.Millisecond)
+	}
+
+	for _, level := range []struct {
+		isBid      bool
+		price, qty string
+	}{{true, "100.00", "3"}, {true, "99.00", "4"}, {false, "101.00", "5"}} {
+		if qty := levelQty(book, level.isBid, level.price); qty != level.qty {
+			t.Errorf("level %s = %q, want %s", level.price, qty, level.qty)
+		}
+	}
+	fe.mu.Lock()
+	served := fe.served
+	fe.mu.Unlock()
+	if served != 2 {
+		t.Errorf("served %d snapshots, want 2", served)
+	}
+
+	close(cancel)
+	select {
+	case err := <-result:
+		if err == nil || err.Error() != "cancelled" {
+			t.Errorf("connectAndSync returned %v, want cancelled", err)
+		}
+	case <-time.After(5 * time.Second):
+		t.Fatal("connectAndSync didn't stop when cancelled")
+	}
+}
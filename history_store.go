@@ -0,0 +1,401 @@
+package main
+
+import (
+	"bufio"
+	"bytes"
+	"encoding/json"
+	"fmt"
+	"io"
+	"log"
+	"os"
+	"path/filepath"
+	"strconv"
+	"strings"
+	"sync"
+	"time"
+)
+
+// HistoryStore persists sampled L3 snapshots and the raw Binance depth
+// updates of every synced book to local disk, so past ranges can be served
+// over HTTP. Each symbol gets one append-only segment file per kind and UTC
+// day, <dir>/<SYMBOL>/<YYYY-MM-DD>.<kind>.ndjson, with one record per line:
+//
+//	{"time":1718000000000,"data":{...}}
+//
+// Records are appended in time order, so reads binary search a segment for
+// their start instead of scanning it, and the time comes first so lines can
+// be skipped without decoding them. Days older than the retention are deleted.
+type HistoryStore struct {
+	dir       string
+	interval  time.Duration // Between sampled snapshots
+	levels    int           // Levels per side in sampled snapshots
+	retention int           // Days of segments kept
+
+	mu       sync.Mutex
+	segments map[string]*historySegment // "SYMBOL|kind" -> today's open file
+}
+
+type historySegment struct {
+	day  string
+	file *os.File
+}
+
+// HistoryRecord is one line of a segment file
+type HistoryRecord struct {
+	Time int64           `json:"time"` // Unix ms the record was taken
+	Data json.RawMessage `json:"data"`
+}
+
+const (
+	historySnapshots = "snapshots"
+	historyDepth     = "depth"
+
+	maxHistoryLine = 16 << 20 // Largest record a range read accepts
+	seekSlack      = 1 << 20  // Bytes left for the scan once a seek is this close
+)
+
+// Persistence for every synced book, nil unless it is turned on
+var history *HistoryStore
+
+// NewHistoryStoreFromEnv configures persistence from the environment. It is
+// off unless L3_HISTORY_DIR names a directory, since a day of snapshots and
+// depth updates takes gigabytes per symbol. L3_HISTORY_INTERVAL sets the time
+// between snapshots (default 1s), L3_HISTORY_LEVELS the levels per side
+// (default 50) and L3_HISTORY_RETENTION the days kept (default 7).
+func NewHistoryStoreFromEnv() (*HistoryStore, error) {
+	dir := os.Getenv("L3_HISTORY_DIR")
+	if dir == "" {
+		return nil, nil
+	}
+
+	interval := time.Second
+	if value := os.Getenv("L3_HISTORY_INTERVAL"); value != "" {
+		parsed, err := time.ParseDuration(value)
+		if err != nil || parsed < 100*time.Millisecond {
+			return nil, fmt.Errorf("invalid L3_HISTORY_INTERVAL %q (at least 100ms)", value)
+		}
+		interval = parsed
+	}
+
+	levels, err := envInt("L3_HISTORY_LEVELS", 50)
+	if err != nil {
+		return nil, err
+	}
+	retention, err := envInt("L3_HISTORY_RETENTION", 7)
+	if err != nil {
+		return nil, err
+	}
+
+	return NewHistoryStore(dir, interval, levels, retention)
+}
+
+func envInt(name string, fallback int) (int, error) {
+	value := os.Getenv(name)
+	if value == "" {
+		return fallback, nil
+	}
+	parsed, err := strconv.Atoi(value)
+	if err != nil || parsed <= 0 {
+		return 0, fmt.Errorf("invalid %s %q (expected a positive integer)", name, value)
+	}
+	return parsed, nil
+}
+
+// NewHistoryStore creates the store's directory and starts pruning old days
+func NewHistoryStore(dir string, interval time.Duration, levels, retention int) (*HistoryStore, error) {
+	if err := os.MkdirAll(dir, 0o755); err != nil {
+		return nil, fmt.Errorf("cannot create history dir: %w", err)
+	}
+
+	hs := &HistoryStore{
+		dir:       dir,
+		interval:  interval,
+		levels:    levels,
+		retention: retention,
+		segments:  make(map[string]*historySegment),
+	}
+	go func() {
+		for {
+			hs.Prune(time.Now())
+			time.Sleep(time.Hour)
+		}
+	}()
+	return hs, nil
+}
+
+func historyDay(t int64) string {
+	return time.UnixMilli(t).UTC().Format("2006-01-02")
+}
+
+func (hs *HistoryStore) path(symbol, kind, day string) string {
+	return filepath.Join(hs.dir, strings.ToUpper(symbol), day+"."+kind+".ndjson")
+}
+
+// append writes one record to the symbol's segment for the record's day,
+// moving on to a new file when the day changes
+func (hs *HistoryStore) append(symbol, kind string, t int64, data []byte) error {
+	line, err := json.Marshal(HistoryRecord{Time: t, Data: data})
+	if err != nil {
+		return err
+	}
+	line = append(line, '\n')
+
+	hs.mu.Lock()
+	defer hs.mu.Unlock()
+
+	key := strings.ToUpper(symbol) + "|" + kind
+	day := historyDay(t)
+	segment := hs.segments[key]
+	if segment == nil || segment.day != day {
+		if segment != nil {
+			segment.file.Close()
+			delete(hs.segments, key)
+		}
+
+		path := hs.path(symbol, kind, day)
+		if err := os.MkdirAll(filepath.Dir(path), 0o755); err != nil {
+			return err
+		}
+		file, err := os.OpenFile(path, os.O_CREATE|os.O_APPEND|os.O_WRONLY, 0o644)
+		if err != nil {
+			return err
+		}
+		segment = &historySegment{day: day, file: file}
+		hs.segments[key] = segment
+	}
+
+	// One write per line keeps concurrent readers from seeing half a record
+	// in all but the last line, which they skip
+	_, err = segment.file.Write(line)
+	return err
+}
+
+// AppendSnapshot persists a snapshot. Ages are left out since they are
+// worked out again from the timestamps when the snapshot is read back.
+func (hs *HistoryStore) AppendSnapshot(snapshot L3Snapshot) error {
+	if len(snapshot.Bids) == 0 && len(snapshot.Asks) == 0 {
+		return nil // Not synced yet
+	}
+	for _, levels := range [][]L3Level{snapshot.Bids, snapshot.Asks} {
+		for i := range levels {
+			stripAges(&levels[i])
+		}
+	}
+
+	data, err := json.Marshal(snapshot)
+	if err != nil {
+		return err
+	}
+	return hs.append(snapshot.Symbol, historySnapshots, snapshot.Timestamp, data)
+}
+
+// AppendDepth persists one raw Binance depth update as received
+func (hs *HistoryStore) AppendDepth(symbol string, t int64, raw json.RawMessage) error {
+	return hs.append(symbol, historyDepth, t, raw)
+}
+
+// Record samples the book's snapshot every interval until cancel is closed.
+// It runs alongside the book's Binance sync.
+func (hs *HistoryStore) Record(symbol string, book *L3OrderBook, cancel chan bool) {
+	ticker := time.NewTicker(hs.interval)
+	defer ticker.Stop()
+
+	for {
+		select {
+		case <-cancel:
+			return
+		case <-ticker.C:
+			if err := hs.AppendSnapshot(book.getL3Snapshot(hs.levels, false, 0)); err != nil {
+				log.Printf("Failed to persist %s snapshot: %v", strings.ToUpper(symbol), err)
+			}
+		}
+	}
+}
+
+// recordTime reads a record's time from the start of its line without
+// decoding the rest
+func recordTime(line []byte) (int64, bool) {
+	const prefix = `{"time":`
+	if !bytes.HasPrefix(line, []byte(prefix)) {
+		return 0, false
+	}
+	end := bytes.IndexByte(line[len(prefix):], ',')
+	if end < 0 {
+		return 0, false
+	}
+	t, err := strconv.ParseInt(string(line[len(prefix):len(prefix)+end]), 10, 64)
+	return t, err == nil
+}
+
+// seekTime binary searches a segment for a line that starts at or before the
+// first record at or after t, so a read only scans the records it wants
+func seekTime(file *os.File, t int64) (int64, error) {
+	info, err := file.Stat()
+	if err != nil {
+		return 0, err
+	}
+
+	// lo is always a line start whose record is before t (or the file start)
+	lo, hi := int64(0), info.Size()
+	for hi-lo > seekSlack {
+		mid := lo + (hi-lo)/2
+		reader := bufio.NewReaderSize(io.NewSectionReader(file, mid, hi-mid), 64<<10)
+		// Skip the rest of the line mid lands in
+		start := mid
+		for {
+			var chunk []byte
+			chunk, err = reader.ReadSlice('\n')
+			start += int64(len(chunk))
+			if err != bufio.ErrBufferFull {
+				break
+			}
+		}
+		if err != nil {
+			hi = mid // No line starts between mid and hi
+			continue
+		}
+
+		head, _ := reader.Peek(32)
+		if at, ok := recordTime(head); ok && at < t {
+			lo = start
+		} else {
+			hi = mid
+		}
+	}
+	return lo, nil
+}
+
+// scanDay calls fn with the time and line of each record in a day's segment
+// from the first at or after from (and maybe a few before), oldest first,
+// until fn returns false. A missing day has no records.
+func (hs *HistoryStore) scanDay(symbol, kind, day string, from int64, fn func(t int64, line []byte) bool) error {
+	file, err := os.Open(hs.path(symbol, kind, day))
+	if os.IsNotExist(err) {
+		return nil
+	}
+	if err != nil {
+		return err
+	}
+	defer file.Close()
+
+	offset, err := seekTime(file, from)
+	if err != nil {
+		return err
+	}
+	if _, err := file.Seek(offset, io.SeekStart); err != nil {
+		return err
+	}
+
+	scanner := bufio.NewScanner(file)
+	scanner.Buffer(make([]byte, 0, 1<<20), maxHistoryLine)
+	for scanner.Scan() {
+		line := scanner.Bytes()
+		t, ok := recordTime(line)
+		if !ok {
+			continue
+		}
+		if !fn(t, line) {
+			return nil
+		}
+	}
+	return scanner.Err()
+}
+
+// Range returns the records of a kind between from and to (Unix ms,
+// inclusive), at most one per step ms when step is positive. When more than
+// limit records match, the first limit are returned along with the time to
+// continue from.
+func (hs *HistoryStore) Range(symbol, kind string, from, to, step int64, limit int) (records []HistoryRecord, next int64, err error) {
+	records = []HistoryRecord{}
+	last := int64(0)
+	done := false
+
+	for day := from - from%86400000; day <= to && !done; day += 86400000 {
+		err = hs.scanDay(symbol, kind, historyDay(day), from, func(t int64, line []byte) bool {
+			if t < from {
+				return true
+			}
+			if t > to {
+				done = true
+				return false
+			}
+			if step > 0 && len(records) > 0 && t-last < step {
+				return true
+			}
+			if len(records) == limit {
+				next = t
+				done = true
+				return false
+			}
+
+			var record HistoryRecord
+			if json.Unmarshal(line, &record) != nil {
+				return true // Torn last line while it is being written
+			}
+			records = append(records, record)
+			last = t
+			return true
+		})
+		if err != nil {
+			return nil, 0, err
+		}
+	}
+	return records, next, nil
+}
+
+// At returns the latest snapshot taken at or before at, looking back as far
+// as the previous day, or nil if there is none
+func (hs *HistoryStore) At(symbol string, at int64) (*HistoryRecord, error) {
+	// The line before the last match stands in if the match turns out to
+	// be torn while it is being written
+	var found, previous []byte
+	for _, day := range []int64{at, at - 86400000} {
+		// Start a little before at so the line before the match is read too
+		err := hs.scanDay(symbol, historySnapshots, historyDay(day), at-hs.interval.Milliseconds()*2, func(t int64, line []byte) bool {
+			if t > at {
+				return false
+			}
+			previous, found = found, append(previous[:0], line...)
+			return true
+		})
+		if err != nil {
+			return nil, err
+		}
+		if found != nil {
+			break
+		}
+	}
+
+	for _, line := range [][]byte{found, previous} {
+		var record HistoryRecord
+		if line != nil && json.Unmarshal(line, &record) == nil {
+			return &record, nil
+		}
+	}
+	return nil, nil
+}
+
+// Oldest returns the start of the oldest day Prune keeps (Unix ms)
+func (hs *HistoryStore) Oldest(now time.Time) int64 {
+	day := now.UTC().AddDate(0, 0, -hs.retention)
+	return time.Date(day.Year(), day.Month(), day.Day(), 0, 0, 0, 0, time.UTC).UnixMilli()
+}
+
+// Prune deletes segment files for days before the retention window
+func (hs *HistoryStore) Prune(now time.Time) {
+	cutoff := historyDay(hs.Oldest(now))
+
+	paths, err := filepath.Glob(filepath.Join(hs.dir, "*", "*.ndjson"))
+	if err != nil {
+		return
+	}
+	for _, path := range paths {
+		day, _, _ := strings.Cut(filepath.Base(path), ".")
+		// Dates sort as strings
+		if day < cutoff {
+			if err := os.Remove(path); err != nil {
+				log.Printf("Failed to prune %s: %v", path, err)
+			}
+		}
+	}
+}
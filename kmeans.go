@@ -9,12 +9,38 @@ import (
 	"github.com/shopspring/decimal"
 )
 
-// Global K-means instances for persistent centroids
-var (
-	globalBidKMeans  *MiniBatchKMeans
-	globalAskKMeans  *MiniBatchKMeans
-	kmeansInitMutex  sync.Mutex
-)
+// BookClusterers keeps one book's K-means models with their persistent
+// centroids, one per side and cluster count. Centroids only ever see that
+// symbol's order sizes, and viewers asking for different cluster counts each
+// keep their own model instead of resetting a shared one on every frame.
+type BookClusterers struct {
+	mu     sync.Mutex
+	models map[clustererKey]*MiniBatchKMeans
+}
+
+type clustererKey struct {
+	isBid       bool
+	numClusters int
+}
+
+// NewBookClusterers creates an empty set of models for a book
+func NewBookClusterers() *BookClusterers {
+	return &BookClusterers{models: make(map[clustererKey]*MiniBatchKMeans)}
+}
+
+// model returns the side's model for a cluster count, creating it on first use
+func (bc *BookClusterers) model(numClusters int, isBid bool) *MiniBatchKMeans {
+	bc.mu.Lock()
+	defer bc.mu.Unlock()
+
+	key := clustererKey{isBid: isBid, numClusters: numClusters}
+	kmeans, ok := bc.models[key]
+	if !ok {
+		kmeans = NewMiniBatchKMeans(numClusters, 1024, 1024)
+		bc.models[key] = kmeans
+	}
+	return kmeans
+}
 
 // Point structure for clustering (using qty only for simplicity)
 type Point struct {
@@ -126,7 +152,20 @@ func (kmeans *MiniBatchKMeans) closestCentroid(p Point) int {
 	return minIdx
 }
 
-// Fit performs mini-batch K-means clustering on the order book data
+// orderedPrices returns the book's prices in a fixed order. Map iteration
+// order is random, so Fit and ClusterOrderBook must both walk the levels in
+// this order for the labels to line up with the orders they belong to.
+func orderedPrices(orderBook map[string]*OrderQueue) []string {
+	prices := make([]string, 0, len(orderBook))
+	for price := range orderBook {
+		prices = append(prices, price)
+	}
+	sort.Strings(prices)
+	return prices
+}
+
+// Fit performs mini-batch K-means clustering on the order book data. Labels
+// are returned in orderedPrices order, front of each queue first.
 func (kmeans *MiniBatchKMeans) Fit(orderBook map[string]*OrderQueue) []int {
 	kmeans.mu.Lock()
 	defer kmeans.mu.Unlock()
@@ -138,7 +177,8 @@ func (kmeans *MiniBatchKMeans) Fit(orderBook map[string]*OrderQueue) []int {
 	}
 
 	// Extract points from order book
-	for price, queue := range orderBook {
+	for _, price := range orderedPrices(orderBook) {
+		queue := orderBook[price]
 		queue.mu.RLock()
 		for _, qty := range queue.orders {
 			if qty.GreaterThan(decimal.Zero) {
@@ -238,30 +278,16 @@ type ClusteredOrder struct {
 	Cluster int             `json:"cluster"`
 }
 
-// ClusterOrderBook applies K-means clustering to an order book
-func ClusterOrderBook(orderBook map[string]*OrderQueue, numClusters int, isBid bool) map[string][]*ClusteredOrder {
-	kmeansInitMutex.Lock()
-	var kmeans *MiniBatchKMeans
-	
-	if isBid {
-		if globalBidKMeans == nil || globalBidKMeans.numClusters != numClusters {
-			globalBidKMeans = NewMiniBatchKMeans(numClusters, 1024, 1024)
-		}
-		kmeans = globalBidKMeans
-	} else {
-		if globalAskKMeans == nil || globalAskKMeans.numClusters != numClusters {
-			globalAskKMeans = NewMiniBatchKMeans(numClusters, 1024, 1024)
-		}
-		kmeans = globalAskKMeans
-	}
-	kmeansInitMutex.Unlock()
-	
-	labels := kmeans.Fit(orderBook)
+// ClusterOrderBook applies K-means clustering to one side of a book, using
+// that book's model for the cluster count
+func ClusterOrderBook(clusterers *BookClusterers, orderBook map[string]*OrderQueue, numClusters int, isBid bool) map[string][]*ClusteredOrder {
+	labels := clusterers.model(numClusters, isBid).Fit(orderBook)
 
 	clusteredOrders := make(map[string][]*ClusteredOrder)
 	labelIdx := 0
 
-	for price, queue := range orderBook {
+	for _, price := range orderedPrices(orderBook) {
+		queue := orderBook[price]
 		queue.mu.RLock()
 		orders := make([]*ClusteredOrder, 0, len(queue.orders))
 		
@@ -7,6 +7,7 @@ import (
 	"net/http"
 	"os"
 	"sort"
+	"strconv"
 	"strings"
 	"sync"
 	"time"
@@ -30,6 +31,19 @@ func (oq *OrderQueue) sum() decimal.Decimal {
 }
 
 
+// removeFront takes traded quantity off the oldest orders first (FIFO)
+func (oq *OrderQueue) removeFront(qty decimal.Decimal) {
+	for qty.IsPositive() && len(oq.orders) > 0 {
+		if oq.orders[0].LessThanOrEqual(qty) {
+			qty = qty.Sub(oq.orders[0])
+			oq.orders = oq.orders[1:]
+		} else {
+			oq.orders[0] = oq.orders[0].Sub(qty)
+			qty = decimal.Zero
+		}
+	}
+}
+
 func (oq *OrderQueue) largestOrderIndex() int {
 	if len(oq.orders) == 0 {
 		return -1
@@ -54,11 +68,12 @@ type L3OrderBook struct {
 	symbol          string
 	lastID          int64
 	mu              sync.RWMutex
-	kmeansMode      bool           // Whether to enable K-means clustering
-	numClusters     int            // Number of clusters for K-means
 	precision       *PrecisionInfo // Symbol precision information
 	useEnhancedMode bool           // Whether to use enhanced queue management
 	lastOptimization int64         // Last queue optimization timestamp
+	flow            *TradeFlow     // Recent trades and how they explain queue drops
+	health          BookHealth     // Sync state with Binance's depth stream
+	clusterers      *BookClusterers // K-means models for this book's sizes
 }
 
 func NewL3OrderBook(symbol string) *L3OrderBook {
@@ -73,11 +88,11 @@ func NewL3OrderBook(symbol string) *L3OrderBook {
 		enhancedBids:     make(map[string]*EnhancedOrderQueue),
 		enhancedAsks:     make(map[string]*EnhancedOrderQueue),
 		symbol:           symbol,
-		kmeansMode:       false, // Default to disabled
-		numClusters:      10,    // Default number of clusters
 		precision:        precisionManager.GetPrecisionInfo(symbol),
-		useEnhancedMode:  true,  // Enable enhanced mode by default
+		useEnhancedMode:  true, // Enable enhanced mode by default
 		lastOptimization: time.Now().UnixMilli(),
+		flow:             NewTradeFlow(),
+		clusterers:       NewBookClusterers(),
 	}
 }
 
@@ -91,6 +106,7 @@ func (ob *L3OrderBook) loadSnapshot(resp *binanceRESTResp) {
 	ob.asks = make(map[string]*OrderQueue)
 	ob.enhancedBids = make(map[string]*EnhancedOrderQueue)
 	ob.enhancedAsks = make(map[string]*EnhancedOrderQueue)
+	ob.flow.Reset()
 
 	// Initialize bid queues
 	for _, bid := range resp.Bids {
@@ -149,6 +165,7 @@ func (ob *L3OrderBook) loadSnapshot(resp *binanceRESTResp) {
 func (ob *L3OrderBook) applyDelta(update *binanceWSUpdate) {
 	ob.mu.Lock()
 	defer ob.mu.Unlock()
+	ob.lastID = update.FinalUpdateID
 
 	// Process bid updates
 	for _, bid := range update.B {
@@ -160,6 +177,7 @@ func (ob *L3OrderBook) applyDelta(update *binanceWSUpdate) {
 		if err != nil {
 			continue
 		}
+		executed := ob.executedQty("bid", ob.bids, price, newQty)
 
 		if newQty.IsZero() {
 			// Remove entire price level
@@ -168,9 +186,9 @@ func (ob *L3OrderBook) applyDelta(update *binanceWSUpdate) {
 				delete(ob.enhancedBids, price)
 			}
 		} else {
-			ob.updateQueue(ob.bids, price, newQty)
+			ob.updateQueue(ob.bids, price, newQty, executed)
 			if ob.useEnhancedMode {
-				ob.updateEnhancedQueue(ob.enhancedBids, price, newQty)
+				ob.updateEnhancedQueue(ob.enhancedBids, price, newQty, executed)
 			}
 		}
 	}
@@ -185,6 +203,7 @@ func (ob *L3OrderBook) applyDelta(update *binanceWSUpdate) {
 		if err != nil {
 			continue
 		}
+		executed := ob.executedQty("ask", ob.asks, price, newQty)
 
 		if newQty.IsZero() {
 			// Remove entire price level
@@ -193,16 +212,37 @@ func (ob *L3OrderBook) applyDelta(update *binanceWSUpdate) {
 				delete(ob.enhancedAsks, price)
 			}
 		} else {
-			ob.updateQueue(ob.asks, price, newQty)
+			ob.updateQueue(ob.asks, price, newQty, executed)
 			if ob.useEnhancedMode {
-				ob.updateEnhancedQueue(ob.enhancedAsks, price, newQty)
+				ob.updateEnhancedQueue(ob.enhancedAsks, price, newQty, executed)
 			}
 		}
 	}
 }
 
+// executedQty works out how much of a level's drop in quantity was traded,
+// from the aggTrades seen at that price. The rest was cancelled.
+func (ob *L3OrderBook) executedQty(side string, levels map[string]*OrderQueue, price string, newQty decimal.Decimal) decimal.Decimal {
+	queue, exists := levels[price]
+	if !exists {
+		return decimal.Zero
+	}
+	queue.mu.RLock()
+	oldSum := queue.sum()
+	queue.mu.RUnlock()
+
+	if !newQty.LessThan(oldSum) {
+		return decimal.Zero
+	}
+	priceDecimal, err := decimal.NewFromString(price)
+	if err != nil {
+		return decimal.Zero
+	}
+	return ob.flow.Classify(side, priceDecimal, oldSum.Sub(newQty))
+}
+
 // Core L3 Queue Reconstruction Algorithm (based on Rust implementation)
-func (ob *L3OrderBook) updateQueue(side map[string]*OrderQueue, price string, newQty decimal.Decimal) {
+func (ob *L3OrderBook) updateQueue(side map[string]*OrderQueue, price string, newQty, executed decimal.Decimal) {
 	queue, exists := side[price]
 
 	if !exists {
@@ -224,10 +264,19 @@ func (ob *L3OrderBook) updateQueue(side map[string]*OrderQueue, price string, ne
 		queue.orders = append(queue.orders, diff)
 
 	} else if newQty.LessThan(oldSum) {
-		// Quantity decreased - remove from largest order first
 		diff := oldSum.Sub(newQty)
 
-		// Find exact match for cancellation (Rust logic)
+		// Traded quantity comes off the front of the queue; only the
+		// cancelled rest has to be guessed at
+		if executed.IsPositive() {
+			queue.removeFront(executed)
+			diff = diff.Sub(executed)
+			if !diff.IsPositive() {
+				return
+			}
+		}
+
+		// Cancelled quantity - find exact match for cancellation (Rust logic)
 		removed := false
 		for i := len(queue.orders) - 1; i >= 0; i-- {
 			if queue.orders[i].Equal(diff) {
@@ -256,7 +305,7 @@ func (ob *L3OrderBook) updateQueue(side map[string]*OrderQueue, price string, ne
 }
 
 // updateEnhancedQueue updates enhanced queue with improved algorithms
-func (ob *L3OrderBook) updateEnhancedQueue(side map[string]*EnhancedOrderQueue, price string, newQty decimal.Decimal) {
+func (ob *L3OrderBook) updateEnhancedQueue(side map[string]*EnhancedOrderQueue, price string, newQty, executed decimal.Decimal) {
 	queue, exists := side[price]
 
 	if !exists {
@@ -274,9 +323,15 @@ func (ob *L3OrderBook) updateEnhancedQueue(side map[string]*EnhancedOrderQueue,
 		diff := newQty.Sub(oldSum)
 		queue.AddOrder(diff)
 	} else if newQty.LessThan(oldSum) {
-		// Quantity decreased - remove using enhanced algorithm
+		// Trades fill from the front; the cancelled rest uses the enhanced algorithm
 		diff := oldSum.Sub(newQty)
-		queue.RemoveQty(diff)
+		if executed.IsPositive() {
+			queue.RemoveFilled(executed)
+			diff = diff.Sub(executed)
+		}
+		if diff.IsPositive() {
+			queue.RemoveQty(diff)
+		}
 	}
 	// If quantities are equal, no change needed
 
@@ -326,7 +381,9 @@ type L3Snapshot struct {
 	Precision   *PrecisionInfo `json:"precision"`    // Symbol precision information
 }
 
-func (ob *L3OrderBook) getL3Snapshot(topLevels int) L3Snapshot {
+// getL3Snapshot builds the top levels of the book. Clustering settings belong
+// to the viewer, so each subscription passes its own
+func (ob *L3OrderBook) getL3Snapshot(topLevels int, kmeansMode bool, numClusters int) L3Snapshot {
 	ob.mu.RLock()
 	defer ob.mu.RUnlock()
 
@@ -354,9 +411,9 @@ func (ob *L3OrderBook) getL3Snapshot(topLevels int) L3Snapshot {
 
 	// Perform clustering if enabled
 	var clusteredBids, clusteredAsks map[string][]*ClusteredOrder
-	if ob.kmeansMode {
-		clusteredBids = ClusterOrderBook(ob.bids, ob.numClusters, true)
-		clusteredAsks = ClusterOrderBook(ob.asks, ob.numClusters, false)
+	if kmeansMode {
+		clusteredBids = ClusterOrderBook(ob.clusterers, ob.bids, numClusters, true)
+		clusteredAsks = ClusterOrderBook(ob.clusterers, ob.asks, numClusters, false)
 	}
 
 	// Calculate max orders for special highlighting across all levels
@@ -456,11 +513,11 @@ func (ob *L3OrderBook) getL3Snapshot(topLevels int) L3Snapshot {
 			}
 
 			// Generate colors based on mode
-			if ob.kmeansMode {
+			if kmeansMode {
 				// Add clustered orders if clustering is enabled
 				if clusteredOrders, exists := clusteredBids[price]; exists {
 					level.ClusteredOrders = clusteredOrders
-					level.Colors = GenerateClusteredOrderColors(clusteredOrders, true, maxBidOrder, secondMaxBidOrder)
+					level.Colors = GenerateClusteredOrderColors(clusteredOrders, numClusters, true, maxBidOrder, secondMaxBidOrder)
 				}
 			} else {
 				// Generate age-based colors for normal mode
@@ -517,11 +574,11 @@ func (ob *L3OrderBook) getL3Snapshot(topLevels int) L3Snapshot {
 			}
 
 			// Generate colors based on mode
-			if ob.kmeansMode {
+			if kmeansMode {
 				// Add clustered orders if clustering is enabled
 				if clusteredOrders, exists := clusteredAsks[price]; exists {
 					level.ClusteredOrders = clusteredOrders
-					level.Colors = GenerateClusteredOrderColors(clusteredOrders, false, maxAskOrder, secondMaxAskOrder)
+					level.Colors = GenerateClusteredOrderColors(clusteredOrders, numClusters, false, maxAskOrder, secondMaxAskOrder)
 				}
 			} else {
 				// Generate age-based colors for normal mode
@@ -538,33 +595,17 @@ func (ob *L3OrderBook) getL3Snapshot(topLevels int) L3Snapshot {
 		Asks:        asks,
 		Timestamp:   time.Now().UnixMilli(),
 		Symbol:      ob.symbol,
-		KmeansMode:  ob.kmeansMode,
-		NumClusters: ob.numClusters,
+		KmeansMode:  kmeansMode,
+		NumClusters: numClusters,
 		Precision:   ob.precision,
 	}
 }
 
-// SetKmeansMode enables or disables K-means clustering
-func (ob *L3OrderBook) SetKmeansMode(enabled bool) {
-	ob.mu.Lock()
-	defer ob.mu.Unlock()
-	ob.kmeansMode = enabled
-}
-
-// SetNumClusters sets the number of clusters for K-means
-func (ob *L3OrderBook) SetNumClusters(clusters int) {
-	ob.mu.Lock()
-	defer ob.mu.Unlock()
-	if clusters > 0 && clusters <= 20 { // Reasonable limits
-		ob.numClusters = clusters
-	}
-}
-
-// GetClusteringInfo returns current clustering configuration
-func (ob *L3OrderBook) GetClusteringInfo() (bool, int) {
+// Precision returns the symbol's precision information
+func (ob *L3OrderBook) Precision() *PrecisionInfo {
 	ob.mu.RLock()
 	defer ob.mu.RUnlock()
-	return ob.kmeansMode, ob.numClusters
+	return ob.precision
 }
 
 // RefreshPrecision refreshes precision information for the symbol
@@ -578,10 +619,11 @@ func (ob *L3OrderBook) RefreshPrecision() {
 
 // Rest of the implementation (WebSocket, HTTP handlers) remains the same
 type binanceWSUpdate struct {
-	U int64      `json:"U"`
-	u int64      `json:"u"`
-	B [][]string `json:"b"`
-	A [][]string `json:"a"`
+	FirstUpdateID     int64      `json:"U"`
+	FinalUpdateID     int64      `json:"u"`
+	PrevFinalUpdateID int64      `json:"pu"` // u of the previous update on the stream
+	B                 [][]string `json:"b"`
+	A                 [][]string `json:"a"`
 }
 
 type binanceRESTResp struct {
@@ -590,42 +632,52 @@ type binanceRESTResp struct {
 	Asks         [][]string `json:"asks"`
 }
 
-func min(a, b int) int {
-	if a < b {
-		return a
-	}
-	return b
-}
+// Binance endpoints. BINANCE_WS_URL and BINANCE_REST_URL point the server at
+// another host, such as a local fake exchange for testing.
+var (
+	binanceWSURL   = envOr("BINANCE_WS_URL", "wss://fstream.binance.com")
+	binanceRESTURL = envOr("BINANCE_REST_URL", "https://fapi.binance.com")
+)
 
-// Global state for symbol switching
-type AppState struct {
-	book         *L3OrderBook
-	currentSymbol string
-	binanceCancel chan bool
-	mu           sync.RWMutex
+func envOr(name, fallback string) string {
+	if value := os.Getenv(name); value != "" {
+		return strings.TrimSuffix(value, "/")
+	}
+	return fallback
 }
 
-var appState *AppState
+// Books shared by all /ws connections, one per watched symbol
+var books *BookRegistry
+var defaultSymbol string
 
 func main() {
-	symbol := "ethusdt" // Default to ETHUSDT
+	defaultSymbol = "ethusdt" // Default to ETHUSDT
 	if len(os.Args) > 1 {
-		symbol = strings.ToLower(os.Args[1])
+		defaultSymbol = strings.ToLower(os.Args[1])
 	}
 
-	appState = &AppState{
-		book:          NewL3OrderBook(symbol),
-		currentSymbol: symbol,
-		binanceCancel: make(chan bool, 1),
+	var err error
+	history, err = NewHistoryStoreFromEnv()
+	if err != nil {
+		log.Fatalf("History persistence: %v", err)
 	}
 
-	go runBinanceSync(symbol, appState.book, appState.binanceCancel)
+	// Keep the default symbol synced even with no viewers so new
+	// connections get data straight away
+	books = NewBookRegistry()
+	books.Acquire(defaultSymbol)
 
 	http.Handle("/", http.FileServer(http.Dir("static")))
 	http.HandleFunc("/ws", wsHandler())
+	http.HandleFunc("/api/symbols", symbolsHandler())
+	http.HandleFunc("/api/history", historyHandler())
+	http.HandleFunc("/api/snapshot", snapshotHandler())
 
 	log.Printf("L3 Order Book Server running on http://localhost:8080")
-	log.Printf("Symbol: %s", strings.ToUpper(symbol))
+	log.Printf("Symbol: %s", strings.ToUpper(defaultSymbol))
+	if history != nil {
+		log.Printf("Persisting history to %s", history.dir)
+	}
 	log.Fatal(http.ListenAndServe(":8080", nil))
 }
 
@@ -634,6 +686,12 @@ type WSMessage struct {
 	Symbol      string `json:"symbol,omitempty"`
 	KmeansMode  *bool  `json:"kmeans_mode,omitempty"`
 	NumClusters *int   `json:"num_clusters,omitempty"`
+	Sent        int64  `json:"sent,omitempty"` // Client clock for ping, echoed in pong
+
+	// Protocol negotiation, see BookStream
+	Protocol int      `json:"protocol,omitempty"`
+	Fields   []string `json:"fields,omitempty"`
+	Interval int64    `json:"interval,omitempty"`
 }
 
 func wsHandler() http.HandlerFunc {
@@ -649,9 +707,41 @@ func wsHandler() http.HandlerFunc {
 		}
 		defer conn.Close()
 
-		ticker := time.NewTicker(50 * time.Millisecond) // 20 FPS for L3 data
+		// Frames go out every 50ms (20 FPS) until the client asks for another rate
+		stream := NewBookStream()
+		interval := stream.Interval()
+		ticker := time.NewTicker(interval)
 		defer ticker.Stop()
 
+		// Each connection watches its own symbol; ?symbol= picks the first one
+		symbol := strings.ToLower(r.URL.Query().Get("symbol"))
+		var symbolErr error
+		if symbol != "" {
+			symbolErr = precisionManager.ValidateSymbol(symbol)
+		}
+		if symbol == "" || symbolErr != nil {
+			symbol = defaultSymbol
+		}
+		sub := NewSubscription(books, symbol)
+		defer sub.Close()
+
+		// Replies from the read loop and the snapshot ticker share the
+		// connection, which allows only one writer at a time
+		var writeMu sync.Mutex
+		writeJSON := func(v any) error {
+			writeMu.Lock()
+			defer writeMu.Unlock()
+			return conn.WriteJSON(v)
+		}
+
+		if symbolErr != nil {
+			writeJSON(map[string]any{
+				"type":    "error",
+				"message": symbolErr.Error(),
+				"symbol":  strings.ToUpper(r.URL.Query().Get("symbol")),
+			})
+		}
+
 		// Handle incoming messages for symbol switching
 		go func() {
 			for {
@@ -666,37 +756,40 @@ func wsHandler() http.HandlerFunc {
 					if msg.Symbol != "" {
 						newSymbol := strings.ToLower(msg.Symbol)
 						log.Printf("Switching to symbol: %s", strings.ToUpper(newSymbol))
-						
-						// Switch symbol
-						if err := switchSymbol(newSymbol); err != nil {
+
+						// Reject unknown and delisted symbols before starting a sync
+						if err := precisionManager.ValidateSymbol(newSymbol); err != nil {
 							errorMsg := map[string]any{
 								"type":    "error",
 								"message": err.Error(),
+								"symbol":  strings.ToUpper(newSymbol),
 							}
-							conn.WriteJSON(errorMsg)
-						} else {
-							// Notify successful switch
-							switchMsg := map[string]any{
-								"type":   "symbol_switched",
-								"symbol": strings.ToUpper(newSymbol),
-							}
-							conn.WriteJSON(switchMsg)
+							writeJSON(errorMsg)
+							continue
 						}
+
+						// Only this connection moves; other viewers keep their books
+						sub.SwitchSymbol(newSymbol)
+
+						// Notify successful switch
+						switchMsg := map[string]any{
+							"type":   "symbol_switched",
+							"symbol": strings.ToUpper(newSymbol),
+						}
+						writeJSON(switchMsg)
 					}
 
 				case "toggle_kmeans":
-					appState.mu.Lock()
 					if msg.KmeansMode != nil {
-						appState.book.SetKmeansMode(*msg.KmeansMode)
+						sub.SetKmeansMode(*msg.KmeansMode)
 						log.Printf("K-means mode set to: %t", *msg.KmeansMode)
 					}
 					if msg.NumClusters != nil {
-						appState.book.SetNumClusters(*msg.NumClusters)
+						sub.SetNumClusters(*msg.NumClusters)
 						log.Printf("Number of clusters set to: %d", *msg.NumClusters)
 					}
-					
-					enabled, clusters := appState.book.GetClusteringInfo()
-					appState.mu.Unlock()
+
+					enabled, clusters := sub.GetClusteringInfo()
 					
 					// Send confirmation
 					responseMsg := map[string]any{
@@ -704,41 +797,59 @@ func wsHandler() http.HandlerFunc {
 						"kmeans_mode":  enabled,
 						"num_clusters": clusters,
 					}
-					conn.WriteJSON(responseMsg)
+					writeJSON(responseMsg)
 
 				case "get_clustering_info":
-					appState.mu.RLock()
-					enabled, clusters := appState.book.GetClusteringInfo()
-					appState.mu.RUnlock()
-					
+					enabled, clusters := sub.GetClusteringInfo()
+
 					responseMsg := map[string]any{
 						"type":         "clustering_info",
 						"kmeans_mode":  enabled,
 						"num_clusters": clusters,
 					}
-					conn.WriteJSON(responseMsg)
+					writeJSON(responseMsg)
 
 				case "refresh_precision":
-					appState.mu.Lock()
-					appState.book.RefreshPrecision()
-					appState.mu.Unlock()
-					
+					sub.Book().RefreshPrecision()
+
 					responseMsg := map[string]any{
 						"type":    "precision_refreshed",
 						"message": "Precision information updated",
 					}
-					conn.WriteJSON(responseMsg)
+					writeJSON(responseMsg)
 
 				case "get_precision_info":
-					appState.mu.RLock()
-					precision := appState.book.precision
-					appState.mu.RUnlock()
-					
+					precision := sub.Book().Precision()
+
 					responseMsg := map[string]any{
 						"type":      "precision_info",
 						"precision": precision,
 					}
-					conn.WriteJSON(responseMsg)
+					writeJSON(responseMsg)
+
+				case "configure":
+					config := stream.Configure(StreamConfig{
+						Protocol: msg.Protocol,
+						Fields:   msg.Fields,
+						Interval: msg.Interval,
+					})
+					writeJSON(map[string]any{
+						"type":     "configured",
+						"protocol": config.Protocol,
+						"fields":   config.Fields,
+						"interval": config.Interval,
+					})
+
+				case "resync":
+					// The client missed a delta; start it over from a snapshot
+					stream.Resync()
+
+				case "ping":
+					// Lets the client measure round-trip latency
+					writeJSON(map[string]any{
+						"type": "pong",
+						"sent": msg.Sent,
+					})
 				}
 			}
 		}()
@@ -746,45 +857,225 @@ func wsHandler() http.HandlerFunc {
 		for {
 			select {
 			case <-ticker.C:
-				appState.mu.RLock()
-				snapshot := appState.book.getL3Snapshot(100)
-				appState.mu.RUnlock()
-				
-				message := map[string]any{
-					"type": "l3_update",
-					"data": snapshot,
+				message := stream.Next(sub.Snapshot(100))
+				if err := writeJSON(message); err != nil {
+					return
+				}
+				if next := stream.Interval(); next != interval {
+					interval = next
+					ticker.Reset(interval)
 				}
 
-				if err := conn.WriteJSON(message); err != nil {
-					return
+				// Trades and queue reductions since the last tick
+				flowSymbol, trades, reductions := sub.TradeFlow()
+				if len(trades) > 0 || len(reductions) > 0 {
+					flowMsg := map[string]any{
+						"type":       "trades",
+						"symbol":     flowSymbol,
+						"trades":     trades,
+						"reductions": reductions,
+					}
+					if err := writeJSON(flowMsg); err != nil {
+						return
+					}
+				}
+
+				// Whether the book is in step with Binance, on change
+				if healthSymbol, health, changed := sub.Health(); changed {
+					healthMsg := map[string]any{
+						"type":   "book_health",
+						"symbol": strings.ToUpper(healthSymbol),
+						"health": health,
+					}
+					if err := writeJSON(healthMsg); err != nil {
+						return
+					}
 				}
 			}
 		}
 	}
 }
 
-func switchSymbol(newSymbol string) error {
-	appState.mu.Lock()
-	defer appState.mu.Unlock()
+// symbolsHandler serves the symbol universe from Binance exchange info for the
+// frontend's symbol picker
+func symbolsHandler() http.HandlerFunc {
+	return func(w http.ResponseWriter, r *http.Request) {
+		symbols, err := precisionManager.ListSymbols()
+		if err != nil {
+			http.Error(w, err.Error(), http.StatusBadGateway)
+			return
+		}
 
-	if appState.currentSymbol == newSymbol {
-		return nil // Already on this symbol
+		w.Header().Set("Content-Type", "application/json")
+		json.NewEncoder(w).Encode(map[string]any{"symbols": symbols})
 	}
+}
 
-	// Cancel current Binance connection
-	select {
-	case appState.binanceCancel <- true:
-	default:
+// historySymbol reads the history endpoints' symbol, the server default if
+// none is given
+func historySymbol(r *http.Request) (string, error) {
+	symbol := strings.ToLower(r.URL.Query().Get("symbol"))
+	if symbol == "" {
+		return defaultSymbol, nil
+	}
+	// The symbol names a directory, so nothing but letters and digits
+	for _, c := range symbol {
+		if (c < 'a' || c > 'z') && (c < '0' || c > '9') {
+			return "", fmt.Errorf("invalid symbol %q", symbol)
+		}
 	}
+	return symbol, nil
+}
 
-	// Create new book and start new connection
-	appState.book = NewL3OrderBook(newSymbol)
-	appState.currentSymbol = newSymbol
-	appState.binanceCancel = make(chan bool, 1)
+// historyTime reads a time parameter as Unix ms or RFC 3339
+func historyTime(r *http.Request, name string, fallback int64) (int64, error) {
+	value := r.URL.Query().Get(name)
+	if value == "" {
+		return fallback, nil
+	}
+	if ms, err := strconv.ParseInt(value, 10, 64); err == nil {
+		return ms, nil
+	}
+	t, err := time.Parse(time.RFC3339, value)
+	if err != nil {
+		return 0, fmt.Errorf("invalid %s %q (Unix ms or RFC 3339)", name, value)
+	}
+	return t.UnixMilli(), nil
+}
 
-	go runBinanceSync(newSymbol, appState.book, appState.binanceCancel)
+// historyHandler serves persisted records for a symbol and time range:
+// /api/history?symbol=&from=&to=&step=&kind=&limit=. The range defaults to
+// the last five minutes, step (ms or a duration like "5s") thins the records
+// out and kind is "snapshots" (default) or "depth" for raw Binance updates.
+// A range with more than limit records is cut short and says where to go on.
+func historyHandler() http.HandlerFunc {
+	return func(w http.ResponseWriter, r *http.Request) {
+		if history == nil {
+			http.Error(w, "history persistence is off (set L3_HISTORY_DIR to turn it on)", http.StatusNotFound)
+			return
+		}
 
-	return nil
+		query := r.URL.Query()
+		symbol, err := historySymbol(r)
+		if err != nil {
+			http.Error(w, err.Error(), http.StatusBadRequest)
+			return
+		}
+		to, err := historyTime(r, "to", time.Now().UnixMilli())
+		if err != nil {
+			http.Error(w, err.Error(), http.StatusBadRequest)
+			return
+		}
+		from, err := historyTime(r, "from", to-5*60*1000)
+		if err != nil {
+			http.Error(w, err.Error(), http.StatusBadRequest)
+			return
+		}
+		if from > to {
+			http.Error(w, "from is after to", http.StatusBadRequest)
+			return
+		}
+		// Records only exist inside the retention window; bounding the range
+		// keeps a far-off from or to from walking through years of days
+		if to-from > int64(history.retention)*86400000 {
+			http.Error(w, fmt.Sprintf("range is longer than the %d days of history kept", history.retention), http.StatusBadRequest)
+			return
+		}
+		now := time.Now()
+		from = max(from, history.Oldest(now))
+		to = min(to, now.UnixMilli())
+
+		var step int64
+		if value := query.Get("step"); value != "" {
+			if ms, err := strconv.ParseInt(value, 10, 64); err == nil && ms >= 0 {
+				step = ms
+			} else if d, err := time.ParseDuration(value); err == nil && d >= 0 {
+				step = d.Milliseconds()
+			} else {
+				http.Error(w, fmt.Sprintf("invalid step %q (ms or a duration)", value), http.StatusBadRequest)
+				return
+			}
+		}
+
+		kind := query.Get("kind")
+		if kind == "" {
+			kind = historySnapshots
+		}
+		if kind != historySnapshots && kind != historyDepth {
+			http.Error(w, fmt.Sprintf("invalid kind %q (snapshots or depth)", kind), http.StatusBadRequest)
+			return
+		}
+
+		// Snapshots are large, so fewer of them fit in one response
+		limit := 600
+		if kind == historyDepth {
+			limit = 5000
+		}
+		if value := query.Get("limit"); value != "" {
+			n, err := strconv.Atoi(value)
+			if err != nil || n <= 0 || n > limit {
+				http.Error(w, fmt.Sprintf("invalid limit %q (1-%d)", value, limit), http.StatusBadRequest)
+				return
+			}
+			limit = n
+		}
+
+		records, next, err := history.Range(symbol, kind, from, to, step, limit)
+		if err != nil {
+			http.Error(w, err.Error(), http.StatusInternalServerError)
+			return
+		}
+
+		response := map[string]any{
+			"symbol":    strings.ToUpper(symbol),
+			"kind":      kind,
+			"from":      from,
+			"to":        to,
+			"step":      step,
+			"records":   records,
+			"truncated": next != 0,
+		}
+		if next != 0 {
+			response["next"] = next // Pass as from to get the rest
+		}
+		w.Header().Set("Content-Type", "application/json")
+		json.NewEncoder(w).Encode(response)
+	}
+}
+
+// snapshotHandler serves the latest persisted snapshot at or before a time:
+// /api/snapshot?symbol=&at=, at defaulting to now
+func snapshotHandler() http.HandlerFunc {
+	return func(w http.ResponseWriter, r *http.Request) {
+		if history == nil {
+			http.Error(w, "history persistence is off (set L3_HISTORY_DIR to turn it on)", http.StatusNotFound)
+			return
+		}
+
+		symbol, err := historySymbol(r)
+		if err != nil {
+			http.Error(w, err.Error(), http.StatusBadRequest)
+			return
+		}
+		at, err := historyTime(r, "at", time.Now().UnixMilli())
+		if err != nil {
+			http.Error(w, err.Error(), http.StatusBadRequest)
+			return
+		}
+
+		record, err := history.At(symbol, at)
+		if err != nil {
+			http.Error(w, err.Error(), http.StatusInternalServerError)
+			return
+		}
+		if record == nil {
+			http.Error(w, fmt.Sprintf("no %s snapshot at or before %d", strings.ToUpper(symbol), at), http.StatusNotFound)
+			return
+		}
+
+		w.Header().Set("Content-Type", "application/json")
+		json.NewEncoder(w).Encode(record)
+	}
 }
 
 func runBinanceSync(symbol string, book *L3OrderBook, cancel chan bool) {
@@ -795,16 +1086,28 @@ func runBinanceSync(symbol string, book *L3OrderBook, cancel chan bool) {
 			return
 		default:
 			if err := connectAndSync(symbol, book, cancel); err != nil {
+				book.setHealthState("disconnected")
 				log.Printf("Connection failed for %s: %v, retrying in 5s...", strings.ToUpper(symbol), err)
-				time.Sleep(5 * time.Second)
+				select {
+				case <-cancel:
+				case <-time.After(5 * time.Second):
+				}
 				continue
 			}
 		}
 	}
 }
 
+// binanceStreamMsg wraps each message on a combined stream connection
+type binanceStreamMsg struct {
+	Stream string          `json:"stream"`
+	Data   json.RawMessage `json:"data"`
+}
+
 func connectAndSync(symbol string, book *L3OrderBook, cancel chan bool) error {
-	wsURL := fmt.Sprintf("wss://fstream.binance.com/ws/%s@depth@100ms", symbol)
+	// Depth and trades share one combined stream, so a trade always arrives
+	// in order with the depth update that shows its level shrinking
+	wsURL := fmt.Sprintf("%s/stream?streams=%s@depth@100ms/%s@aggTrade", binanceWSURL, symbol, symbol)
 
 	ws, _, err := websocket.DefaultDialer.Dial(wsURL, nil)
 	if err != nil {
@@ -814,34 +1117,25 @@ func connectAndSync(symbol string, book *L3OrderBook, cancel chan bool) error {
 
 	log.Println("Connected Binance WS:", wsURL)
 
-	// Fetch initial snapshot
-	snapURL := fmt.Sprintf("https://fapi.binance.com/fapi/v1/depth?symbol=%s&limit=1000",
-		strings.ToUpper(symbol))
-
-	var snapResp binanceRESTResp
-	for {
-		select {
-		case <-cancel:
-			return fmt.Errorf("cancelled during snapshot fetch")
-		default:
-			resp, err := http.Get(snapURL)
-			if err == nil && resp.StatusCode == 200 {
-				err2 := json.NewDecoder(resp.Body).Decode(&snapResp)
-				resp.Body.Close()
-				if err2 == nil && snapResp.LastUpdateID != 0 {
-					goto snapshotLoaded
-				}
-			}
-			if resp != nil {
-				resp.Body.Close()
-			}
-			time.Sleep(200 * time.Millisecond)
+	// The stream is read from here on and its updates buffered while the
+	// snapshot is fetched, and again whenever a gap calls for a new one
+	seq := newDepthSync(book)
+	done := make(chan bool)
+	defer close(done)
+	snapshots := make(chan *binanceRESTResp, 1)
+	fetching := false
+	requestSnapshot := func() {
+		if fetching {
+			return
 		}
+		fetching = true
+		go func() {
+			if snap := fetchDepthSnapshot(symbol, cancel, done); snap != nil {
+				snapshots <- snap
+			}
+		}()
 	}
-
-snapshotLoaded:
-	book.loadSnapshot(&snapResp)
-	log.Printf("L3 Order Book snapshot loaded: %d", snapResp.LastUpdateID)
+	requestSnapshot()
 
 	// Process real-time updates
 	for {
@@ -849,6 +1143,14 @@ snapshotLoaded:
 		case <-cancel:
 			log.Printf("Cancelling Binance sync for %s", strings.ToUpper(symbol))
 			return fmt.Errorf("cancelled")
+		case snap := <-snapshots:
+			fetching = false
+			if err := seq.Snapshot(snap); err != nil {
+				log.Printf("Snapshot %d for %s doesn't line up: %v, fetching another", snap.LastUpdateID, strings.ToUpper(symbol), err)
+				requestSnapshot()
+				continue
+			}
+			log.Printf("L3 Order Book snapshot loaded: %d", snap.LastUpdateID)
 		default:
 			// Set a reasonable read deadline
 			ws.SetReadDeadline(time.Now().Add(1 * time.Second))
@@ -864,13 +1166,66 @@ snapshotLoaded:
 				return fmt.Errorf("websocket error: %w", err)
 			}
 
+			var wrapped binanceStreamMsg
+			if err := json.Unmarshal(msg, &wrapped); err != nil {
+				log.Printf("Failed to unmarshal stream message: %v", err)
+				continue
+			}
+
+			if strings.HasSuffix(wrapped.Stream, "@aggTrade") {
+				var trade binanceAggTrade
+				if err := json.Unmarshal(wrapped.Data, &trade); err != nil {
+					log.Printf("Failed to unmarshal trade: %v", err)
+					continue
+				}
+				book.flow.AddTrade(&trade)
+				continue
+			}
+
 			var update binanceWSUpdate
-			if err := json.Unmarshal(msg, &update); err != nil {
+			if err := json.Unmarshal(wrapped.Data, &update); err != nil {
 				log.Printf("Failed to unmarshal update: %v", err)
 				continue
 			}
 
-			book.applyDelta(&update)
+			if history != nil {
+				if err := history.AppendDepth(symbol, time.Now().UnixMilli(), wrapped.Data); err != nil {
+					log.Printf("Failed to persist %s depth update: %v", strings.ToUpper(symbol), err)
+				}
+			}
+
+			if err := seq.Push(&update); err != nil {
+				log.Printf("Depth stream for %s broke: %v, resnapshotting", strings.ToUpper(symbol), err)
+				requestSnapshot()
+			}
+		}
+	}
+}
+
+// fetchDepthSnapshot gets the REST order book snapshot, retrying until it
+// succeeds or the sync is cancelled or done (nil)
+func fetchDepthSnapshot(symbol string, cancel, done chan bool) *binanceRESTResp {
+	snapURL := fmt.Sprintf("%s/fapi/v1/depth?symbol=%s&limit=1000", binanceRESTURL, strings.ToUpper(symbol))
+
+	for {
+		select {
+		case <-cancel:
+			return nil
+		case <-done:
+			return nil
+		default:
+			var snapResp binanceRESTResp
+			resp, err := http.Get(snapURL)
+			if err == nil && resp.StatusCode == 200 {
+				err2 := json.NewDecoder(resp.Body).Decode(&snapResp)
+				resp.Body.Close()
+				if err2 == nil && snapResp.LastUpdateID != 0 {
+					return &snapResp
+				}
+			} else if resp != nil {
+				resp.Body.Close()
+			}
+			time.Sleep(200 * time.Millisecond)
 		}
 	}
 }
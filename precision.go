@@ -19,8 +19,21 @@ type ExchangeInfo struct {
 
 // SymbolInfo represents information about a trading symbol
 type SymbolInfo struct {
-	Symbol  string   `json:"symbol"`
-	Filters []Filter `json:"filters"`
+	Symbol       string   `json:"symbol"`
+	Status       string   `json:"status"`
+	ContractType string   `json:"contractType"`
+	BaseAsset    string   `json:"baseAsset"`
+	QuoteAsset   string   `json:"quoteAsset"`
+	Filters      []Filter `json:"filters"`
+}
+
+// SymbolSummary is the part of a symbol's exchange info the frontend picker needs
+type SymbolSummary struct {
+	Symbol       string `json:"symbol"`
+	BaseAsset    string `json:"base_asset"`
+	QuoteAsset   string `json:"quote_asset"`
+	ContractType string `json:"contract_type"`
+	Status       string `json:"status"`
 }
 
 // Filter represents a symbol filter (price, lot size, etc.)
@@ -32,19 +45,22 @@ type Filter struct {
 
 // PrecisionInfo holds precision data for a symbol
 type PrecisionInfo struct {
-	Symbol        string `json:"symbol"`
-	PricePrecision int   `json:"price_precision"`
-	QtyPrecision   int   `json:"qty_precision"`
+	Symbol         string `json:"symbol"`
+	PricePrecision int    `json:"price_precision"`
+	QtyPrecision   int    `json:"qty_precision"`
 	TickSize       string `json:"tick_size"`
 	StepSize       string `json:"step_size"`
+	QuoteAsset     string `json:"quote_asset"` // Currency notional values are shown in
 	LastUpdated    int64  `json:"last_updated"`
 }
 
 // PrecisionManager manages precision information for symbols
 type PrecisionManager struct {
-	precisions map[string]*PrecisionInfo
-	mu         sync.RWMutex
-	client     *http.Client
+	precisions     map[string]*PrecisionInfo
+	symbols        []SymbolSummary // Every symbol in the last exchange info
+	symbolsUpdated int64
+	mu             sync.RWMutex
+	client         *http.Client
 }
 
 // NewPrecisionManager creates a new precision manager
@@ -96,8 +112,40 @@ func (pm *PrecisionManager) FetchPrecisionInfo(symbol string) (*PrecisionInfo, e
 	}
 	pm.mu.RUnlock()
 
-	// Fetch from API
-	url := "https://fapi.binance.com/fapi/v1/exchangeInfo"
+	exchangeInfo, err := pm.fetchExchangeInfo()
+	if err != nil {
+		return nil, err
+	}
+
+	upperSymbol := strings.ToUpper(symbol)
+
+	// Find the symbol in the response
+	for _, symbolInfo := range exchangeInfo.Symbols {
+		if symbolInfo.Symbol == upperSymbol {
+			precisionInfo := newPrecisionInfo(symbol, symbolInfo)
+
+			// Cache the result
+			pm.mu.Lock()
+			pm.precisions[symbol] = precisionInfo
+			pm.mu.Unlock()
+
+			log.Printf("Fetched precision for %s: price=%d, qty=%d, tick=%s, step=%s",
+				strings.ToUpper(symbol),
+				precisionInfo.PricePrecision,
+				precisionInfo.QtyPrecision,
+				precisionInfo.TickSize,
+				precisionInfo.StepSize)
+
+			return precisionInfo, nil
+		}
+	}
+
+	return nil, fmt.Errorf("symbol %s not found in exchange info", upperSymbol)
+}
+
+// fetchExchangeInfo downloads exchange info and refreshes the symbol list
+func (pm *PrecisionManager) fetchExchangeInfo() (*ExchangeInfo, error) {
+	url := binanceRESTURL + "/fapi/v1/exchangeInfo"
 	resp, err := pm.client.Get(url)
 	if err != nil {
 		return nil, fmt.Errorf("failed to fetch exchange info: %w", err)
@@ -113,53 +161,102 @@ func (pm *PrecisionManager) FetchPrecisionInfo(symbol string) (*PrecisionInfo, e
 		return nil, fmt.Errorf("failed to decode exchange info: %w", err)
 	}
 
-	upperSymbol := strings.ToUpper(symbol)
-	
-	// Find the symbol in the response
+	symbols := make([]SymbolSummary, 0, len(exchangeInfo.Symbols))
 	for _, symbolInfo := range exchangeInfo.Symbols {
-		if symbolInfo.Symbol == upperSymbol {
-			precisionInfo := &PrecisionInfo{
-				Symbol:         symbol,
-				PricePrecision: 2, // Default
-				QtyPrecision:   2, // Default
-				TickSize:       "0.01",
-				StepSize:       "0.01",
-				LastUpdated:    time.Now().Unix(),
-			}
+		symbols = append(symbols, SymbolSummary{
+			Symbol:       symbolInfo.Symbol,
+			BaseAsset:    symbolInfo.BaseAsset,
+			QuoteAsset:   symbolInfo.QuoteAsset,
+			ContractType: symbolInfo.ContractType,
+			Status:       symbolInfo.Status,
+		})
+	}
+
+	pm.mu.Lock()
+	pm.symbols = symbols
+	pm.symbolsUpdated = time.Now().Unix()
+	pm.mu.Unlock()
+
+	return &exchangeInfo, nil
+}
 
-			// Parse filters
-			for _, filter := range symbolInfo.Filters {
-				switch filter.FilterType {
-				case "PRICE_FILTER":
-					if filter.TickSize != "" {
-						precisionInfo.TickSize = filter.TickSize
-						precisionInfo.PricePrecision = calculatePrecision(filter.TickSize)
-					}
-				case "LOT_SIZE":
-					if filter.StepSize != "" {
-						precisionInfo.StepSize = filter.StepSize
-						precisionInfo.QtyPrecision = calculatePrecision(filter.StepSize)
-					}
-				}
+// newPrecisionInfo derives precision from a symbol's price and lot size filters
+func newPrecisionInfo(symbol string, symbolInfo SymbolInfo) *PrecisionInfo {
+	precisionInfo := &PrecisionInfo{
+		Symbol:         symbol,
+		PricePrecision: 2, // Default
+		QtyPrecision:   2, // Default
+		TickSize:       "0.01",
+		StepSize:       "0.01",
+		QuoteAsset:     "USDT",
+		LastUpdated:    time.Now().Unix(),
+	}
+	if symbolInfo.QuoteAsset != "" {
+		precisionInfo.QuoteAsset = symbolInfo.QuoteAsset
+	}
+
+	// Parse filters
+	for _, filter := range symbolInfo.Filters {
+		switch filter.FilterType {
+		case "PRICE_FILTER":
+			if filter.TickSize != "" {
+				precisionInfo.TickSize = filter.TickSize
+				precisionInfo.PricePrecision = calculatePrecision(filter.TickSize)
+			}
+		case "LOT_SIZE":
+			if filter.StepSize != "" {
+				precisionInfo.StepSize = filter.StepSize
+				precisionInfo.QtyPrecision = calculatePrecision(filter.StepSize)
 			}
+		}
+	}
 
-			// Cache the result
-			pm.mu.Lock()
-			pm.precisions[symbol] = precisionInfo
-			pm.mu.Unlock()
+	return precisionInfo
+}
 
-			log.Printf("Fetched precision for %s: price=%d, qty=%d, tick=%s, step=%s",
-				strings.ToUpper(symbol), 
-				precisionInfo.PricePrecision, 
-				precisionInfo.QtyPrecision,
-				precisionInfo.TickSize,
-				precisionInfo.StepSize)
+// ListSymbols returns every symbol from exchange info, refreshed hourly like precision
+func (pm *PrecisionManager) ListSymbols() ([]SymbolSummary, error) {
+	pm.mu.RLock()
+	symbols, updated := pm.symbols, pm.symbolsUpdated
+	pm.mu.RUnlock()
 
-			return precisionInfo, nil
+	if symbols != nil && time.Now().Unix()-updated < 3600 {
+		return symbols, nil
+	}
+
+	if _, err := pm.fetchExchangeInfo(); err != nil {
+		if symbols != nil {
+			return symbols, nil // Stale is better than nothing
 		}
+		return nil, err
 	}
 
-	return nil, fmt.Errorf("symbol %s not found in exchange info", upperSymbol)
+	pm.mu.RLock()
+	defer pm.mu.RUnlock()
+	return pm.symbols, nil
+}
+
+// ValidateSymbol rejects symbols that are unknown to Binance or no longer
+// trading. If exchange info can't be fetched the symbol is let through and
+// the Binance sync reports the failure instead.
+func (pm *PrecisionManager) ValidateSymbol(symbol string) error {
+	symbols, err := pm.ListSymbols()
+	if err != nil {
+		log.Printf("Cannot validate %s: %v", strings.ToUpper(symbol), err)
+		return nil
+	}
+
+	upperSymbol := strings.ToUpper(symbol)
+	for _, s := range symbols {
+		if s.Symbol != upperSymbol {
+			continue
+		}
+		if s.Status != "TRADING" {
+			return fmt.Errorf("%s is not trading (status %s)", upperSymbol, s.Status)
+		}
+		return nil
+	}
+	return fmt.Errorf("unknown symbol %s", upperSymbol)
 }
 
 // GetPrecisionInfo gets cached precision info or fetches it if not available
@@ -173,6 +270,7 @@ func (pm *PrecisionManager) GetPrecisionInfo(symbol string) *PrecisionInfo {
 			QtyPrecision:   2,
 			TickSize:       "0.01",
 			StepSize:       "0.01",
+			QuoteAsset:     "USDT",
 			LastUpdated:    time.Now().Unix(),
 		}
 	}
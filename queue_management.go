@@ -10,11 +10,11 @@ import (
 
 // OrderInfo represents detailed order information for better tracking
 type OrderInfo struct {
-	ID        uint64          `json:"id"`         // Synthetic order ID
-	Qty       decimal.Decimal `json:"qty"`        // Order quantity
-	Timestamp int64           `json:"timestamp"`  // Creation timestamp
-	Age       int64           `json:"age"`        // Age in milliseconds
-	IsPartial bool            `json:"is_partial"` // Whether this order was partially filled
+	ID        uint64          `json:"id"`            // Synthetic order ID
+	Qty       decimal.Decimal `json:"qty"`           // Order quantity
+	Timestamp int64           `json:"timestamp"`     // Creation timestamp
+	Age       int64           `json:"age,omitempty"` // Age in milliseconds
+	IsPartial bool            `json:"is_partial"`    // Whether this order was partially filled
 }
 
 // EnhancedOrderQueue provides advanced order queue management
@@ -92,6 +92,19 @@ func (eq *EnhancedOrderQueue) RemoveQty(qtyToRemove decimal.Decimal) {
 	eq.lastUpdate = now
 }
 
+// RemoveFilled removes quantity known to have traded, which always comes off
+// the front of the queue
+func (eq *EnhancedOrderQueue) RemoveFilled(qty decimal.Decimal) {
+	eq.mu.Lock()
+	defer eq.mu.Unlock()
+
+	if qty.LessThanOrEqual(decimal.Zero) {
+		return
+	}
+	eq.removeFIFO(&qty)
+	eq.lastUpdate = time.Now().UnixMilli()
+}
+
 // removeFIFO removes quantity using FIFO order (front of queue first)
 func (eq *EnhancedOrderQueue) removeFIFO(remaining *decimal.Decimal) {
 	i := 0
@@ -236,15 +249,17 @@ func (eq *EnhancedOrderQueue) GetAverageOrderAge() float64 {
 
 // GetQueueDepthMetrics returns detailed metrics about the queue
 type QueueMetrics struct {
-	TotalOrders    int             `json:"total_orders"`
-	TotalQty       decimal.Decimal `json:"total_qty"`
-	AvgOrderSize   decimal.Decimal `json:"avg_order_size"`
-	MaxOrderSize   decimal.Decimal `json:"max_order_size"`
-	MinOrderSize   decimal.Decimal `json:"min_order_size"`
-	AvgAge         float64         `json:"avg_age_ms"`
-	OldestAge      int64           `json:"oldest_age_ms"`
-	PartialOrders  int             `json:"partial_orders"`
-	LastUpdate     int64           `json:"last_update"`
+	TotalOrders     int             `json:"total_orders"`
+	TotalQty        decimal.Decimal `json:"total_qty"`
+	AvgOrderSize    decimal.Decimal `json:"avg_order_size"`
+	MaxOrderSize    decimal.Decimal `json:"max_order_size"`
+	MinOrderSize    decimal.Decimal `json:"min_order_size"`
+	AvgAge          float64         `json:"avg_age_ms"`
+	OldestAge       int64           `json:"oldest_age_ms"`
+	AvgTimestamp    float64         `json:"avg_timestamp,omitempty"` // Creation times the ages are measured from
+	OldestTimestamp int64           `json:"oldest_timestamp,omitempty"`
+	PartialOrders   int             `json:"partial_orders"`
+	LastUpdate      int64           `json:"last_update"`
 }
 
 // GetMetrics returns comprehensive queue metrics
@@ -264,6 +279,7 @@ func (eq *EnhancedOrderQueue) GetMetrics() QueueMetrics {
 
 	// Calculate min/max/average order sizes
 	totalAge := int64(0)
+	totalTimestamp := int64(0)
 	now := time.Now().UnixMilli()
 	partialCount := 0
 	
@@ -274,6 +290,7 @@ func (eq *EnhancedOrderQueue) GetMetrics() QueueMetrics {
 	for _, order := range eq.orders {
 		age := now - order.Timestamp
 		totalAge += age
+		totalTimestamp += order.Timestamp
 		
 		if age > oldestAge {
 			oldestAge = age
@@ -296,6 +313,8 @@ func (eq *EnhancedOrderQueue) GetMetrics() QueueMetrics {
 	metrics.MinOrderSize = minQty
 	metrics.AvgAge = float64(totalAge) / float64(len(eq.orders))
 	metrics.OldestAge = oldestAge
+	metrics.AvgTimestamp = float64(totalTimestamp) / float64(len(eq.orders))
+	metrics.OldestTimestamp = now - oldestAge
 	metrics.PartialOrders = partialCount
 
 	return metrics
@@ -0,0 +1,254 @@
+// Evaluates user-defined alert rules against each live l3_update frame and
+// delivers hits as desktop notifications and/or a beep. Rules and the alert
+// log are shared by every view on the page and persist in localStorage; a
+// rule only applies to the symbol it was created for.
+//
+// Rule types:
+//   large_order  an order of at least qty appears within ticks of mid
+//   order_pulled a tracked large order (gold in the chart) leaves the book
+//   spread       the spread widens to at least ticks
+//   queue_ahead  the queue at price on side shrinks below qty
+class AlertEngine {
+	constructor({ onFire = null } = {}) {
+		this.onFire = onFire;
+		this.previous = null; // { symbol, orders: Set, large: Map } from the last frame
+		this.active = new Set(); // Condition rules currently true, fire on the edge
+	}
+
+	static get rules() {
+		return AlertEngine.load("l3-alerts");
+	}
+
+	static get log() {
+		return AlertEngine.load("l3-alert-log");
+	}
+
+	static load(key) {
+		return JSON.parse(localStorage.getItem(key) || "[]");
+	}
+
+	static addRule(rule) {
+		const rules = AlertEngine.rules;
+		rules.push({ id: `${Date.now()}-${rules.length}`, enabled: true, ...rule });
+		localStorage.setItem("l3-alerts", JSON.stringify(rules));
+		AlertEngine.changed();
+	}
+
+	static updateRule(id, changes) {
+		const rules = AlertEngine.rules.map((r) => (r.id === id ? { ...r, ...changes } : r));
+		localStorage.setItem("l3-alerts", JSON.stringify(rules));
+		AlertEngine.changed();
+	}
+
+	static removeRule(id) {
+		const rules = AlertEngine.rules.filter((r) => r.id !== id);
+		localStorage.setItem("l3-alerts", JSON.stringify(rules));
+		AlertEngine.changed();
+	}
+
+	static clearLog() {
+		localStorage.removeItem("l3-alert-log");
+		AlertEngine.changed();
+	}
+
+	// Every view redraws its alert panel when rules or the log change
+	static changed() {
+		document.dispatchEvent(new CustomEvent("l3-alerts-changed"));
+	}
+
+	static describe(rule) {
+		const side = rule.side === "both" ? "" : `${rule.side} `;
+		switch (rule.type) {
+			case "large_order":
+				return `${rule.symbol}: ${side}order ≥ ${rule.qty} within ${rule.ticks} ticks of mid`;
+			case "order_pulled":
+				return `${rule.symbol}: tracked large ${side}order pulled`;
+			case "spread":
+				return `${rule.symbol}: spread ≥ ${rule.ticks} ticks`;
+			case "queue_ahead":
+				return `${rule.symbol}: ${rule.side} queue at ${rule.price} < ${rule.qty}`;
+			default:
+				return `${rule.symbol}: ${rule.type}`;
+		}
+	}
+
+	evaluate(data) {
+		const symbol = data.symbol.toUpperCase();
+		// Never diff a new symbol's book against the old one
+		if (this.previous && this.previous.symbol !== symbol) {
+			this.previous = null;
+			this.active.clear();
+		}
+		const rules = AlertEngine.rules.filter((r) => r.enabled && r.symbol === symbol);
+		const bestBid = data.bids.length ? Number.parseFloat(data.bids[0].price) : null;
+		const bestAsk = data.asks.length ? Number.parseFloat(data.asks[0].price) : null;
+		const tickSize = Number.parseFloat((data.precision && data.precision.tick_size) || "0.01");
+
+		// Index this frame's orders by side, price and synthetic ID
+		const orders = new Set();
+		const large = new Map(); // key -> { side, price, qty }
+		for (const [side, levels] of [["bid", data.bids], ["ask", data.asks]]) {
+			for (const level of levels) {
+				(level.order_details || []).forEach((order, i) => {
+					const key = `${side}|${level.price}|${order.id}`;
+					orders.add(key);
+					if (AlertEngine.highlightColors.has(level.colors && level.colors[i])) {
+						large.set(key, { side, price: level.price, qty: order.qty });
+					}
+				});
+			}
+		}
+
+		if (bestBid !== null && bestAsk !== null) {
+			const context = { data, bestBid, bestAsk, tickSize, orders };
+			for (const rule of rules) {
+				const hits = this.check(rule, context);
+				if (hits.length > 0) {
+					const more = hits.length > 1 ? ` (+${hits.length - 1} more)` : "";
+					this.fire(rule, symbol, hits[0] + more, data.timestamp);
+				}
+			}
+		}
+
+		// Tracked orders stay tracked until they leave the book, even after a
+		// bigger order takes over the gold highlight
+		if (this.previous) {
+			this.previous.large.forEach((order, key) => {
+				if (orders.has(key) && !large.has(key)) large.set(key, order);
+			});
+		}
+		this.previous = { symbol, orders, large };
+	}
+
+	// Returns a message per hit
+	check(rule, { data, bestBid, bestAsk, tickSize, orders }) {
+		const matchesSide = (side) => rule.side === "both" || rule.side === side;
+
+		switch (rule.type) {
+			case "large_order": {
+				// Needs a previous frame to tell new orders from old ones
+				if (!this.previous) return [];
+				const mid = (bestBid + bestAsk) / 2;
+				const hits = [];
+				for (const [side, levels] of [["bid", data.bids], ["ask", data.asks]]) {
+					if (!matchesSide(side)) continue;
+					for (const level of levels) {
+						const price = Number.parseFloat(level.price);
+						if (Math.abs(price - mid) / tickSize > rule.ticks) continue;
+						for (const order of level.order_details || []) {
+							const key = `${side}|${level.price}|${order.id}`;
+							if (Number.parseFloat(order.qty) >= rule.qty && !this.previous.orders.has(key)) {
+								hits.push(`New ${side} order ${order.qty} @ ${level.price}`);
+							}
+						}
+					}
+				}
+				return hits;
+			}
+			case "order_pulled": {
+				if (!this.previous) return [];
+				// Only count orders whose price is still inside the sent levels;
+				// ones that scrolled out of range aren't known to be gone
+				const lowest = Number.parseFloat(data.bids[data.bids.length - 1].price);
+				const highest = Number.parseFloat(data.asks[data.asks.length - 1].price);
+				const hits = [];
+				this.previous.large.forEach((order, key) => {
+					const price = Number.parseFloat(order.price);
+					if (!matchesSide(order.side) || orders.has(key)) return;
+					if (price < lowest || price > highest) return;
+					hits.push(`Large ${order.side} order ${order.qty} @ ${order.price} left the book`);
+				});
+				return hits;
+			}
+			case "spread": {
+				const ticks = Math.round((bestAsk - bestBid) / tickSize);
+				return this.edge(rule, ticks >= rule.ticks, `Spread widened to ${ticks} ticks`);
+			}
+			case "queue_ahead": {
+				const levels = rule.side === "bid" ? data.bids : data.asks;
+				const price = Number.parseFloat(rule.price);
+				const level = levels.find((l) => Number.parseFloat(l.price) === price);
+				// A missing level inside the sent range is empty; one deeper than
+				// the sent levels is unknown, so leave the rule as it was
+				if (!level) {
+					const deepest = Number.parseFloat(levels[levels.length - 1].price);
+					if (rule.side === "bid" ? price < deepest : price > deepest) return [];
+				}
+				const qty = level ? Number.parseFloat(level.total_size) : 0;
+				return this.edge(rule, qty < rule.qty, `Queue at ${rule.price} down to ${qty}`);
+			}
+			default:
+				return [];
+		}
+	}
+
+	// Condition rules fire once when they become true and re-arm once false
+	edge(rule, condition, message) {
+		const wasActive = this.active.has(rule.id);
+		if (condition) {
+			this.active.add(rule.id);
+		} else {
+			this.active.delete(rule.id);
+		}
+		return condition && !wasActive ? [message] : [];
+	}
+
+	fire(rule, symbol, message, timestamp) {
+		// Event rules can hit on every frame in a busy book, and two views on
+		// the same symbol see the same hit, so the cooldown is page-wide
+		const now = Date.now();
+		if (now - (AlertEngine.lastFired.get(rule.id) || 0) < AlertEngine.cooldown) return;
+		AlertEngine.lastFired.set(rule.id, now);
+
+		const entry = { ruleId: rule.id, symbol, message, timestamp: timestamp || now };
+		const log = [entry, ...AlertEngine.log].slice(0, AlertEngine.logLength);
+		localStorage.setItem("l3-alert-log", JSON.stringify(log));
+
+		if (rule.delivery === "desktop" || rule.delivery === "both") {
+			AlertEngine.notify(symbol, message);
+		}
+		if (rule.delivery === "sound" || rule.delivery === "both") {
+			AlertEngine.beep();
+		}
+		if (this.onFire) {
+			this.onFire(entry);
+		}
+		AlertEngine.changed();
+	}
+
+	static notify(symbol, message) {
+		if (!("Notification" in window) || Notification.permission !== "granted") return;
+		new Notification(`${symbol} alert`, { body: message, tag: `l3-${symbol}` });
+	}
+
+	static requestPermission() {
+		if ("Notification" in window && Notification.permission === "default") {
+			Notification.requestPermission();
+		}
+	}
+
+	// Short tone from an oscillator, so no sound file has to be served
+	static beep() {
+		const AudioContext = window.AudioContext || window.webkitAudioContext;
+		if (!AudioContext) return;
+		if (!AlertEngine.audio) {
+			AlertEngine.audio = new AudioContext();
+		}
+
+		const audio = AlertEngine.audio;
+		const oscillator = audio.createOscillator();
+		const gain = audio.createGain();
+		oscillator.frequency.value = 880;
+		gain.gain.setValueAtTime(0.2, audio.currentTime);
+		gain.gain.exponentialRampToValueAtTime(0.001, audio.currentTime + 0.3);
+		oscillator.connect(gain).connect(audio.destination);
+		oscillator.start();
+		oscillator.stop(audio.currentTime + 0.3);
+	}
+}
+
+// Gold and dark gold from the server's GetSpecialOrderColor
+AlertEngine.highlightColors = new Set(["#ffd700", "#b8860b"]);
+AlertEngine.cooldown = 5000; // ms between hits of the same rule
+AlertEngine.lastFired = new Map(); // rule id -> when it last fired
+AlertEngine.logLength = 200;
@@ -0,0 +1,90 @@
+// Client side of /ws protocol 2: keeps the book from the last book_snapshot,
+// applies each book_delta to it and rebuilds a frame shaped like the
+// protocol 1 l3_update data, so the rest of the page doesn't care which
+// protocol is in use. A delta whose seq doesn't follow the last one means a
+// message was missed; the model drops its book and calls onGap once, and
+// ignores deltas until the snapshot the caller requests arrives.
+class BookModel {
+	constructor({ onGap = null } = {}) {
+		this.onGap = onGap;
+		this.reset();
+	}
+
+	reset() {
+		this.seq = null;
+		this.header = null; // Snapshot fields other than the levels
+		this.bids = new Map(); // price -> level, as sent
+		this.asks = new Map();
+	}
+
+	// Returns the rebuilt frame, or null if the message couldn't be applied
+	apply(message) {
+		if (message.type === "book_snapshot") {
+			const { bids, asks, ...header } = message.data;
+			this.seq = message.seq;
+			this.header = header;
+			this.bids = new Map(bids.map((level) => [level.price, level]));
+			this.asks = new Map(asks.map((level) => [level.price, level]));
+			return this.frame();
+		}
+
+		if (this.seq === null) return null;
+		if (message.seq !== this.seq + 1) {
+			console.warn(`Book delta ${message.seq} after ${this.seq}, resyncing`);
+			this.reset();
+			if (this.onGap) {
+				this.onGap();
+			}
+			return null;
+		}
+
+		this.seq = message.seq;
+		for (const [book, levels, removed] of [
+			[this.bids, message.bids, message.removed_bids],
+			[this.asks, message.asks, message.removed_asks],
+		]) {
+			for (const level of levels) book.set(level.price, level);
+			for (const price of removed) book.delete(price);
+		}
+		this.header = {
+			...this.header,
+			timestamp: message.timestamp,
+			symbol: message.symbol,
+			kmeans_mode: message.kmeans_mode,
+			num_clusters: message.num_clusters,
+			...(message.precision ? { precision: message.precision } : {}),
+		};
+		return this.frame();
+	}
+
+	// Levels are stored as received and never changed, so frames share the
+	// ones that didn't change and recorded frames stay as they were
+	frame() {
+		const timestamp = this.header.timestamp;
+		const sorted = (book, direction) =>
+			[...book.values()]
+				.sort((a, b) => direction * (Number.parseFloat(a.price) - Number.parseFloat(b.price)))
+				.map((level) => BookModel.withAges(level, timestamp));
+
+		return {
+			...this.header,
+			bids: sorted(this.bids, -1),
+			asks: sorted(this.asks, 1),
+		};
+	}
+
+	// Protocol 2 leaves out queue ages, which change on every frame; they
+	// are worked out again from the creation times the server sends
+	static withAges(level, timestamp) {
+		const metrics = level.queue_metrics;
+		if (!metrics || metrics.avg_timestamp === undefined) return level;
+		return {
+			...level,
+			queue_metrics: {
+				...metrics,
+				avg_age_ms: Math.max(0, timestamp - metrics.avg_timestamp),
+				oldest_age_ms: Math.max(0, timestamp - metrics.oldest_timestamp),
+			},
+		};
+	}
+}
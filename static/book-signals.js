@@ -0,0 +1,130 @@
+// Standard microstructure signals computed from each l3_update over the top
+// N levels per side, with a rolling history for the signal charts and CSV
+// export. Changing N starts a new history, since the series aren't comparable.
+class BookSignals {
+	constructor({ depth = 5, sampleInterval = 500, historyLength = 1200 } = {}) {
+		this.depth = depth;
+		this.sampleInterval = sampleInterval; // ms of book time between samples
+		this.historyLength = historyLength; // 10 minutes at the default interval
+		this.history = [];
+		this.latest = null;
+	}
+
+	setDepth(depth) {
+		this.depth = depth;
+		this.history = [];
+		this.latest = null;
+	}
+
+	clear() {
+		this.history = [];
+		this.latest = null;
+	}
+
+	// Computes the signals for a frame and samples them into the history
+	record(data) {
+		const sample = BookSignals.compute(data, this.depth);
+		if (!sample) return;
+
+		this.latest = sample;
+		const last = this.history[this.history.length - 1];
+		if (last && sample.timestamp - last.timestamp < this.sampleInterval) return;
+
+		this.history.push(sample);
+		if (this.history.length > this.historyLength) {
+			this.history.shift();
+		}
+	}
+
+	static compute(data, depth) {
+		const bids = data.bids.slice(0, depth);
+		const asks = data.asks.slice(0, depth);
+		if (bids.length === 0 || asks.length === 0) return null;
+
+		const qty = (levels) => levels.reduce((sum, l) => sum + Number.parseFloat(l.total_size), 0);
+		const count = (levels) => levels.reduce((sum, l) => sum + l.order_count, 0);
+		const imbalance = (bid, ask) => (bid + ask > 0 ? (bid - ask) / (bid + ask) : 0);
+
+		const bidQty = qty(bids);
+		const askQty = qty(asks);
+		const bidCount = count(bids);
+		const askCount = count(asks);
+
+		// Microprice leans towards the side with less resting at the touch,
+		// which is the side more likely to be taken out next
+		const bestBid = Number.parseFloat(bids[0].price);
+		const bestAsk = Number.parseFloat(asks[0].price);
+		const touchBid = Number.parseFloat(bids[0].total_size);
+		const touchAsk = Number.parseFloat(asks[0].total_size);
+		const microprice =
+			touchBid + touchAsk > 0
+				? (bestBid * touchAsk + bestAsk * touchBid) / (touchBid + touchAsk)
+				: (bestBid + bestAsk) / 2;
+
+		return {
+			timestamp: data.timestamp,
+			mid: (bestBid + bestAsk) / 2,
+			microprice,
+			volume_imbalance: imbalance(bidQty, askQty),
+			count_imbalance: imbalance(bidCount, askCount),
+			avg_bid_order: bidCount > 0 ? bidQty / bidCount : 0,
+			avg_ask_order: askCount > 0 ? askQty / askCount : 0,
+			large_bid_share: BookSignals.largeOrderShare(bids, data),
+			large_ask_share: BookSignals.largeOrderShare(asks, data),
+		};
+	}
+
+	// Share of the side's quantity in the top k-means cluster. Clusters are
+	// sorted by centroid, so the highest label holds the largest orders. That
+	// is the highest label present rather than num_clusters - 1: empty
+	// clusters, and the bounds local clustering drops, leave labels unused.
+	// null when the frame wasn't clustered.
+	static largeOrderShare(levels, data) {
+		if (!data.kmeans_mode) return null;
+
+		let top = -1;
+		let total = 0;
+		let large = 0;
+		for (const level of levels) {
+			for (const order of level.clustered_orders || []) {
+				const qty = Number.parseFloat(order.qty);
+				total += qty;
+				if (order.cluster > top) {
+					top = order.cluster;
+					large = 0;
+				}
+				if (order.cluster === top) {
+					large += qty;
+				}
+			}
+		}
+		return top >= 0 && total > 0 ? large / total : null;
+	}
+
+	values(key) {
+		return this.history.map((sample) => sample[key]).filter((v) => v !== null);
+	}
+
+	toCSV() {
+		const columns = ["timestamp", "time", ...BookSignals.columns];
+		const rows = this.history.map((sample) =>
+			[
+				sample.timestamp,
+				new Date(sample.timestamp).toISOString(),
+				...BookSignals.columns.map((key) => (sample[key] === null ? "" : sample[key])),
+			].join(","),
+		);
+		return [columns.join(","), ...rows].join("\n") + "\n";
+	}
+}
+
+BookSignals.columns = [
+	"mid",
+	"microprice",
+	"volume_imbalance",
+	"count_imbalance",
+	"avg_bid_order",
+	"avg_ask_order",
+	"large_bid_share",
+	"large_ask_share",
+];
@@ -0,0 +1,322 @@
+// Canvas backend for the segmented order bars. Reads the same level data as
+// the SVG renderer in L3OrderBookVisualizer but draws everything into a
+// single bitmap, so hundreds of levels and thousands of segments stay cheap.
+class CanvasOrderBookRenderer {
+	constructor(container) {
+		this.container = container;
+		this.canvas = container
+			.append("canvas")
+			.attr("class", "orderbook-canvas")
+			.style("position", "absolute")
+			.style("top", 0)
+			.style("left", 0)
+			.style("display", "none")
+			.node();
+		this.ctx = this.canvas.getContext("2d");
+		this.width = 0;
+		this.height = 0;
+		this.lastFrame = null;
+	}
+
+	show(visible) {
+		this.canvas.style.display = visible ? "block" : "none";
+		if (!visible) {
+			this.clear();
+		}
+	}
+
+	resize() {
+		const rect = this.container.node().getBoundingClientRect();
+		const ratio = window.devicePixelRatio || 1;
+		if (rect.width === this.width && rect.height === this.height) return;
+
+		this.width = rect.width;
+		this.height = rect.height;
+		this.canvas.width = Math.round(rect.width * ratio);
+		this.canvas.height = Math.round(rect.height * ratio);
+		this.canvas.style.width = `${rect.width}px`;
+		this.canvas.style.height = `${rect.height}px`;
+		this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+	}
+
+	clear() {
+		this.ctx.clearRect(0, 0, this.width, this.height);
+	}
+
+	// bidData/askData are the level objects built by prepareLevelData, with
+	// d.x already set to the level's position on the current x-axis
+	render({
+		bidData,
+		askData,
+		xScale,
+		yScale,
+		margin,
+		spacing,
+		centerX,
+		depth,
+		priceAxis,
+		labelStep,
+		countStep,
+		markers,
+		formatPrice,
+		formatQuantity,
+	}) {
+		this.resize();
+		this.clear();
+
+		const ctx = this.ctx;
+		const allData = [...bidData, ...askData];
+		const height = yScale.range()[0];
+		const barWidth = Math.max(1, Math.min(12, spacing * 0.8));
+		this.lastFrame = { allData, xScale, yScale, margin, barWidth };
+
+		ctx.save();
+		ctx.translate(margin.left, margin.top);
+
+		// Center line
+		ctx.strokeStyle = "#888";
+		ctx.lineWidth = 2;
+		ctx.beginPath();
+		ctx.moveTo(centerX, 0);
+		ctx.lineTo(centerX, height);
+		ctx.stroke();
+
+		// Bars and curves stop at the plot edge when zoomed in
+		const width = xScale.range()[1];
+		ctx.save();
+		ctx.beginPath();
+		ctx.rect(0, 0, width, height);
+		ctx.clip();
+		this.drawBars(allData, xScale, yScale, barWidth);
+		if (depth) {
+			this.drawDepthCurves(depth, xScale, height, priceAxis);
+		}
+		this.drawTradeMarkers(markers, xScale);
+		ctx.restore();
+
+		if (depth) {
+			this.drawDepthAxis(depth, width, formatQuantity);
+		}
+		this.drawOrderCounts(allData, xScale, yScale, countStep);
+		this.drawPriceLabels(bidData, askData, xScale, height, labelStep, formatPrice);
+
+		ctx.restore();
+	}
+
+	// Map a canvas x coordinate to the level whose bar is under it
+	hitLevel(mx) {
+		if (!this.lastFrame) return null;
+
+		const { allData, xScale, margin, barWidth } = this.lastFrame;
+		const x = mx - margin.left;
+		const level = allData.reduce(
+			(best, d) =>
+				!best || Math.abs(xScale(d.x) - x) < Math.abs(xScale(best.x) - x) ? d : best,
+			null,
+		);
+		if (!level || Math.abs(x - xScale(level.x)) > Math.max(barWidth / 2, 2)) {
+			return null;
+		}
+		return level;
+	}
+
+	// Map a point in canvas coordinates to the order segment under it
+	hitTest(mx, my) {
+		const level = this.hitLevel(mx);
+		if (!level) return null;
+
+		const { yScale, margin } = this.lastFrame;
+		const qty = yScale.invert(my - margin.top);
+		const segment = level.segments.find((s) => qty >= s.y0 && qty < s.y1);
+		return segment || null;
+	}
+
+	drawBars(allData, xScale, yScale, barWidth) {
+		const ctx = this.ctx;
+		const baseline = yScale(0);
+		// Segment strokes and separators only help once bars are wide enough to see them
+		const detailed = barWidth >= 4;
+
+		allData.forEach((d) => {
+			const x = xScale(d.x) - barWidth / 2;
+			const strokeColor = d.index < 0 ? "#00cc66" : "#cc3333";
+
+			d.segments.forEach((s) => {
+				ctx.globalAlpha = s.dimmed ? 0.1 : 0.9;
+				const top = yScale(s.y1);
+				const segmentHeight = yScale(s.y0) - top;
+				ctx.fillStyle = s.color;
+				ctx.fillRect(x, top, barWidth, segmentHeight);
+
+				if (detailed) {
+					ctx.strokeStyle = s.stroke;
+					ctx.lineWidth = 0.5;
+					ctx.strokeRect(x, top, barWidth, segmentHeight);
+				}
+			});
+			ctx.globalAlpha = 1;
+
+			if (detailed && d.segments.length > 1) {
+				ctx.strokeStyle = "#ffffff";
+				ctx.lineWidth = 1;
+				ctx.beginPath();
+				d.segments.slice(0, -1).forEach((s) => {
+					const y = yScale(s.y1);
+					ctx.moveTo(x, y);
+					ctx.lineTo(x + barWidth, y);
+				});
+				ctx.stroke();
+			}
+
+			// Outer border for the entire bar
+			ctx.strokeStyle = strokeColor;
+			ctx.lineWidth = detailed ? 1.5 : 0.5;
+			ctx.strokeRect(x, yScale(d.size), barWidth, baseline - yScale(d.size));
+
+			// Our virtual order, stacked on top of the queue it joined
+			if (d.virtual) {
+				const top = yScale(d.virtual.y1);
+				const virtualHeight = yScale(d.virtual.y0) - top;
+				ctx.fillStyle = "rgba(0, 229, 255, 0.35)";
+				ctx.fillRect(x, top, barWidth, virtualHeight);
+				ctx.strokeStyle = "#00e5ff";
+				ctx.lineWidth = 1.5;
+				ctx.setLineDash([3, 2]);
+				ctx.strokeRect(x, top, barWidth, virtualHeight);
+				ctx.setLineDash([]);
+			}
+		});
+	}
+
+	drawDepthCurves(depth, xScale, height, priceAxis) {
+		const ctx = this.ctx;
+
+		// Step curves hold the cumulative value until the next level outwards
+		const drawCurve = (points, color) => {
+			if (points.length === 0) return;
+			ctx.strokeStyle = color;
+			ctx.lineWidth = 1.5;
+			ctx.beginPath();
+			ctx.moveTo(xScale(points[0].x), depth.scale(points[0].cum));
+			for (let i = 1; i < points.length; i++) {
+				ctx.lineTo(xScale(points[i].x), depth.scale(points[i - 1].cum));
+				ctx.lineTo(xScale(points[i].x), depth.scale(points[i].cum));
+			}
+			ctx.stroke();
+		};
+		drawCurve(depth.bids, "#00ff88");
+		drawCurve(depth.asks, "#ff4444");
+
+		// The ±band only maps onto the axis when it is a true price scale
+		if (priceAxis) {
+			ctx.strokeStyle = "#ffff00";
+			ctx.lineWidth = 1;
+			ctx.setLineDash([4, 3]);
+			ctx.beginPath();
+			[depth.bandLow, depth.bandHigh].forEach((price) => {
+				ctx.moveTo(xScale(price), 0);
+				ctx.lineTo(xScale(price), height);
+			});
+			ctx.stroke();
+			ctx.setLineDash([]);
+		}
+	}
+
+	drawTradeMarkers(markers, xScale) {
+		const ctx = this.ctx;
+
+		markers.forEach((m) => {
+			ctx.beginPath();
+			ctx.arc(xScale(m.x), m.y, m.r, 0, Math.PI * 2);
+			ctx.globalAlpha = m.opacity * 0.6;
+			ctx.fillStyle = m.color;
+			ctx.fill();
+			ctx.globalAlpha = m.opacity;
+			ctx.strokeStyle = "#ffffff";
+			ctx.lineWidth = 1;
+			ctx.stroke();
+		});
+		ctx.globalAlpha = 1;
+	}
+
+	drawDepthAxis(depth, width, formatQuantity) {
+		const ctx = this.ctx;
+
+		// Depth axis on the right
+		ctx.fillStyle = "#888";
+		ctx.font = "10px Monaco, monospace";
+		ctx.textAlign = "left";
+		ctx.textBaseline = "middle";
+		const format = d3.format("~s");
+		depth.scale.ticks(6).forEach((tick) => {
+			ctx.fillText(format(tick), width + 6, depth.scale(tick));
+		});
+
+		ctx.fillStyle = "#ffff00";
+		ctx.font = "11px Monaco, monospace";
+		ctx.textAlign = "right";
+		ctx.textBaseline = "alphabetic";
+		ctx.fillText(
+			`±${depth.bandPct}% of mid: ${formatQuantity(depth.bidBand)} bid / ${formatQuantity(depth.askBand)} ask`,
+			width - 5,
+			12,
+		);
+	}
+
+	drawOrderCounts(allData, xScale, yScale, step) {
+		// Badges are 20px wide; the caller picks a level step that keeps them apart
+		const ctx = this.ctx;
+
+		ctx.font = "bold 10px Monaco, monospace";
+		ctx.textAlign = "center";
+		ctx.textBaseline = "alphabetic";
+
+		allData
+			.filter((d) => d.orders > 1 && d.levelIndex % step === 0)
+			.forEach((d) => {
+				const x = xScale(d.x);
+				const y = yScale(d.top) - 15; // Position above the bar
+
+				ctx.fillStyle = "rgba(0, 0, 0, 0.8)";
+				ctx.strokeStyle = d.index < 0 ? "#00ff88" : "#ff4444";
+				ctx.lineWidth = 1;
+				ctx.beginPath();
+				ctx.arc(x, y, 10, 0, Math.PI * 2);
+				ctx.fill();
+				ctx.stroke();
+
+				ctx.fillStyle = "#ffff00";
+				ctx.fillText(String(d.orders), x, y + 4);
+			});
+	}
+
+	drawPriceLabels(bidData, askData, xScale, height, step, formatPrice) {
+		const labelY = height + 30;
+		const ctx = this.ctx;
+
+		ctx.font = "bold 11px Monaco, monospace";
+		ctx.textAlign = "center";
+		ctx.textBaseline = "alphabetic";
+
+		const drawLabel = (d, angle, color) => {
+			ctx.save();
+			ctx.translate(xScale(d.x), labelY);
+			ctx.rotate(angle);
+			ctx.fillStyle = "rgba(0, 0, 0, 0.8)";
+			ctx.fillRect(-30, -8, 60, 16);
+			ctx.strokeStyle = color;
+			ctx.lineWidth = 1;
+			ctx.strokeRect(-30, -8, 60, 16);
+			ctx.fillStyle = "#ffffff";
+			ctx.fillText(formatPrice(d.price), 0, 4);
+			ctx.restore();
+		};
+
+		bidData
+			.filter((d) => d.levelIndex % step === 0)
+			.forEach((d) => drawLabel(d, -Math.PI / 4, "#00ff88"));
+		askData
+			.filter((d) => d.levelIndex % step === 0)
+			.forEach((d) => drawLabel(d, Math.PI / 4, "#ff4444"));
+	}
+}
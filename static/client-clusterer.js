@@ -0,0 +1,159 @@
+// Clusters order sizes in the browser so each view can pick its own algorithm
+// and cluster count without asking the server to cluster. The work runs in
+// cluster-worker.js; frames are labelled with the latest class bounds it has
+// sent back while it works on the next frame, and the resulting
+// clustered_orders and colors have the same shape as the server's.
+class ClientClusterer {
+	constructor() {
+		this.worker = null;
+		this.pending = null; // Job the worker is busy with
+		this.result = null; // { symbol, algorithm, k, bids, asks } class bounds
+		this.jobId = 0;
+	}
+
+	start() {
+		if (this.worker || typeof Worker === "undefined") return;
+		this.worker = new Worker("cluster-worker.js");
+		this.worker.onmessage = (event) => {
+			const job = this.pending;
+			if (!job || event.data.id !== job.id) return;
+			this.pending = null;
+			this.result = { ...job, bids: event.data.bids, asks: event.data.asks };
+		};
+		this.worker.onerror = (event) => {
+			console.error("Cluster worker failed:", event.message);
+			this.pending = null;
+		};
+	}
+
+	stop() {
+		if (this.worker) {
+			this.worker.terminate();
+			this.worker = null;
+		}
+		this.pending = null;
+		this.result = null;
+	}
+
+	// Labels and colors the frame with the latest bounds for its
+	// symbol and settings, and hands the frame to the worker if it's idle.
+	// Until the first bounds arrive the frame is left unclustered.
+	apply(data, algorithm, k) {
+		this.start();
+		if (!this.worker) return data;
+
+		const symbol = data.symbol.toUpperCase();
+		if (!this.pending) {
+			const sizes = (levels) =>
+				levels.flatMap((level) => (level.orders || []).map((o) => Number.parseFloat(o)));
+			this.pending = { id: ++this.jobId, symbol, algorithm, k };
+			this.worker.postMessage({
+				id: this.jobId,
+				algorithm,
+				k,
+				bids: sizes(data.bids),
+				asks: sizes(data.asks),
+			});
+		}
+
+		const result = this.result;
+		if (!result || result.symbol !== symbol || result.algorithm !== algorithm || result.k !== k) {
+			return data;
+		}
+
+		data.bids = ClientClusterer.label(data.bids, result.bids, ClientClusterer.palette("bid", k));
+		data.asks = ClientClusterer.label(data.asks, result.asks, ClientClusterer.palette("ask", k));
+		data.kmeans_mode = true;
+		data.num_clusters = k;
+		data.cluster_algorithm = algorithm;
+		return data;
+	}
+
+	static label(levels, bounds, palette) {
+		// The side's largest and second largest sizes keep the gold highlight,
+		// as in the server's GetSpecialOrderColor
+		const sizes = [...new Set(levels.flatMap((l) => (l.orders || []).map(Number.parseFloat)))];
+		sizes.sort((a, b) => b - a);
+		const [max, second] = sizes;
+
+		// Levels can be shared with earlier frames (see BookModel), so they
+		// are copied rather than changed
+		return levels.map((level) => {
+			if (!level.orders) return level;
+			const clustered = level.orders.map((o) => ({
+				qty: o,
+				cluster: ClientClusterer.classOf(Number.parseFloat(o), bounds),
+			}));
+			const colors = clustered.map((order) => {
+				const qty = Number.parseFloat(order.qty);
+				if (qty === max) return "#ffd700";
+				if (qty === second) return "#b8860b";
+				return palette[order.cluster % palette.length];
+			});
+			return { ...level, clustered_orders: clustered, colors };
+		});
+	}
+
+	// A side's colors for k clusters. Up to the palette's size that is the
+	// palette itself; more clusters get colors spread evenly along its
+	// gradient, as the server's GetClusterColor does, so none share one.
+	static palette(side, k) {
+		const colors = side === "bid" ? ClientClusterer.bidColors : ClientClusterer.askColors;
+		if (k <= colors.length) return colors;
+
+		const key = `${side}:${k}`;
+		if (!ClientClusterer.palettes.has(key)) {
+			const gradient = d3.piecewise(d3.interpolateRgb, colors);
+			ClientClusterer.palettes.set(key, d3.quantize(gradient, k).map((color) => d3.color(color).formatHex()));
+		}
+		return ClientClusterer.palettes.get(key);
+	}
+
+	// Number of class bounds below qty
+	static classOf(qty, bounds) {
+		let low = 0;
+		let high = bounds.length;
+		while (low < high) {
+			const mid = (low + high) >> 1;
+			if (qty > bounds[mid]) {
+				low = mid + 1;
+			} else {
+				high = mid;
+			}
+		}
+		return low;
+	}
+}
+
+// BidColors and AskColors from colors.go
+ClientClusterer.bidColors = [
+	"#deebf7",
+	"#cce3f5",
+	"#9ecae1",
+	"#81bde7",
+	"#6baed6",
+	"#4e9dca",
+	"#3182bd",
+	"#2171b5",
+	"#1060a8",
+	"#08519c",
+];
+ClientClusterer.askColors = [
+	"#fee6ce",
+	"#fdd8ba",
+	"#fdae6b",
+	"#fd9f58",
+	"#fd8d3c",
+	"#f57e2f",
+	"#e6550d",
+	"#cc4b0c",
+	"#b3410a",
+	"#a63603",
+];
+ClientClusterer.palettes = new Map(); // "side:k" -> generated colors for k above 10
+ClientClusterer.algorithms = {
+	server: "Server k-means",
+	kmeans: "k-means (local)",
+	jenks: "Jenks breaks (local)",
+	quantile: "Quantiles (local)",
+};
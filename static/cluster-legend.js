@@ -0,0 +1,172 @@
+// Legend for k-means mode, built from the cluster assignments in each frame.
+// Bids and asks are clustered separately, so each side has its own entries.
+// The server's labels are only ranks by centroid and shift whenever a cluster
+// is empty in view or the centroids move, so every frame's clusters are
+// matched onto the existing entries by size and each entry keeps its name,
+// and any filter on it, across frames.
+class ClusterLegend {
+	constructor() {
+		this.hidden = new Set(); // "side:key" of hidden entries
+		this.isolated = null; // "side:key" of the only entry shown, or null
+		this.reset();
+	}
+
+	// Starts over, e.g. for a new symbol or cluster count
+	reset() {
+		this.entries = { bid: [], ask: [] };
+		this.labels = { bid: new Map(), ask: new Map() }; // frame label -> entry
+		this.numClusters = null;
+		this.symbol = null;
+		this.frame = null;
+		this.hidden.clear();
+		this.isolated = null;
+	}
+
+	get active() {
+		return this.numClusters !== null;
+	}
+
+	update(data) {
+		if (data === this.frame) return;
+		this.frame = data;
+
+		const symbol = data.symbol.toUpperCase();
+		if (!data.kmeans_mode) {
+			this.reset();
+			return;
+		}
+		if (this.numClusters !== data.num_clusters || this.symbol !== symbol) {
+			this.reset();
+			this.frame = data;
+			this.numClusters = data.num_clusters;
+			this.symbol = symbol;
+		}
+
+		this.updateSide("bid", data.bids);
+		this.updateSide("ask", data.asks);
+	}
+
+	updateSide(side, levels) {
+		const clusters = ClusterLegend.collect(levels);
+		const entries = this.entries[side];
+		const matches = ClusterLegend.match(entries, clusters);
+
+		this.labels[side].clear();
+		entries.forEach((entry) => Object.assign(entry, { count: 0, total: 0, label: null }));
+		clusters.forEach((cluster, i) => {
+			let entry = matches[i];
+			if (!entry) {
+				entry = { key: this.nextKey(side) };
+				entries.push(entry);
+			}
+			Object.assign(entry, cluster);
+			this.labels[side].set(cluster.label, entry);
+		});
+		entries.sort((a, b) => a.mean - b.mean);
+	}
+
+	nextKey(side) {
+		const used = new Set(this.entries[side].map((e) => e.key));
+		let key = 1;
+		while (used.has(key)) key++;
+		return key;
+	}
+
+	// Per-label order count, total and size range over the sent levels,
+	// sorted by mean size
+	static collect(levels) {
+		const clusters = new Map();
+		for (const level of levels) {
+			(level.clustered_orders || []).forEach((order, i) => {
+				const qty = Number.parseFloat(order.qty);
+				let cluster = clusters.get(order.cluster);
+				if (!cluster) {
+					cluster = { label: order.cluster, count: 0, total: 0, min: qty, max: qty, color: null };
+					clusters.set(order.cluster, cluster);
+				}
+				cluster.count++;
+				cluster.total += qty;
+				cluster.min = Math.min(cluster.min, qty);
+				cluster.max = Math.max(cluster.max, qty);
+				// The gold highlight overrides the cluster color
+				const color = level.colors && level.colors[i];
+				if (!cluster.color && color && !AlertEngine.highlightColors.has(color)) {
+					cluster.color = color;
+				}
+			});
+		}
+		return [...clusters.values()]
+			.map((c) => ({ ...c, mean: c.total / c.count }))
+			.sort((a, b) => a.mean - b.mean);
+	}
+
+	// Pairs each cluster with an existing entry, keeping both in size order
+	// and minimising the total log-size distance. Returns the entry for each
+	// cluster, or undefined where there are more clusters than entries.
+	static match(entries, clusters) {
+		const n = entries.length;
+		const m = clusters.length;
+		if (n === 0) return [];
+		if (m > n) {
+			// Every entry gets a cluster; skip the clusters that fit worst
+			const flipped = ClusterLegend.match(clusters, entries);
+			const matches = new Array(m);
+			flipped.forEach((cluster, i) => {
+				matches[clusters.indexOf(cluster)] = entries[i];
+			});
+			return matches;
+		}
+
+		const cost = (e, c) => Math.abs(Math.log(e.mean) - Math.log(c.mean));
+		// best[i][j]: cheapest pairing of the first j clusters within the first i entries
+		const best = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(Infinity));
+		for (let i = 0; i <= n; i++) best[i][0] = 0;
+		for (let i = 1; i <= n; i++) {
+			for (let j = 1; j <= Math.min(i, m); j++) {
+				best[i][j] = Math.min(
+					best[i - 1][j],
+					best[i - 1][j - 1] + cost(entries[i - 1], clusters[j - 1]),
+				);
+			}
+		}
+
+		const matches = new Array(m);
+		for (let i = n, j = m; j > 0; i--) {
+			if (best[i][j] !== best[i - 1][j]) {
+				matches[j - 1] = entries[i - 1];
+				j--;
+			}
+		}
+		return matches;
+	}
+
+	// Whether orders with this frame label should be drawn at full strength
+	isVisible(side, label) {
+		const entry = this.labels[side].get(label);
+		if (!entry) return true;
+		const id = `${side}:${entry.key}`;
+		return this.isolated ? this.isolated === id : !this.hidden.has(id);
+	}
+
+	toggleHidden(id) {
+		this.isolated = null;
+		if (this.hidden.has(id)) {
+			this.hidden.delete(id);
+		} else {
+			this.hidden.add(id);
+		}
+	}
+
+	toggleIsolated(id) {
+		this.isolated = this.isolated === id ? null : id;
+	}
+
+	showAll() {
+		this.hidden.clear();
+		this.isolated = null;
+	}
+
+	get filtered() {
+		return this.isolated !== null || this.hidden.size > 0;
+	}
+}
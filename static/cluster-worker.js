@@ -0,0 +1,163 @@
+// Web Worker behind ClientClusterer. Each job carries both sides' order sizes;
+// the reply gives, per side, the upper bound of every class but the largest,
+// so the page can label orders with a binary search. All three algorithms
+// work on sorted 1-D data and are deterministic, so the same book gives the
+// same classes from frame to frame.
+
+self.onmessage = (event) => {
+	const { id, algorithm, k, bids, asks } = event.data;
+	self.postMessage({
+		id,
+		bids: classBreaks(algorithm, bids, k),
+		asks: classBreaks(algorithm, asks, k),
+	});
+};
+
+function classBreaks(algorithm, values, k) {
+	const sorted = Float64Array.from(values).sort();
+	if (sorted.length === 0) return [];
+
+	let breaks;
+	switch (algorithm) {
+		case "jenks":
+			breaks = jenksBreaks(sorted, k);
+			break;
+		case "quantile":
+			breaks = quantileBreaks(sorted, k);
+			break;
+		default:
+			breaks = kmeansBreaks(sorted, k);
+	}
+
+	// Drop duplicate bounds and any that would leave the top class empty
+	const max = sorted[sorted.length - 1];
+	return breaks.filter((b, i) => b < max && (i === 0 || b > breaks[i - 1]));
+}
+
+// Lloyd's k-means in one dimension, started from evenly spaced orders like
+// the server's MiniBatchKMeans. Classes are split halfway between centroids.
+function kmeansBreaks(sorted, k) {
+	const n = sorted.length;
+	let centroids = [];
+	for (let i = 0; i < k; i++) {
+		centroids.push(sorted[Math.min(n - 1, Math.floor((i * n) / k))]);
+	}
+	centroids = [...new Set(centroids)];
+
+	for (let iter = 0; iter < 100; iter++) {
+		const sums = new Array(centroids.length).fill(0);
+		const counts = new Array(centroids.length).fill(0);
+		let c = 0;
+		for (const value of sorted) {
+			while (c < centroids.length - 1 && value > (centroids[c] + centroids[c + 1]) / 2) c++;
+			sums[c] += value;
+			counts[c]++;
+		}
+
+		// Empty clusters keep their centroid
+		const next = centroids.map((centroid, i) => (counts[i] > 0 ? sums[i] / counts[i] : centroid));
+		const moved = next.some((centroid, i) => centroid !== centroids[i]);
+		centroids = next;
+		if (!moved) break;
+	}
+
+	const breaks = [];
+	for (let i = 0; i < centroids.length - 1; i++) {
+		breaks.push((centroids[i] + centroids[i + 1]) / 2);
+	}
+	return breaks;
+}
+
+// Fisher-Jenks natural breaks, minimising the squared deviation within each
+// class. The exact method is quadratic in the number of distinct sizes, so
+// large books are first merged into equal-count bins.
+function jenksBreaks(sorted, k) {
+	const bins = binValues(sorted, 256);
+	const m = bins.length;
+	if (m <= k) {
+		return bins.slice(0, -1).map((bin) => bin.max);
+	}
+
+	// Prefix sums of weight, weighted value and weighted square
+	const w = new Float64Array(m + 1);
+	const s = new Float64Array(m + 1);
+	const s2 = new Float64Array(m + 1);
+	bins.forEach((bin, i) => {
+		w[i + 1] = w[i] + bin.weight;
+		s[i + 1] = s[i] + bin.weight * bin.mean;
+		s2[i + 1] = s2[i] + bin.weight * bin.mean * bin.mean;
+	});
+	const deviation = (from, to) => {
+		const weight = w[to] - w[from];
+		const sum = s[to] - s[from];
+		return s2[to] - s2[from] - (sum * sum) / weight;
+	};
+
+	// cost[c][j]: best split of the first j bins into c + 1 classes;
+	// start[c][j]: where that split's last class begins
+	const cost = [];
+	const start = [];
+	cost.push(Float64Array.from({ length: m + 1 }, (_, j) => (j > 0 ? deviation(0, j) : 0)));
+	start.push(new Int32Array(m + 1));
+	for (let c = 1; c < k; c++) {
+		const row = new Float64Array(m + 1).fill(Infinity);
+		const from = new Int32Array(m + 1);
+		for (let j = c + 1; j <= m; j++) {
+			for (let i = c; i < j; i++) {
+				const total = cost[c - 1][i] + deviation(i, j);
+				if (total < row[j]) {
+					row[j] = total;
+					from[j] = i;
+				}
+			}
+		}
+		cost.push(row);
+		start.push(from);
+	}
+
+	const breaks = [];
+	for (let c = k - 1, j = m; c > 0; c--) {
+		j = start[c][j];
+		breaks.unshift(bins[j - 1].max);
+	}
+	return breaks;
+}
+
+// Distinct values with their counts, merged down to at most limit bins
+function binValues(sorted, limit) {
+	const bins = [];
+	for (const value of sorted) {
+		const last = bins[bins.length - 1];
+		if (last && last.max === value) {
+			last.weight++;
+		} else {
+			bins.push({ mean: value, max: value, weight: 1 });
+		}
+	}
+	if (bins.length <= limit) return bins;
+
+	const merged = [];
+	const perBin = sorted.length / limit;
+	let current = null;
+	let seen = 0;
+	for (const bin of bins) {
+		if (!current || seen >= perBin * merged.length) {
+			current = { mean: 0, max: 0, weight: 0 };
+			merged.push(current);
+		}
+		current.mean = (current.mean * current.weight + bin.mean * bin.weight) / (current.weight + bin.weight);
+		current.max = bin.max;
+		current.weight += bin.weight;
+		seen += bin.weight;
+	}
+	return merged;
+}
+
+// Equal-count classes by order rank; tied sizes stay in one class
+function quantileBreaks(sorted, k) {
+	const breaks = [];
+	for (let i = 1; i < k; i++) {
+		breaks.push(sorted[Math.max(0, Math.floor((i * sorted.length) / k) - 1)]);
+	}
+	return breaks;
+}
@@ -0,0 +1,308 @@
+// Page-wide keyboard layer: a command palette (Ctrl/Cmd-K), hotkeys for the
+// same commands and a help overlay that lists and rebinds them. Commands come
+// from the dashboard's active view each time one runs, so keys always act on
+// the view the user last worked in. Bindings persist in localStorage.
+//
+// A command is { id, label, run } and may add options(), returning the
+// choices (or a promise of them) the palette offers before calling
+// run(value); freeText lets Enter run it with whatever was typed.
+class CommandPalette {
+	constructor({ getCommands }) {
+		this.getCommands = getCommands;
+		this.bindings = CommandPalette.loadBindings();
+		this.overlay = document.getElementById("command-palette");
+		this.input = document.getElementById("command-input");
+		this.list = document.getElementById("command-list");
+		this.help = document.getElementById("hotkey-help");
+		this.command = null; // Command whose options are listed, or null for all commands
+		this.items = [];
+		this.highlighted = 0;
+		this.recording = null; // Command id waiting for its new key
+
+		document.addEventListener("keydown", (event) => this.onKeyDown(event));
+
+		this.input.addEventListener("input", () => this.filter());
+		this.input.addEventListener("keydown", (event) => this.onInputKey(event));
+		this.list.addEventListener("mousedown", (event) => {
+			const item = event.target.closest("[data-index]");
+			if (!item) return;
+			event.preventDefault();
+			this.choose(Number(item.dataset.index));
+		});
+		this.overlay.addEventListener("mousedown", (event) => {
+			if (event.target === this.overlay) this.close();
+		});
+
+		document.getElementById("hotkey-close").addEventListener("click", () => this.toggleHelp(false));
+		document.getElementById("hotkey-reset").addEventListener("click", () => {
+			this.bindings = { ...CommandPalette.defaultBindings };
+			this.saveBindings();
+		});
+		document.getElementById("hotkey-list").addEventListener("click", (event) => {
+			const button = event.target.closest("[data-rebind]");
+			if (!button) return;
+			this.recording = button.dataset.rebind;
+			this.renderHelp();
+		});
+	}
+
+	static loadBindings() {
+		return {
+			...CommandPalette.defaultBindings,
+			...JSON.parse(localStorage.getItem("l3-hotkeys") || "{}"),
+		};
+	}
+
+	saveBindings() {
+		localStorage.setItem("l3-hotkeys", JSON.stringify(this.bindings));
+		this.renderHelp();
+	}
+
+	// "Mod+K", "Shift+C", "?", "Space"... Mod is Ctrl, or Cmd on a Mac
+	static comboFromEvent(event) {
+		const key = event.key;
+		if (!key || ["Control", "Meta", "Shift", "Alt"].includes(key)) return null;
+
+		const parts = [];
+		if (event.ctrlKey || event.metaKey) parts.push("Mod");
+		if (event.altKey) parts.push("Alt");
+		// Shift is already part of symbols like "?"; only name it for
+		// letters and named keys
+		if (event.shiftKey && (key.length > 1 || /[a-z]/i.test(key))) parts.push("Shift");
+		if (key === " ") {
+			parts.push("Space");
+		} else {
+			parts.push(key.length === 1 ? key.toUpperCase() : key);
+		}
+		return parts.join("+");
+	}
+
+	static formatCombo(combo) {
+		if (!combo) return "—";
+		const mac = /Mac|iPhone|iPad/.test(navigator.platform);
+		return combo.replace("Mod", mac ? "⌘" : "Ctrl");
+	}
+
+	onKeyDown(event) {
+		const combo = CommandPalette.comboFromEvent(event);
+		if (!combo) return;
+
+		if (this.recording) {
+			event.preventDefault();
+			if (combo !== "Escape") {
+				this.rebind(this.recording, combo === "Backspace" || combo === "Delete" ? "" : combo);
+			}
+			this.recording = null;
+			this.renderHelp();
+			return;
+		}
+		if (combo === "Escape" && (this.isOpen || this.helpOpen)) {
+			this.close();
+			this.toggleHelp(false);
+			return;
+		}
+
+		// Plain keys belong to whatever field is being typed in
+		const typing = event.target.closest && event.target.closest("input, textarea, select, [contenteditable]");
+		if (typing && !combo.startsWith("Mod+")) return;
+
+		const id = Object.keys(this.bindings).find((name) => this.bindings[name] === combo);
+		if (!id) return;
+		event.preventDefault();
+		this.run(id);
+	}
+
+	// A key can only do one thing, so whatever had it before loses it
+	rebind(id, combo) {
+		Object.keys(this.bindings).forEach((name) => {
+			if (combo && this.bindings[name] === combo) this.bindings[name] = "";
+		});
+		this.bindings[id] = combo;
+		this.saveBindings();
+	}
+
+	commands() {
+		return [
+			...this.getCommands(),
+			{ id: "help", label: "Show keyboard shortcuts", run: () => this.toggleHelp(true) },
+		];
+	}
+
+	run(id) {
+		if (id === "palette") {
+			this.open();
+			return;
+		}
+		if (id === "help") {
+			this.toggleHelp(!this.helpOpen);
+			return;
+		}
+		const command = this.commands().find((c) => c.id === id);
+		if (!command) return;
+		if (command.options) {
+			this.open(command);
+		} else {
+			command.run();
+		}
+	}
+
+	get isOpen() {
+		return this.overlay.style.display !== "none";
+	}
+
+	get helpOpen() {
+		return this.help.style.display !== "none";
+	}
+
+	async open(command = null) {
+		this.toggleHelp(false);
+		this.command = command;
+		this.input.value = "";
+		this.input.placeholder = command ? command.prompt || command.label : "Type a command…";
+		this.overlay.style.display = "flex";
+		this.input.focus();
+
+		// Nothing can be picked until this command's options are in
+		this.options = null;
+		this.filter();
+		if (!command) return;
+
+		let options;
+		try {
+			options = await command.options();
+		} catch (error) {
+			if (this.command !== command) return;
+			console.error(`Failed to load options for ${command.id}:`, error);
+			this.list.innerHTML = `<div class="command-empty">Couldn't load the choices</div>`;
+			setTimeout(() => {
+				if (this.command === command) this.close();
+			}, 1500);
+			return;
+		}
+		// Closed or moved on to another command meanwhile
+		if (this.command !== command) return;
+		this.options = options;
+		this.filter();
+	}
+
+	close() {
+		this.overlay.style.display = "none";
+		this.command = null;
+		this.input.blur();
+	}
+
+	filter() {
+		const query = this.input.value.trim().toLowerCase();
+		const source = this.command
+			? this.options || []
+			: this.commands().map((c) => ({ label: c.label, value: c.id, hint: this.bindings[c.id] }));
+
+		// Prefix matches first, then matches anywhere in the label
+		const matches = source.filter((item) => item.label.toLowerCase().includes(query));
+		matches.sort(
+			(a, b) =>
+				Number(!a.label.toLowerCase().startsWith(query)) -
+				Number(!b.label.toLowerCase().startsWith(query)),
+		);
+		this.items = matches.slice(0, 50);
+		this.highlighted = 0;
+		this.renderList();
+	}
+
+	renderList() {
+		if (this.items.length === 0) {
+			let hint = this.command && this.command.freeText ? "Enter to use what you typed" : "No matches";
+			if (this.command && !this.options) {
+				hint = "Loading…";
+			}
+			this.list.innerHTML = `<div class="command-empty">${hint}</div>`;
+			return;
+		}
+		this.list.innerHTML = this.items
+			.map(
+				(item, i) => `
+				<div class="command-item ${i === this.highlighted ? "highlighted" : ""}" data-index="${i}">
+					<span>${item.label}</span>
+					${item.hint ? `<kbd>${CommandPalette.formatCombo(item.hint)}</kbd>` : ""}
+				</div>
+			`,
+			)
+			.join("");
+		const current = this.list.children[this.highlighted];
+		if (current && current.scrollIntoView) {
+			current.scrollIntoView({ block: "nearest" });
+		}
+	}
+
+	onInputKey(event) {
+		if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+			event.preventDefault();
+			const step = event.key === "ArrowDown" ? 1 : -1;
+			this.highlighted = Math.max(0, Math.min(this.items.length - 1, this.highlighted + step));
+			this.renderList();
+		} else if (event.key === "Enter") {
+			event.preventDefault();
+			if (this.items.length > 0) {
+				this.choose(this.highlighted);
+			} else if (this.command && this.command.freeText && this.input.value.trim()) {
+				const command = this.command;
+				this.close();
+				command.run(this.input.value.trim());
+			}
+		}
+	}
+
+	choose(index) {
+		const item = this.items[index];
+		if (!item) return;
+		const command = this.command;
+		this.close();
+		if (command) {
+			command.run(item.value);
+		} else {
+			this.run(item.value);
+		}
+	}
+
+	toggleHelp(show) {
+		this.recording = null;
+		this.help.style.display = show ? "flex" : "none";
+		if (show) {
+			this.close();
+			this.renderHelp();
+		}
+	}
+
+	renderHelp() {
+		const commands = [{ id: "palette", label: "Open the command palette" }, ...this.commands()];
+		document.getElementById("hotkey-list").innerHTML = commands
+			.map(
+				(c) => `
+				<div class="hotkey-row">
+					<span>${c.label}</span>
+					<kbd>${this.recording === c.id ? "Press a key…" : CommandPalette.formatCombo(this.bindings[c.id])}</kbd>
+					<button data-rebind="${c.id}" title="Press the new key; Backspace clears it, Escape keeps the old one">Change</button>
+				</div>
+			`,
+			)
+			.join("");
+	}
+}
+
+CommandPalette.defaultBindings = {
+	palette: "Mod+K",
+	help: "?",
+	"switch-symbol": "S",
+	"toggle-clustering": "C",
+	"more-clusters": "]",
+	"fewer-clusters": "[",
+	"set-clusters": "",
+	"toggle-pause": "Space",
+	"chart-mode": "H",
+	"toggle-units": "U",
+	"export-snapshot": "E",
+	"queue-history": "Q",
+	"refresh-precision": "R",
+	history: "",
+	"toggle-controls": "T",
+};
@@ -0,0 +1,190 @@
+// Owns the /ws socket: reconnects with exponential backoff and jitter, treats
+// a feed that stops delivering book frames as dead, and measures
+// round-trip latency and message rate for the connection indicator.
+class ConnectionManager {
+	constructor({
+		url,
+		onMessage,
+		onOpen,
+		onStateChange,
+		feedTypes = ["l3_update", "book_snapshot", "book_delta"],
+		baseDelay = 500,
+		maxDelay = 30000,
+		staleAfter = 3000, // No feed frame for this long marks the feed stale
+		deadAfter = 10000, // ...and this long drops the socket and reconnects
+		pingInterval = 5000,
+	}) {
+		this.url = url;
+		this.onMessage = onMessage;
+		this.onOpen = onOpen;
+		this.onStateChange = onStateChange;
+		this.feedTypes = feedTypes;
+		this.baseDelay = baseDelay;
+		this.maxDelay = maxDelay;
+		this.staleAfter = staleAfter;
+		this.deadAfter = deadAfter;
+		this.pingInterval = pingInterval;
+
+		this.ws = null;
+		this.state = "connecting"; // connecting, open, stale, reconnecting
+		this.attempts = 0;
+		this.connections = 0;
+		this.retryTimer = null;
+		this.retryAt = null;
+		this.lastFeedAt = 0;
+		this.lastPingAt = 0;
+		this.openedAt = 0;
+		this.latency = null;
+		this.messageTimes = [];
+
+		this.watchdog = setInterval(() => this.checkFeed(), 1000);
+	}
+
+	connect() {
+		clearTimeout(this.retryTimer);
+		this.retryTimer = null;
+		this.retryAt = null;
+		this.setState(this.connections === 0 ? "connecting" : "reconnecting");
+
+		const ws = new WebSocket(this.url);
+		this.ws = ws;
+
+		ws.onopen = () => {
+			const reconnect = this.connections > 0;
+			this.connections++;
+			this.openedAt = Date.now();
+			this.lastFeedAt = this.openedAt;
+			this.latency = null;
+			this.messageTimes = [];
+			this.setState("open");
+			this.ping();
+			if (this.onOpen) {
+				this.onOpen(reconnect);
+			}
+		};
+
+		ws.onmessage = (event) => {
+			let message;
+			try {
+				message = JSON.parse(event.data);
+			} catch (error) {
+				console.error("Error parsing message:", error);
+				return;
+			}
+
+			const now = Date.now();
+			this.messageTimes.push(now);
+
+			if (message.type === "pong") {
+				this.latency = now - message.sent;
+				return;
+			}
+			if (this.feedTypes.includes(message.type)) {
+				this.lastFeedAt = now;
+				// Only a delivering feed proves the connection healthy
+				this.attempts = 0;
+				if (this.state === "stale") {
+					this.setState("open");
+				}
+			}
+
+			this.onMessage(message);
+		};
+
+		ws.onclose = () => {
+			if (this.ws !== ws) return;
+			this.ws = null;
+			this.scheduleReconnect();
+		};
+	}
+
+	scheduleReconnect() {
+		// Equal jitter: half the backoff is fixed, half random, so clients
+		// dropped together don't all come back on the same tick
+		const backoff = Math.min(this.maxDelay, this.baseDelay * 2 ** this.attempts);
+		const delay = backoff / 2 + Math.random() * (backoff / 2);
+		this.attempts++;
+
+		this.retryAt = Date.now() + delay;
+		this.retryTimer = setTimeout(() => this.connect(), delay);
+		this.setState("reconnecting");
+	}
+
+	// Close for good: no reconnect, no watchdog
+	close() {
+		clearInterval(this.watchdog);
+		clearTimeout(this.retryTimer);
+		const ws = this.ws;
+		this.ws = null;
+		if (ws) {
+			ws.close();
+		}
+	}
+
+	// Drop the current socket and reconnect on the backoff schedule
+	reconnect() {
+		const ws = this.ws;
+		if (!ws) return;
+		this.ws = null;
+		ws.close();
+		this.scheduleReconnect();
+	}
+
+	send(message) {
+		if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+			this.ws.send(JSON.stringify(message));
+			return true;
+		}
+		return false;
+	}
+
+	ping() {
+		this.lastPingAt = Date.now();
+		this.send({ type: "ping", sent: this.lastPingAt });
+	}
+
+	checkFeed() {
+		const now = Date.now();
+		this.messageTimes = this.messageTimes.filter((t) => now - t < 5000);
+
+		if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+			const silence = now - this.lastFeedAt;
+			if (silence > this.deadAfter) {
+				console.warn(`No book frames for ${silence}ms, reconnecting`);
+				this.reconnect();
+				return;
+			}
+			if (silence > this.staleAfter && this.state === "open") {
+				this.setState("stale");
+			}
+			if (now - this.lastPingAt >= this.pingInterval) {
+				this.ping();
+			}
+		}
+
+		this.notify();
+	}
+
+	// Messages per second over the last five seconds (or since connecting)
+	get messageRate() {
+		if (!this.openedAt) return 0;
+		const seconds = Math.min(5, Math.max(1, (Date.now() - this.openedAt) / 1000));
+		return this.messageTimes.length / seconds;
+	}
+
+	setState(state) {
+		this.state = state;
+		this.notify();
+	}
+
+	notify() {
+		if (!this.onStateChange) return;
+		this.onStateChange({
+			state: this.state,
+			latency: this.latency,
+			messageRate: this.messageRate,
+			attempts: this.attempts,
+			retryIn: this.retryAt ? Math.max(0, this.retryAt - Date.now()) : null,
+		});
+	}
+}
@@ -0,0 +1,170 @@
+// Runs several L3OrderBookVisualizer views side by side in a grid, or one at a
+// time behind tabs. Each view gets its own copy of the panel template and its
+// own /ws connection; the panel list and layout persist in localStorage.
+class OrderBookDashboard {
+	constructor() {
+		this.container = document.getElementById("dashboard");
+		this.tabs = document.getElementById("dashboard-tabs");
+		this.template = document.getElementById("orderbook-panel-template");
+		this.layoutButton = document.getElementById("dashboard-layout");
+		this.storageKey = "l3-dashboard";
+		this.panels = []; // [{ id, symbol, element, tab, visualizer }]
+		this.nextId = 1;
+
+		const saved = JSON.parse(localStorage.getItem(this.storageKey) || "null") || {};
+		this.layout = saved.layout || "grid"; // "grid" or "tabs"
+		this.activeId = saved.active || null;
+
+		// A null symbol follows the server's default
+		const panels = saved.panels && saved.panels.length > 0 ? saved.panels : [{ symbol: null }];
+		panels.forEach((panel) => this.addPanel(panel.symbol, panel.id));
+		if (!this.panels.some((p) => p.id === this.activeId)) {
+			this.activeId = this.panels[0].id;
+		}
+
+		document.getElementById("dashboard-add").addEventListener("click", () => {
+			const panel = this.addPanel(this.suggestSymbol());
+			this.activate(panel.id);
+		});
+		this.layoutButton.addEventListener("click", () => {
+			this.setLayout(this.layout === "grid" ? "tabs" : "grid");
+		});
+
+		this.setLayout(this.layout);
+
+		// Hotkeys and palette commands act on the active view
+		this.palette = new CommandPalette({
+			getCommands: () => {
+				const panel = this.panels.find((p) => p.id === this.activeId);
+				return panel ? panel.visualizer.commands() : [];
+			},
+		});
+		document.getElementById("dashboard-help").addEventListener("click", () => this.palette.toggleHelp(true));
+	}
+
+	addPanel(symbol, id = String(this.nextId)) {
+		this.nextId = Math.max(this.nextId, Number(id) + 1);
+
+		// The visualizer measures its container, so attach before creating it
+		const element = this.template.content.firstElementChild.cloneNode(true);
+		this.container.appendChild(element);
+		// Working in a grid panel makes it the one hotkeys act on
+		element.addEventListener("pointerdown", () => this.focus(id));
+
+		const tab = document.createElement("button");
+		tab.className = "dashboard-tab";
+		tab.innerHTML = '<span class="label"></span><span class="close" title="Close">&times;</span>';
+		tab.addEventListener("click", (event) => {
+			if (event.target.classList.contains("close")) {
+				this.removePanel(id);
+			} else {
+				this.activate(id);
+			}
+		});
+		this.tabs.appendChild(tab);
+
+		const panel = { id, symbol, element, tab, visualizer: null };
+		this.panels.push(panel);
+		panel.visualizer = new L3OrderBookVisualizer(element, {
+			id,
+			symbol,
+			onSymbolChange: (newSymbol) => {
+				panel.symbol = newSymbol;
+				this.updateTabs();
+				this.save();
+			},
+		});
+
+		if (!this.activeId) {
+			this.activeId = id;
+		}
+		this.updateTabs();
+		this.updateVisibility();
+		this.save();
+		return panel;
+	}
+
+	removePanel(id) {
+		// Always keep one view open
+		if (this.panels.length === 1) return;
+
+		const panel = this.panels.find((p) => p.id === id);
+		if (!panel) return;
+
+		panel.visualizer.destroy();
+		panel.element.remove();
+		panel.tab.remove();
+		this.panels = this.panels.filter((p) => p !== panel);
+
+		if (this.activeId === id) {
+			this.activeId = this.panels[0].id;
+		}
+		this.updateTabs();
+		this.updateVisibility();
+		this.save();
+	}
+
+	activate(id) {
+		this.activeId = id;
+		this.updateTabs();
+		this.updateVisibility();
+		this.save();
+	}
+
+	// Like activate, but every grid panel is already showing, so nothing
+	// has to be redrawn
+	focus(id) {
+		if (this.activeId === id) return;
+		this.activeId = id;
+		this.updateTabs();
+		this.panels.forEach((panel) => panel.element.classList.toggle("active", panel.id === id));
+		this.save();
+	}
+
+	setLayout(layout) {
+		this.layout = layout;
+		this.container.className = `dashboard ${layout}`;
+		this.layoutButton.textContent = layout === "grid" ? "Grid" : "Tabs";
+		this.updateVisibility();
+		this.save();
+	}
+
+	// In tabs mode only the active view draws; the rest keep recording
+	updateVisibility() {
+		this.panels.forEach((panel) => {
+			const active = panel.id === this.activeId;
+			panel.element.classList.toggle("active", active);
+			panel.visualizer.setVisible(this.layout === "grid" || active);
+		});
+	}
+
+	updateTabs() {
+		this.panels.forEach((panel) => {
+			panel.tab.classList.toggle("active", panel.id === this.activeId);
+			panel.tab.querySelector(".label").textContent = panel.symbol || "Default";
+			panel.tab.querySelector(".close").style.display = this.panels.length > 1 ? null : "none";
+		});
+	}
+
+	// First of the commonly watched symbols that isn't open yet
+	suggestSymbol() {
+		const open = new Set(this.panels.map((p) => p.symbol));
+		return ["BTCUSDT", "ETHUSDT", "SOLUSDT"].find((s) => !open.has(s)) || "BTCUSDT";
+	}
+
+	save() {
+		localStorage.setItem(
+			this.storageKey,
+			JSON.stringify({
+				layout: this.layout,
+				active: this.activeId,
+				panels: this.panels.map((p) => ({ id: p.id, symbol: p.symbol })),
+			}),
+		);
+	}
+}
+
+// Initialize when page loads
+document.addEventListener("DOMContentLoaded", () => {
+	new OrderBookDashboard();
+});
@@ -0,0 +1,198 @@
+// Exact decimal arithmetic and formatting for prices and quantities. The
+// server sends them as decimal strings; going through floats loses digits on
+// tiny ticks (1000PEPE) and large prices, and toFixed rounds the binary value
+// (1.005 becomes "1.00"). A Decimal is a BigInt count of units at a fixed
+// scale, so "12.345" is 12345n at scale 3. Decimals are never changed; every
+// operation returns a new one.
+class Decimal {
+	constructor(units, scale) {
+		this.units = units;
+		this.scale = scale;
+	}
+
+	// Decimal strings, numbers and Decimals. A number goes through its
+	// shortest string form, which is exactly the string it was parsed from
+	// when that string had up to 15 significant digits.
+	static from(value) {
+		if (value instanceof Decimal) return value;
+		const match = Decimal.pattern.exec(String(value).trim());
+		if (!match || (match[2] === "" && !match[3])) {
+			throw new TypeError(`Not a decimal: ${value}`);
+		}
+
+		const [, sign, whole, fraction = "", exponent = "0"] = match;
+		let digits = whole + fraction;
+		let scale = fraction.length - Number(exponent);
+		if (scale < 0) {
+			digits += "0".repeat(-scale);
+			scale = 0;
+		}
+		const units = BigInt(digits || "0");
+		return new Decimal(sign === "-" ? -units : units, scale);
+	}
+
+	static isDecimal(value) {
+		if (value instanceof Decimal) return true;
+		if (typeof value === "number") return Number.isFinite(value);
+		if (typeof value !== "string") return false;
+		const match = Decimal.pattern.exec(value.trim());
+		return Boolean(match && (match[2] !== "" || match[3]));
+	}
+
+	// Digits after the point an increment needs: "0.00100000" -> 3, "10" -> 0
+	static decimalsOf(increment) {
+		const decimal = Decimal.from(increment);
+		let { units, scale } = decimal;
+		while (scale > 0 && units % 10n === 0n) {
+			units /= 10n;
+			scale--;
+		}
+		return scale;
+	}
+
+	// n / d rounded half away from zero
+	static roundDiv(n, d) {
+		if (d < 0n) {
+			n = -n;
+			d = -d;
+		}
+		const q = n / d;
+		const r = n % d;
+		if (2n * (r < 0n ? -r : r) >= d) {
+			return q + (n < 0n ? -1n : 1n);
+		}
+		return q;
+	}
+
+	// Units at a larger scale; never loses digits
+	unitsAt(scale) {
+		return this.units * 10n ** BigInt(scale - this.scale);
+	}
+
+	add(other) {
+		const b = Decimal.from(other);
+		const scale = Math.max(this.scale, b.scale);
+		return new Decimal(this.unitsAt(scale) + b.unitsAt(scale), scale);
+	}
+
+	sub(other) {
+		return this.add(Decimal.from(other).neg());
+	}
+
+	mul(other) {
+		const b = Decimal.from(other);
+		return new Decimal(this.units * b.units, this.scale + b.scale);
+	}
+
+	// Quotient rounded to the given number of decimals
+	div(other, decimals = 18) {
+		const b = Decimal.from(other);
+		if (b.units === 0n) throw new RangeError("Division by zero");
+		const n = this.units * 10n ** BigInt(decimals + b.scale);
+		const d = b.units * 10n ** BigInt(this.scale);
+		return new Decimal(Decimal.roundDiv(n, d), decimals);
+	}
+
+	cmp(other) {
+		const b = Decimal.from(other);
+		const scale = Math.max(this.scale, b.scale);
+		const x = this.unitsAt(scale);
+		const y = b.unitsAt(scale);
+		return x < y ? -1 : x > y ? 1 : 0;
+	}
+
+	sign() {
+		return this.units < 0n ? -1 : this.units > 0n ? 1 : 0;
+	}
+
+	isZero() {
+		return this.units === 0n;
+	}
+
+	neg() {
+		return new Decimal(-this.units, this.scale);
+	}
+
+	abs() {
+		return this.units < 0n ? this.neg() : this;
+	}
+
+	// Rounded half away from zero to the given number of decimals
+	round(decimals) {
+		if (!Number.isInteger(decimals) || decimals < 0) {
+			throw new RangeError(`Invalid decimals: ${decimals}`);
+		}
+		if (decimals >= this.scale) {
+			return new Decimal(this.unitsAt(decimals), decimals);
+		}
+		const divisor = 10n ** BigInt(this.scale - decimals);
+		return new Decimal(Decimal.roundDiv(this.units, divisor), decimals);
+	}
+
+	// Nearest multiple of a tick or step size
+	snap(increment) {
+		const step = Decimal.from(increment);
+		if (step.isZero()) return this;
+		return step.mul(this.div(step, 0));
+	}
+
+	toNumber() {
+		return Number(this.toString());
+	}
+
+	toString() {
+		const negative = this.units < 0n;
+		const digits = (negative ? -this.units : this.units).toString().padStart(this.scale + 1, "0");
+		const whole = digits.slice(0, digits.length - this.scale);
+		const fraction = this.scale > 0 ? `.${digits.slice(-this.scale)}` : "";
+		return (negative ? "-" : "") + whole + fraction;
+	}
+
+	toFixed(decimals) {
+		return this.round(decimals).toString();
+	}
+
+	// "1,234,567.50", or "1.23M" with abbreviate. Abbreviated values keep
+	// their own decimals (default 2) since the full ones no longer apply.
+	// Negative or fractional decimals throw a RangeError, as in toFixed.
+	format({ decimals = this.scale, group = true, abbreviate = false, abbreviatedDecimals = 2 } = {}) {
+		let value = this;
+		let suffix = "";
+		if (abbreviate) {
+			const { units } = Decimal;
+			const magnitude = this.abs();
+			// Past the last unit is no unit at all
+			let index = units.findIndex(([, size]) => magnitude.cmp(size) >= 0);
+			if (index === -1) index = units.length;
+
+			// Rounding can carry into the next unit up: 999,999 is "1.00M",
+			// not "1,000.00K"
+			const shown = (i) =>
+				i === units.length ? magnitude.round(decimals) : magnitude.div(units[i][1], abbreviatedDecimals);
+			while (index > 0 && shown(index).cmp(1000) >= 0) {
+				index--;
+			}
+
+			if (index < units.length) {
+				value = this.div(units[index][1], abbreviatedDecimals);
+				suffix = units[index][0];
+				decimals = abbreviatedDecimals;
+			}
+		}
+
+		const text = value.toFixed(decimals);
+		if (!group) return text + suffix;
+		const [whole, fraction] = text.split(".");
+		const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+		return grouped + (fraction !== undefined ? `.${fraction}` : "") + suffix;
+	}
+}
+
+Decimal.pattern = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+// Largest first, for format's abbreviate
+Decimal.units = [
+	["B", "1000000000"],
+	["M", "1000000"],
+	["K", "1000"],
+];
@@ -0,0 +1,240 @@
+// Bookmap-style depth heatmap: time on the x-axis, price on the y-axis and
+// cell intensity from resting quantity (or its notional value), drawn from recorded l3_update frames.
+// The largest individual orders are traced across frames by synthetic ID.
+class DepthHeatmapRenderer {
+	constructor(container) {
+		this.container = container;
+		this.canvas = container
+			.append("canvas")
+			.attr("class", "heatmap-canvas")
+			.style("position", "absolute")
+			.style("top", 0)
+			.style("left", 0)
+			.style("display", "none")
+			.node();
+		this.ctx = this.canvas.getContext("2d");
+		this.width = 0;
+		this.height = 0;
+		this.spanMs = 120000; // Visible time span
+		this.traceCount = 6; // Largest orders traced per frame
+		this.lastRenderKey = null;
+
+		// Same endpoints as the server's BidColors/AskColors palettes (colors.go)
+		this.bidColor = d3.interpolateRgb("#deebf7", "#08519c");
+		this.askColor = d3.interpolateRgb("#fee6ce", "#a63603");
+	}
+
+	show(visible) {
+		this.canvas.style.display = visible ? "block" : "none";
+		this.lastRenderKey = null;
+	}
+
+	resize() {
+		const rect = this.container.node().getBoundingClientRect();
+		const ratio = window.devicePixelRatio || 1;
+		if (rect.width === this.width && rect.height === this.height) return;
+
+		this.width = rect.width;
+		this.height = rect.height;
+		this.canvas.width = Math.round(rect.width * ratio);
+		this.canvas.height = Math.round(rect.height * ratio);
+		this.canvas.style.width = `${rect.width}px`;
+		this.canvas.style.height = `${rect.height}px`;
+		this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+		this.lastRenderKey = null;
+	}
+
+	// frames: recorder frames ({ timestamp, data }) oldest first, ending at the
+	// frame currently on screen
+	render({ frames, margin, tickSize, notional = false, formatPrice }) {
+		this.resize();
+
+		const last = frames[frames.length - 1];
+		if (!last) return;
+
+		// Frames only arrive at the recorder's rate; skip redundant redraws
+		const renderKey = `${frames.length}:${last.timestamp}:${this.width}x${this.height}:${notional}`;
+		if (renderKey === this.lastRenderKey) return;
+		this.lastRenderKey = renderKey;
+
+		const ctx = this.ctx;
+		const width = this.width - margin.left - margin.right;
+		const height = this.height - margin.top - margin.bottom;
+		const end = last.timestamp;
+		const start = end - this.spanMs;
+		const visible = frames.filter((f) => f.timestamp >= start);
+
+		const xScale = d3.scaleLinear().domain([start, end]).range([0, width]);
+		const yScale = this.priceScale(last.data, height);
+		const rowHeight = Math.max(1, Math.abs(yScale(0) - yScale(tickSize)));
+
+		// Normalize intensity against the largest resting level in view
+		const size = (l) => Number.parseFloat(l.total_size) * (notional ? Number.parseFloat(l.price) : 1);
+		let maxSize = 0;
+		visible.forEach((f) => {
+			f.data.bids.forEach((l) => (maxSize = Math.max(maxSize, size(l))));
+			f.data.asks.forEach((l) => (maxSize = Math.max(maxSize, size(l))));
+		});
+		const intensity = d3.scaleSqrt().domain([0, maxSize || 1]).range([0, 1]).clamp(true);
+
+		ctx.clearRect(0, 0, this.width, this.height);
+		ctx.save();
+		ctx.translate(margin.left, margin.top);
+		ctx.beginPath();
+		ctx.rect(0, 0, width, height);
+		ctx.clip();
+
+		visible.forEach((frame, i) => {
+			const next = visible[i + 1];
+			const x0 = xScale(frame.timestamp);
+			const x1 = next ? xScale(next.timestamp) : width;
+			const cellWidth = Math.max(1, x1 - x0);
+
+			const drawCells = (levels, color) => {
+				levels.forEach((level) => {
+					const value = intensity(size(level));
+					ctx.fillStyle = color(value);
+					ctx.globalAlpha = 0.15 + value * 0.85;
+					ctx.fillRect(x0, yScale(Number.parseFloat(level.price)) - rowHeight / 2, cellWidth, rowHeight);
+				});
+			};
+			drawCells(frame.data.bids, this.bidColor);
+			drawCells(frame.data.asks, this.askColor);
+		});
+		ctx.globalAlpha = 1;
+
+		this.drawBestPrices(visible, xScale, yScale);
+		this.drawTraces(visible, xScale, yScale, end);
+
+		ctx.restore();
+		this.drawAxes(xScale, yScale, margin, width, height, end, formatPrice);
+	}
+
+	priceScale(data, height) {
+		const prices = [
+			...data.bids.map((l) => Number.parseFloat(l.price)),
+			...data.asks.map((l) => Number.parseFloat(l.price)),
+		];
+		const [lo, hi] = d3.extent(prices);
+		return d3
+			.scaleLinear()
+			.domain(lo === hi ? [lo - 1, hi + 1] : [lo, hi])
+			.range([height, 0]);
+	}
+
+	drawBestPrices(frames, xScale, yScale) {
+		const ctx = this.ctx;
+		const line = (accessor, color) => {
+			ctx.strokeStyle = color;
+			ctx.lineWidth = 1;
+			ctx.beginPath();
+			let started = false;
+			frames.forEach((f) => {
+				const level = accessor(f.data);
+				if (!level) return;
+				const x = xScale(f.timestamp);
+				const y = yScale(Number.parseFloat(level.price));
+				if (started) {
+					ctx.lineTo(x, y);
+				} else {
+					ctx.moveTo(x, y);
+					started = true;
+				}
+			});
+			ctx.stroke();
+		};
+		line((d) => d.bids[0], "#00ff88");
+		line((d) => d.asks[0], "#ff4444");
+	}
+
+	// Pick the largest individual orders of a frame, keyed by side, price and
+	// synthetic ID so the same order can be followed between frames
+	largestOrders(data) {
+		const orders = [];
+		const collect = (levels, side) => {
+			levels.forEach((level) => {
+				const details = level.order_details || [];
+				// Server colors line up with order_details only when both queues agree
+				const colors =
+					level.colors && level.colors.length === details.length ? level.colors : null;
+				details.forEach((o, i) => {
+					orders.push({
+						key: `${side}:${level.price}:${o.id}`,
+						price: Number.parseFloat(level.price),
+						qty: Number.parseFloat(o.qty),
+						color: colors ? colors[i] : null,
+					});
+				});
+			});
+		};
+		collect(data.bids, "bid");
+		collect(data.asks, "ask");
+		orders.sort((a, b) => b.qty - a.qty);
+		return orders.slice(0, this.traceCount);
+	}
+
+	drawTraces(frames, xScale, yScale, end) {
+		const traces = new Map();
+		frames.forEach((frame) => {
+			this.largestOrders(frame.data).forEach((order) => {
+				let trace = traces.get(order.key);
+				if (!trace) {
+					trace = { points: [], color: order.color };
+					traces.set(order.key, trace);
+				}
+				trace.points.push({ t: frame.timestamp, price: order.price, qty: order.qty });
+				trace.color = order.color || trace.color;
+			});
+		});
+
+		const ctx = this.ctx;
+		traces.forEach((trace) => {
+			const color = trace.color || "#ffd700";
+			const first = trace.points[0];
+			const lastPoint = trace.points[trace.points.length - 1];
+
+			ctx.strokeStyle = color;
+			ctx.lineWidth = 2;
+			ctx.beginPath();
+			ctx.moveTo(xScale(first.t), yScale(first.price));
+			trace.points.forEach((p) => ctx.lineTo(xScale(p.t), yScale(p.price)));
+			ctx.stroke();
+
+			// Mark orders that dropped out of the top list before the latest frame
+			if (lastPoint.t < end) {
+				const x = xScale(lastPoint.t);
+				const y = yScale(lastPoint.price);
+				ctx.beginPath();
+				ctx.moveTo(x - 3, y - 3);
+				ctx.lineTo(x + 3, y + 3);
+				ctx.moveTo(x + 3, y - 3);
+				ctx.lineTo(x - 3, y + 3);
+				ctx.stroke();
+			}
+		});
+	}
+
+	drawAxes(xScale, yScale, margin, width, height, end, formatPrice) {
+		const ctx = this.ctx;
+		ctx.save();
+		ctx.translate(margin.left, margin.top);
+		ctx.fillStyle = "#888";
+		ctx.font = "10px Monaco, monospace";
+
+		// Price axis on the right
+		ctx.textAlign = "left";
+		ctx.textBaseline = "middle";
+		yScale.ticks(10).forEach((price) => {
+			ctx.fillText(formatPrice(price), width + 4, yScale(price));
+		});
+
+		// Seconds before the latest frame along the bottom
+		ctx.textAlign = "center";
+		ctx.textBaseline = "top";
+		xScale.ticks(6).forEach((t) => {
+			ctx.fillText(`-${((end - t) / 1000).toFixed(0)}s`, xScale(t), height + 6);
+		});
+
+		ctx.restore();
+	}
+}
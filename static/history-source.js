@@ -0,0 +1,76 @@
+// Persisted snapshots from the server's /api/history and /api/snapshot for
+// the historical mode. Like a FileReplaySource it stands in for the live
+// feed, but the whole range is fetched up front and handed to the recorder,
+// so it can be scrubbed and played back on the replay timeline straight away.
+class HistorySource {
+	constructor({ symbol, from, to, step = 0 }) {
+		this.symbol = symbol.toUpperCase();
+		this.from = from;
+		this.to = to;
+		this.step = step;
+		this.truncated = false; // More frames in the range than maxFrames
+		this.controller = new AbortController();
+
+		const time = (ms) => new Date(ms).toLocaleTimeString();
+		this.name = `${this.symbol} ${new Date(from).toLocaleDateString()} ${time(from)}–${time(to)}`;
+	}
+
+	// Recorder frames for the range, oldest first. The server pages long
+	// ranges; pages are followed until the range or maxFrames runs out.
+	async load(onProgress) {
+		const frames = [];
+		let from = this.from;
+		while (frames.length < HistorySource.maxFrames) {
+			const page = await this.fetchJSON("/api/history", {
+				symbol: this.symbol,
+				from,
+				to: this.to,
+				step: this.step,
+			});
+			page.records.forEach((record) => frames.push(HistorySource.toFrame(record)));
+			if (onProgress) {
+				onProgress(frames.length);
+			}
+			if (!page.truncated) break;
+			from = page.next;
+		}
+
+		this.truncated = frames.length >= HistorySource.maxFrames;
+		return frames.slice(0, HistorySource.maxFrames);
+	}
+
+	// The single snapshot taken at or before a time, as a one-frame range
+	async loadAt(at) {
+		const record = await this.fetchJSON("/api/snapshot", { symbol: this.symbol, at });
+		return [HistorySource.toFrame(record)];
+	}
+
+	async fetchJSON(path, params) {
+		const query = new URLSearchParams(params);
+		const response = await fetch(`${path}?${query}`, { signal: this.controller.signal });
+		if (!response.ok) {
+			// The server explains bad parameters and empty ranges in plain text
+			const text = (await response.text()).trim();
+			throw new Error(text || `${response.status} ${response.statusText}`);
+		}
+		return response.json();
+	}
+
+	// Ages aren't persisted; they are worked out from the timestamps as
+	// protocol 2 frames are
+	static toFrame(record) {
+		const data = record.data;
+		const withAges = (level) => BookModel.withAges(level, data.timestamp);
+		return {
+			timestamp: data.timestamp,
+			data: { ...data, bids: (data.bids || []).map(withAges), asks: (data.asks || []).map(withAges) },
+		};
+	}
+
+	stop() {
+		this.controller.abort();
+	}
+}
+
+// About an hour of 1s snapshots; longer ranges need a step
+HistorySource.maxFrames = 3600;
@@ -1,109 +1,335 @@
+// One order book view. Everything it draws lives inside root (a copy of the
+// #orderbook-panel-template markup), so several can run side by side, each
+// with its own connection, symbol and settings.
 class L3OrderBookVisualizer {
-	constructor() {
-		this.chartContainer = d3.select("#orderbook-chart");
-		this.ws = null;
+	constructor(root, { id = "main", symbol = null, onSymbolChange = null } = {}) {
+		this.root = root;
+		this.id = id;
+		this.onSymbolChange = onSymbolChange;
+		this.visible = true;
+		this.chartContainer = d3.select(this.el("orderbook-chart"));
+		this.connection = null;
+		// Last symbol and clustering settings the user asked for, re-sent after
+		// every reconnect
+		this.desiredSymbol = symbol;
+		this.desiredClustering = null;
+		this.pendingSymbol = null;
+		this.activeSymbol = null; // Symbol the server is actually streaming
 		this.l3Data = null;
+		this.liveData = null; // Latest live frame, even while replaying
 		this.chart = null;
 		this.symbolSynced = false;
 		this.kmeansEnabled = false;
 		this.numClusters = 10;
+		// "server" asks the server for k-means; anything else clusters in this browser
+		this.clusterAlgorithm = localStorage.getItem("l3-cluster-algorithm") || "server";
+		this.clientClusterer = new ClientClusterer();
 		this.colorMode = "age"; // "age" or "cluster"
 		this.precision = { price_precision: 2, qty_precision: 2 };
+		this.rendererMode = "svg"; // "svg" or "canvas"
+		this.chartMode = "bars"; // "bars" or "heatmap"
+		this.xAxisMode = "index"; // "index" or "price"
+		this.showDepthCurve = false;
+		this.units = "base"; // "base" quantity or quote "notional"; remembered per symbol
+		this.depthBandPct = 0.1; // Depth readout band around mid, in percent
+		// What the server streams to this view: ms between frames, and "full"
+		// or "light" (no order_details or queue_metrics) level payloads
+		this.stream = {
+			interval: Number(localStorage.getItem("l3-update-interval")) || 50,
+			payload: localStorage.getItem("l3-payload") || "full",
+		};
+		// Levels per side shown by each view; the chart count is the default
+		// zoom window over all levels the server sends
+		this.levelCounts = {
+			chart: 25,
+			book: 15,
+			queue: 5,
+			...JSON.parse(localStorage.getItem("l3-level-counts") || "{}"),
+		};
 
 		this.initChart();
 		this.initWebSocket();
 		this.initTickerSelector();
 		this.initControls();
-		window.addEventListener("resize", () => this.resizeChart());
+		this.initOrderInspection();
+		this.initMetricsPanel();
+		this.initReplay();
+		this.initSessionFiles();
+		this.initHistory();
+		this.initAlerts();
+		this.initVirtualOrder();
+		this.initTradeFlow();
+		this.initSignalsPanel();
+		this.initClusterLegend();
+		this.initQueueHistory();
+
+		this.onResize = () => this.resizeChart();
+		window.addEventListener("resize", this.onResize);
+	}
+
+	// Elements are looked up by data-el inside this view's root, never by page-wide ID
+	el(name) {
+		return this.root.querySelector(`[data-el="${name}"]`);
+	}
+
+	// Hidden views (background tabs) keep recording but skip drawing
+	setVisible(visible) {
+		this.visible = visible;
+		if (visible) {
+			this.resizeChart();
+			if (this.l3Data) {
+				this.renderFrame();
+			}
+		}
+	}
+
+	destroy() {
+		this.connection.close();
+		if (this.fileSource) {
+			this.fileSource.stop();
+		}
+		clearTimeout(this.playback.timer);
+		this.liveRecorder.setPersist(false);
+		this.tooltip.remove();
+		window.removeEventListener("resize", this.onResize);
+		this.clientClusterer.stop();
+		document.removeEventListener("l3-alerts-changed", this.onAlertsChanged);
 	}
 
 	initChart() {
-		// Create scales
-		this.xScale = d3.scaleLinear().domain([-25, 25]);
+		// Create scales. baseXScale spans every level; xScale is its zoomed view
+		this.baseXScale = d3.scaleLinear().domain([-25, 25]);
+		this.xScale = this.baseXScale.copy();
 		this.yScale = d3.scaleLinear().domain([0, 1000]);
 
+		// Bars animate between updates; keep this below the 50ms update interval
+		// so a transition always settles before the next frame interrupts it
+		this.transitionDuration = 40;
+		this.frameBudget = 50;
+		this.frameTimes = [];
+		this.lastFrameReadout = 0;
+
 		// Create SVG
 		this.svg = this.chartContainer
 			.append("svg")
 			.attr("width", "100%")
 			.attr("height", "100%");
 
+		// Canvas backend, hidden until selected
+		this.canvasRenderer = new CanvasOrderBookRenderer(this.chartContainer);
+		this.heatmapRenderer = new DepthHeatmapRenderer(this.chartContainer);
+
+		this.defs = this.svg.append("defs");
+		this.plotClip = this.defs
+			.append("clipPath")
+			.attr("id", `plot-clip-${this.id}`)
+			.append("rect");
+
 		// Create plot area group
 		this.plotArea = this.svg.append("g").attr("class", "plot-area");
 
+		// Persistent layers - each frame joins new data into these instead of
+		// removing and re-appending every node
+		this.centerLine = this.plotArea
+			.append("line")
+			.attr("class", "center-line")
+			.style("stroke", "#888")
+			.style("stroke-width", 2);
+		this.barsGroup = this.plotArea
+			.append("g")
+			.attr("class", "segmented-bars")
+			.attr("clip-path", `url(#plot-clip-${this.id})`);
+		this.depthGroup = this.plotArea.append("g").attr("class", "depth-curve");
+		this.labelsGroup = this.plotArea.append("g").attr("class", "price-labels");
+		this.countsGroup = this.plotArea.append("g").attr("class", "order-counts");
+		this.tradesGroup = this.plotArea
+			.append("g")
+			.attr("class", "trade-markers")
+			.attr("clip-path", `url(#plot-clip-${this.id})`);
+
+		// Frame-time readout
+		this.frameTimeDisplay = this.chartContainer
+			.append("div")
+			.attr("class", "frame-time");
+
+		this.initZoom();
 		this.resizeChart();
 	}
 
-	createGradients(selection, bidData, askData) {
-		let defs = selection.select("defs");
-		if (defs.empty()) {
-			defs = selection.append("defs");
+	// Wheel zoom and drag-pan along the x-axis. Works on the container so the
+	// SVG and canvas renderers share one zoom state
+	initZoom() {
+		this.zoomTransform = d3.zoomIdentity;
+		this.zoomResetPending = true;
+		this.applyingZoom = false;
+		this.zoomFrame = null;
+
+		this.zoom = d3
+			.zoom()
+			.filter(
+				(event) =>
+					this.chartMode === "bars" &&
+					(!event.ctrlKey || event.type === "wheel") &&
+					!event.button,
+			)
+			.on("zoom", (event) => {
+				this.zoomTransform = event.transform;
+				if (this.applyingZoom || this.zoomFrame) return;
+
+				// Wheel events can outpace the display; draw once per frame
+				this.zoomFrame = requestAnimationFrame(() => {
+					this.zoomFrame = null;
+					this.renderChart();
+				});
+			});
+
+		this.chartContainer
+			.call(this.zoom)
+			.on("dblclick.zoom", null)
+			.on("dblclick", () => this.resetZoom());
+	}
+
+	resetZoom() {
+		this.zoomResetPending = true;
+		if (this.l3Data) {
+			this.renderChart();
 		}
+	}
 
-		// Remove existing gradients
-		defs.selectAll("linearGradient").remove();
+	// Keep the zoom bounds in step with the plot size and level range, and
+	// apply the default window of levelCounts.chart levels when a reset is due
+	updateZoom(width, height, bidData, askData, priceAxis, tickSize) {
+		const [lo, hi] = this.baseXScale.domain();
+		const minSpan = (priceAxis ? tickSize : 1) * 6; // A few levels either side
+		this.zoom
+			.extent([
+				[0, 0],
+				[width, height],
+			])
+			.translateExtent([
+				[0, 0],
+				[width, height],
+			])
+			.scaleExtent([1, Math.max(1, (hi - lo) / minSpan)]);
+
+		if (!this.zoomResetPending) return;
+		this.zoomResetPending = false;
+
+		const n = this.levelCounts.chart;
+		const outer = (levels) => levels[Math.min(n, levels.length) - 1];
+		const from = Math.max(lo, priceAxis ? outer(bidData).price - tickSize : -n);
+		const to = Math.min(hi, priceAxis ? outer(askData).price + tickSize : n);
+		const k = (hi - lo) / (to - from);
+		const transform = d3.zoomIdentity.scale(k).translate(-this.baseXScale(from), 0);
+
+		this.applyingZoom = true;
+		this.chartContainer.call(this.zoom.transform, transform);
+		this.applyingZoom = false;
+	}
 
-		// Create gradients for bids
-		bidData.forEach((d) => {
-			const gradient = defs
-				.append("linearGradient")
-				.attr("id", `bid-gradient-${Math.abs(d.index)}`)
-				.attr("x1", "0%")
-				.attr("y1", "0%")
-				.attr("x2", "0%")
-				.attr("y2", "100%");
+	// Smallest round level step that keeps repeated items minGap pixels apart
+	levelStep(spacing, minGap) {
+		const steps = [1, 2, 5, 10, 20, 50, 100];
+		return steps.find((step) => step * spacing >= minGap) || steps[steps.length - 1];
+	}
 
-			gradient
-				.append("stop")
-				.attr("offset", "0%")
-				.style("stop-color", "#00ff88");
+	setLevelCount(view, value) {
+		this.levelCounts[view] = value;
+		localStorage.setItem("l3-level-counts", JSON.stringify(this.levelCounts));
 
-			gradient
-				.append("stop")
-				.attr("offset", "100%")
-				.style("stop-color", "#004d2a");
-		});
+		if (view === "chart") {
+			this.resetZoom();
+		} else if (view === "book") {
+			this.updateSidebar();
+		} else {
+			this.updateQueueVisualization();
+		}
+	}
 
-		// Create gradients for asks
-		askData.forEach((d) => {
-			const gradient = defs
-				.append("linearGradient")
-				.attr("id", `ask-gradient-${d.index}`)
-				.attr("x1", "0%")
-				.attr("y1", "0%")
-				.attr("x2", "0%")
-				.attr("y2", "100%");
+	clearChart() {
+		this.barsGroup.selectAll("*").remove();
+		this.labelsGroup.selectAll("*").remove();
+		this.countsGroup.selectAll("*").remove();
+		this.depthGroup.selectAll("*").remove();
+		this.tradesGroup.selectAll("*").remove();
+		this.defs.selectAll("linearGradient").remove();
+	}
 
-			gradient
-				.append("stop")
-				.attr("offset", "0%")
-				.style("stop-color", "#ff4444");
+	recordFrameTime(ms) {
+		this.frameTimes.push(ms);
+		if (this.frameTimes.length > 40) {
+			this.frameTimes.shift();
+		}
 
-			gradient
-				.append("stop")
-				.attr("offset", "100%")
-				.style("stop-color", "#4d0000");
-		});
+		// Throttle the readout so it doesn't add DOM work to every frame
+		const now = performance.now();
+		if (now - this.lastFrameReadout < 250) return;
+		this.lastFrameReadout = now;
+
+		const avg = d3.mean(this.frameTimes);
+		const max = d3.max(this.frameTimes);
+		this.frameTimeDisplay
+			.classed("over-budget", max > this.frameBudget)
+			.text(
+				`frame ${avg.toFixed(1)}ms avg / ${max.toFixed(1)}ms max (budget ${this.frameBudget}ms)`,
+			);
 	}
 
-	addPriceLabels(bidData, askData) {
-		// Remove existing labels
-		this.plotArea.selectAll(".price-labels").remove();
+	createGradients(bidData, askData) {
+		const gradientData = [
+			...bidData.map((d) => ({
+				id: `bid-gradient-${Math.abs(d.index)}`,
+				from: "#00ff88",
+				to: "#004d2a",
+			})),
+			...askData.map((d) => ({
+				id: `ask-gradient-${d.index}`,
+				from: "#ff4444",
+				to: "#4d0000",
+			})),
+		];
+
+		this.defs
+			.selectAll("linearGradient")
+			.data(gradientData, (d) => d.id)
+			.join((enter) => {
+				const gradient = enter
+					.append("linearGradient")
+					.attr("id", (d) => d.id)
+					.attr("x1", "0%")
+					.attr("y1", "0%")
+					.attr("x2", "0%")
+					.attr("y2", "100%");
+
+				gradient
+					.append("stop")
+					.attr("offset", "0%")
+					.style("stop-color", (d) => d.from);
+
+				gradient
+					.append("stop")
+					.attr("offset", "100%")
+					.style("stop-color", (d) => d.to);
+
+				return gradient;
+			});
+	}
 
-		const labelsGroup = this.plotArea.append("g").attr("class", "price-labels");
+	addPriceLabels(bidData, askData, step) {
 		const labelY = this.yScale.range()[0] + 30;
 
-		// Add bid price labels (every 5th bar)
-		bidData
-			.filter((d, i) => i % 5 === 0)
-			.forEach((d) => {
-				const x = this.xScale(d.index);
-				const priceText = this.formatPrice(d.price);
+		// Label every step-th level counted from the touch, so labels stay put while panning
+		const labelData = [
+			...bidData.filter((d) => d.levelIndex % step === 0),
+			...askData.filter((d) => d.levelIndex % step === 0),
+		];
 
+		this.labelsGroup
+			.selectAll("g.price-label")
+			.data(labelData, (d) => d.key)
+			.join((enter) => {
 				// Create diagonal text group
-				const textGroup = labelsGroup
-					.append("g")
-					.attr("transform", `translate(${x}, ${labelY}) rotate(-45)`);
+				const textGroup = enter.append("g").attr("class", "price-label");
 
 				// Background rect (adjust for diagonal text)
 				textGroup
@@ -113,7 +339,7 @@ class L3OrderBookVisualizer {
 					.attr("width", 60)
 					.attr("height", 16)
 					.style("fill", "rgba(0, 0, 0, 0.8)")
-					.style("stroke", "#00ff88")
+					.style("stroke", (d) => (d.index < 0 ? "#00ff88" : "#ff4444"))
 					.style("stroke-width", 1);
 
 				// Price text (diagonal)
@@ -126,236 +352,1644 @@ class L3OrderBookVisualizer {
 					.style("font-family", "Monaco, monospace")
 					.style("font-size", "11px")
 					.style("font-weight", "bold")
-					.text(priceText);
+					.text((d) => this.formatPrice(d.price));
+
+				return textGroup;
+			})
+			.attr(
+				"transform",
+				(d) =>
+					`translate(${this.xScale(d.x)}, ${labelY}) rotate(${d.index < 0 ? -45 : 45})`,
+			);
+	}
+
+	renderSegmentedBars(allData, barWidth) {
+		const baseline = this.yScale(0);
+		const t = this.svg
+			.transition("bars")
+			.duration(this.transitionDuration)
+			.ease(d3.easeLinear);
+
+		// One group per price level, keyed by side and price so a level keeps
+		// its nodes while it moves along the axis
+		const levels = this.barsGroup
+			.selectAll("g.level")
+			.data(allData, (d) => d.key)
+			.join((enter) => {
+				const level = enter
+					.append("g")
+					.attr("class", "level")
+					.attr("transform", (d) => `translate(${this.xScale(d.x) - barWidth / 2}, 0)`);
+
+				level.append("g").attr("class", "segments");
+				level.append("g").attr("class", "separators");
+				level.append("g").attr("class", "virtual");
+
+				level.on("contextmenu", (event, d) => {
+					event.preventDefault();
+					this.placeVirtualOrder(d.side, d.price);
+				});
+
+				// Outer border for the entire bar
+				level
+					.append("rect")
+					.attr("class", "bar-outline")
+					.attr("y", baseline)
+					.attr("height", 0)
+					.style("fill", "none")
+					.style("stroke", (d) => (d.index < 0 ? "#00cc66" : "#cc3333"))
+					.style("stroke-width", 1.5);
+
+				return level;
 			});
 
-		// Add ask price labels (every 5th bar)
-		askData
-			.filter((d, i) => i % 5 === 0)
-			.forEach((d) => {
-				const x = this.xScale(d.index);
-				const priceText = this.formatPrice(d.price);
+		levels
+			.transition(t)
+			.attr("transform", (d) => `translate(${this.xScale(d.x) - barWidth / 2}, 0)`);
+
+		levels
+			.select("rect.bar-outline")
+			.attr("width", barWidth)
+			.transition(t)
+			.attr("y", (d) => this.yScale(d.size))
+			.attr("height", (d) => baseline - this.yScale(d.size));
+
+		// Individual order segments, keyed by position in the queue
+		levels
+			.select("g.segments")
+			.selectAll("rect.segment")
+			.data(
+				(d) => d.segments,
+				(s) => s.position,
+			)
+			.join((enter) =>
+				enter
+					.append("rect")
+					.attr("class", "segment")
+					.attr("y", (s) => this.yScale(s.y0))
+					.attr("height", 0)
+					.style("stroke-width", 0.5)
+					.style("cursor", "pointer")
+					.on("mousemove", (event, s) =>
+						this.showOrderTooltip(event, s.side, s.levelIndex, s.position),
+					)
+					.on("mouseleave", () => this.hideOrderTooltip())
+					.on("click", (event, s) =>
+						this.pinOrder(s.side, s.levelIndex, s.position),
+					),
+			)
+			.attr("width", barWidth)
+			.style("fill", (s) => s.color)
+			.style("stroke", (s) => s.stroke)
+			.style("opacity", (s) => (s.dimmed ? 0.1 : 0.9))
+			.transition(t)
+			.attr("y", (s) => this.yScale(s.y1))
+			.attr("height", (s) => this.yScale(s.y0) - this.yScale(s.y1));
+
+		// Separator line between segments (except for last segment)
+		levels
+			.select("g.separators")
+			.selectAll("line.separator")
+			.data(
+				(d) => d.segments.slice(0, -1),
+				(s) => s.position,
+			)
+			.join((enter) =>
+				enter
+					.append("line")
+					.attr("class", "separator")
+					.attr("y1", (s) => this.yScale(s.y1))
+					.attr("y2", (s) => this.yScale(s.y1))
+					.style("stroke", "#ffffff")
+					.style("stroke-width", 1),
+			)
+			.attr("x2", barWidth)
+			.transition(t)
+			.attr("y1", (s) => this.yScale(s.y1))
+			.attr("y2", (s) => this.yScale(s.y1));
+
+		// Our virtual order, stacked on top of the queue it joined
+		levels
+			.select("g.virtual")
+			.selectAll("rect.virtual-order")
+			.data((d) => (d.virtual ? [d.virtual] : []))
+			.join((enter) =>
+				enter
+					.append("rect")
+					.attr("class", "virtual-order")
+					.attr("y", (v) => this.yScale(v.y0))
+					.attr("height", 0)
+					.style("fill", "rgba(0, 229, 255, 0.35)")
+					.style("stroke", "#00e5ff")
+					.style("stroke-width", 1.5)
+					.style("stroke-dasharray", "3,2"),
+			)
+			.attr("width", barWidth)
+			.transition(t)
+			.attr("y", (v) => this.yScale(v.y1))
+			.attr("height", (v) => this.yScale(v.y0) - this.yScale(v.y1));
+	}
 
-				// Create diagonal text group
-				const textGroup = labelsGroup
+	addOrderCounts(allData, step) {
+		// Add order count for each bar (only if > 1), thinned out when zoomed out
+		const counts = this.countsGroup
+			.selectAll("g.order-count")
+			.data(
+				allData.filter((d) => d.orders > 1 && d.levelIndex % step === 0),
+				(d) => d.key,
+			)
+			.join((enter) => {
+				const count = enter
 					.append("g")
-					.attr("transform", `translate(${x}, ${labelY}) rotate(45)`);
+					.attr("class", "order-count")
+					.attr(
+						"transform",
+						(d) => `translate(${this.xScale(d.x)}, ${this.yScale(d.top) - 15})`,
+					);
 
-				// Background rect (adjust for diagonal text)
-				textGroup
-					.append("rect")
-					.attr("x", -30)
-					.attr("y", -8)
-					.attr("width", 60)
-					.attr("height", 16)
+				// Background circle for better visibility
+				count
+					.append("circle")
+					.attr("r", 10)
 					.style("fill", "rgba(0, 0, 0, 0.8)")
-					.style("stroke", "#ff4444")
+					.style("stroke", (d) => (d.index < 0 ? "#00ff88" : "#ff4444"))
 					.style("stroke-width", 1);
 
-				// Price text (diagonal)
-				textGroup
+				// Order count text
+				count
 					.append("text")
-					.attr("x", 0)
-					.attr("y", 4)
+					.attr("y", 4) // Center vertically in circle
 					.attr("text-anchor", "middle")
-					.style("fill", "#ffffff")
+					.style("fill", "#ffff00")
 					.style("font-family", "Monaco, monospace")
-					.style("font-size", "11px")
-					.style("font-weight", "bold")
-					.text(priceText);
+					.style("font-size", "10px")
+					.style("font-weight", "bold");
+
+				return count;
+			});
+
+		counts.select("text").text((d) => d.orders);
+
+		// Position above the bar
+		counts
+			.transition("counts")
+			.duration(this.transitionDuration)
+			.ease(d3.easeLinear)
+			.attr(
+				"transform",
+				(d) => `translate(${this.xScale(d.x)}, ${this.yScale(d.top) - 15})`,
+			);
+	}
+
+	resizeChart() {
+		if (!this.svg) return;
+
+		this.svg.style("width", "100%").style("height", "100%");
+
+		// Re-render if we have data
+		if (this.l3Data) {
+			this.renderChart();
+		}
+	}
+
+	initControls() {
+		// K-means toggle
+		const kmeansToggle = this.el("kmeans-toggle");
+		const clusterSlider = this.el("cluster-slider");
+		const clusterNumber = this.el("cluster-number");
+		const clusterAlgorithm = this.el("cluster-algorithm");
+		const colorModeBtn = this.el("color-mode-btn");
+		const precisionRefresh = this.el("precision-refresh");
+		const rendererToggle = this.el("renderer-toggle");
+		const chartModeSelect = this.el("chart-mode");
+		const axisToggle = this.el("axis-toggle");
+		const unitsToggle = this.el("units-toggle");
+		const depthToggle = this.el("depth-toggle");
+		const updateInterval = this.el("update-interval");
+		const payloadSelect = this.el("payload");
+		const tickerPanel = this.root.querySelector(".ticker-selector");
+		const levelInputs = {
+			chart: this.el("chart-levels"),
+			book: this.el("book-levels"),
+			queue: this.el("queue-levels"),
+		};
+
+		kmeansToggle.addEventListener("click", () => this.toggleClustering());
+
+		// Cluster count controls
+		clusterSlider.addEventListener("input", (e) => this.setNumClusters(e.target.value));
+		clusterNumber.addEventListener("change", (e) => this.setNumClusters(e.target.value));
+
+		clusterAlgorithm.innerHTML = Object.entries(ClientClusterer.algorithms)
+			.map(([value, label]) => `<option value="${value}">${label}</option>`)
+			.join("");
+		clusterAlgorithm.value = this.clusterAlgorithm;
+		clusterAlgorithm.addEventListener("change", () => {
+			this.clusterAlgorithm = clusterAlgorithm.value;
+			localStorage.setItem("l3-cluster-algorithm", this.clusterAlgorithm);
+			if (this.clusterAlgorithm === "server") {
+				this.clientClusterer.stop();
+			}
+			// Tells the server whether it still has to cluster for this view
+			this.sendClustering();
+		});
+
+		// Color mode button (visual only - actual mode determined by server)
+		colorModeBtn.addEventListener("click", () => {
+			// This is just for display, actual color mode is determined by kmeans state
+			this.updateColorModeButton();
+		});
+
+		// Precision refresh
+		precisionRefresh.addEventListener("click", () => this.refreshPrecision());
+
+		// Renderer switch
+		rendererToggle.addEventListener("click", () => {
+			this.setRenderer(this.rendererMode === "svg" ? "canvas" : "svg");
+		});
+
+		// Chart mode
+		chartModeSelect.addEventListener("change", (e) => {
+			this.setChartMode(e.target.value);
+		});
+
+		// Sizes in base quantity or quote notional
+		unitsToggle.addEventListener("click", () => {
+			this.setUnits(this.units === "base" ? "notional" : "base");
+		});
+
+		// X-axis: level index or true price scale
+		axisToggle.addEventListener("click", () => {
+			this.xAxisMode = this.xAxisMode === "index" ? "price" : "index";
+			axisToggle.textContent = this.xAxisMode === "price" ? "Price" : "Index";
+			axisToggle.classList.toggle("active", this.xAxisMode === "price");
+			this.clearChart();
+			this.resetZoom();
+		});
+
+		// Cumulative depth overlay
+		depthToggle.addEventListener("click", () => {
+			this.showDepthCurve = !this.showDepthCurve;
+			depthToggle.textContent = this.showDepthCurve ? "ON" : "OFF";
+			depthToggle.classList.toggle("active", this.showDepthCurve);
+			if (this.l3Data) {
+				this.renderChart();
+			}
+		});
+
+		// Stream settings are renegotiated with the server on change
+		updateInterval.value = this.stream.interval;
+		updateInterval.addEventListener("change", () => {
+			this.stream.interval = Number(updateInterval.value);
+			localStorage.setItem("l3-update-interval", this.stream.interval);
+			this.sendStreamConfig();
+		});
+		payloadSelect.value = this.stream.payload;
+		payloadSelect.addEventListener("change", () => {
+			this.stream.payload = payloadSelect.value;
+			localStorage.setItem("l3-payload", this.stream.payload);
+			this.sendStreamConfig();
+		});
+
+		// Collapse the overlay so it doesn't cover small grid panels
+		tickerPanel.querySelector(".controls-section h4").addEventListener("click", () => this.toggleControls());
+
+		// Levels shown per view
+		Object.entries(levelInputs).forEach(([view, input]) => {
+			input.value = this.levelCounts[view];
+			input.addEventListener("change", (e) => {
+				const min = Number(e.target.min);
+				const max = Number(e.target.max);
+				const value = Math.max(min, Math.min(max, parseInt(e.target.value) || min));
+				e.target.value = value;
+				this.setLevelCount(view, value);
 			});
+		});
+
+		this.updateColorModeButton();
+	}
+
+	toggleClustering() {
+		this.kmeansEnabled = !this.kmeansEnabled;
+		this.updateControlsFromServer();
+		this.sendClustering();
+	}
+
+	setNumClusters(value) {
+		this.numClusters = Math.max(3, Math.min(15, parseInt(value) || 10));
+		this.updateControlsFromServer();
+		if (this.kmeansEnabled) {
+			this.sendClustering();
+		}
+	}
+
+	refreshPrecision() {
+		this.sendControlMessage({
+			type: "refresh_precision"
+		});
+	}
+
+	toggleControls() {
+		this.root.querySelector(".ticker-selector").classList.toggle("collapsed");
+	}
+
+	setUnits(units) {
+		this.units = units;
+		if (this.activeSymbol) {
+			const saved = JSON.parse(localStorage.getItem("l3-units") || "{}");
+			saved[this.activeSymbol] = units;
+			localStorage.setItem("l3-units", JSON.stringify(saved));
+		}
+		this.updateUnitsToggle();
+		this.clearChart();
+		if (this.l3Data) {
+			this.renderFrame();
+		}
+	}
+
+	// Each symbol comes back in the units last used for it
+	loadUnits() {
+		const saved = JSON.parse(localStorage.getItem("l3-units") || "{}");
+		this.units = saved[this.activeSymbol] || "base";
+		this.updateUnitsToggle();
+	}
+
+	updateUnitsToggle() {
+		const unitsToggle = this.el("units-toggle");
+		const notional = this.units === "notional";
+		unitsToggle.textContent = notional ? (this.precision && this.precision.quote_asset) || "USDT" : "Qty";
+		unitsToggle.classList.toggle("active", notional);
+	}
+
+	setRenderer(mode) {
+		this.rendererMode = mode;
+
+		const rendererToggle = this.el("renderer-toggle");
+		rendererToggle.textContent = mode === "canvas" ? "Canvas" : "SVG";
+		rendererToggle.classList.toggle("active", mode === "canvas");
+
+		this.updateChartVisibility();
+	}
+
+	setChartMode(mode) {
+		this.chartMode = mode;
+		this.el("chart-mode").value = mode;
+		this.updateChartVisibility();
+	}
+
+	// Show only the surface that the current chart mode and renderer draw to
+	updateChartVisibility() {
+		const bars = this.chartMode === "bars";
+		this.svg.style("display", bars && this.rendererMode === "svg" ? null : "none");
+		this.canvasRenderer.show(bars && this.rendererMode === "canvas");
+		this.heatmapRenderer.show(this.chartMode === "heatmap");
+		this.clearChart();
+
+		if (this.l3Data) {
+			this.renderChart();
+		}
+	}
+
+	renderHeatmap() {
+		// Recorded frames up to the one on screen, so the heatmap follows replay too
+		const frames = this.recorder.frames.slice(
+			0,
+			this.recorder.indexAt(this.l3Data.timestamp) + 1,
+		);
+		const tickSize = Number.parseFloat(this.precision.tick_size) || 0.01;
+
+		this.heatmapRenderer.render({
+			frames,
+			margin: { top: 20, right: 80, bottom: 30, left: 10 },
+			tickSize,
+			notional: this.units === "notional",
+			formatPrice: (price) => this.formatPrice(price),
+		});
+	}
+
+	initOrderInspection() {
+		this.pinnedOrder = null;
+		this.tooltip = d3.select("body").append("div").attr("class", "order-tooltip");
+
+		// Canvas segments are hit-tested from the mouse position
+		const canvas = d3.select(this.canvasRenderer.canvas);
+		canvas
+			.on("mousemove", (event) => {
+				const [mx, my] = d3.pointer(event);
+				const hit = this.canvasRenderer.hitTest(mx, my);
+				if (hit) {
+					this.showOrderTooltip(event, hit.side, hit.levelIndex, hit.position);
+				} else {
+					this.hideOrderTooltip();
+				}
+			})
+			.on("mouseleave", () => this.hideOrderTooltip())
+			.on("click", (event) => {
+				const [mx, my] = d3.pointer(event);
+				const hit = this.canvasRenderer.hitTest(mx, my);
+				if (hit) {
+					this.pinOrder(hit.side, hit.levelIndex, hit.position);
+				}
+			});
+
+		// Queue sidebar bars are re-rendered as HTML, so delegate from the container
+		const queueDisplay = this.el("queue-display");
+		const barTarget = (event) => event.target.closest(".order-bar");
+		queueDisplay.addEventListener("mousemove", (event) => {
+			const bar = barTarget(event);
+			if (bar) {
+				this.showOrderTooltip(
+					event,
+					bar.dataset.side,
+					Number(bar.dataset.level),
+					Number(bar.dataset.position),
+				);
+			} else {
+				this.hideOrderTooltip();
+			}
+		});
+		queueDisplay.addEventListener("mouseleave", () => this.hideOrderTooltip());
+		queueDisplay.addEventListener("click", (event) => {
+			const bar = barTarget(event);
+			if (bar) {
+				this.pinOrder(
+					bar.dataset.side,
+					Number(bar.dataset.level),
+					Number(bar.dataset.position),
+				);
+			}
+		});
+
+		this.el("inspector-close").addEventListener("click", () => this.unpinOrder());
+	}
+
+	// Resolve an order at a queue position into everything the tooltip and
+	// inspector show. Synthetic IDs come from order_details, which the server
+	// tracks separately from the plain orders array, so position and quantity
+	// ahead are taken from order_details whenever it is present.
+	getOrderInfo(side, levelIndex, position) {
+		if (!this.l3Data) return null;
+
+		const level = (side === "bid" ? this.l3Data.bids : this.l3Data.asks)[levelIndex];
+		if (!level) return null;
+
+		// Decimal strings, summed exactly for the quantity ahead
+		const details = level.order_details || [];
+		const sizes = details.length ? details.map((o) => o.qty) : level.orders || [level.total_size];
+		if (position >= sizes.length) return null;
+
+		const detail = details[position] || null;
+		return {
+			side,
+			price: level.price,
+			id: detail ? detail.id : null,
+			qty: sizes[position],
+			age: detail ? Math.max(0, this.l3Data.timestamp - detail.timestamp) : null,
+			isPartial: detail ? detail.is_partial : false,
+			position: position + 1,
+			queueLength: sizes.length,
+			ahead: sizes.slice(0, position).reduce((sum, qty) => sum.add(qty), Decimal.from(0)),
+			levelTotal: level.total_size,
+		};
+	}
+
+	// Find a pinned order again by side, price and synthetic ID
+	findOrderById(side, price, id) {
+		if (!this.l3Data) return null;
+
+		const levels = side === "bid" ? this.l3Data.bids : this.l3Data.asks;
+		const levelIndex = levels.findIndex((level) => level.price === price);
+		if (levelIndex === -1) return null;
+
+		const details = levels[levelIndex].order_details || [];
+		const position = details.findIndex((o) => o.id === id);
+		if (position === -1) return null;
+
+		return this.getOrderInfo(side, levelIndex, position);
+	}
+
+	formatAge(ms) {
+		if (ms === null || ms === undefined) return "n/a";
+		if (ms < 1000) return `${Math.round(ms)}ms`;
+		if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+		const minutes = Math.floor(ms / 60000);
+		const seconds = Math.floor((ms % 60000) / 1000);
+		return `${minutes}m ${String(seconds).padStart(2, "0")}s`;
+	}
+
+	renderOrderInfo(info) {
+		return `
+			<div class="order-info-row"><span>ID</span><span>${info.id !== null ? `#${info.id}` : "n/a"}</span></div>
+			<div class="order-info-row"><span>Price</span><span>${this.formatPrice(info.price)}</span></div>
+			<div class="order-info-row"><span>Size</span><span>${this.formatQuantity(info.qty)}</span></div>
+			<div class="order-info-row"><span>Value</span><span>${this.formatNotional(info.qty, info.price, { abbreviate: false })}</span></div>
+			<div class="order-info-row"><span>Age</span><span>${this.formatAge(info.age)}</span></div>
+			<div class="order-info-row"><span>Queue position</span><span>${info.position} / ${info.queueLength}</span></div>
+			<div class="order-info-row"><span>Qty ahead</span><span>${this.formatQuantity(info.ahead)}</span></div>
+			<div class="order-info-row"><span>Partial fill</span><span>${info.isPartial ? "yes" : "no"}</span></div>
+		`;
+	}
+
+	showOrderTooltip(event, side, levelIndex, position) {
+		const info = this.getOrderInfo(side, levelIndex, position);
+		if (!info) {
+			this.hideOrderTooltip();
+			return;
+		}
+
+		this.tooltip
+			.html(this.renderOrderInfo(info))
+			.classed("bid", side === "bid")
+			.classed("ask", side === "ask")
+			.style("display", "block")
+			.style("left", `${event.clientX + 14}px`)
+			.style("top", `${event.clientY + 14}px`);
+	}
+
+	hideOrderTooltip() {
+		this.tooltip.style("display", "none");
+	}
+
+	pinOrder(side, levelIndex, position) {
+		const info = this.getOrderInfo(side, levelIndex, position);
+		if (!info || info.id === null) return;
+
+		this.pinnedOrder = { side, price: info.price, id: info.id, lastInfo: info };
+		this.updateOrderInspector();
+	}
+
+	unpinOrder() {
+		this.pinnedOrder = null;
+		this.el("order-inspector").style.display = "none";
+	}
+
+	updateOrderInspector() {
+		// Synthetic IDs restart when a level is rebuilt, so once the order is
+		// gone stop matching and keep showing its last known state
+		if (!this.pinnedOrder || this.pinnedOrder.gone) return;
+
+		const inspector = this.el("order-inspector");
+		const { side, price, id } = this.pinnedOrder;
+		const info = this.findOrderById(side, price, id);
+
+		if (info) {
+			this.pinnedOrder.lastInfo = info;
+		} else {
+			this.pinnedOrder.gone = true;
+		}
+
+		inspector.className = `order-inspector ${side}`;
+		inspector.style.display = "block";
+		this.el("inspector-status").textContent = this.pinnedOrder.gone
+			? "Removed from book"
+			: "Tracking";
+		this.el("inspector-body").innerHTML = this.renderOrderInfo(
+			this.pinnedOrder.lastInfo,
+		);
+	}
+
+	initVirtualOrder() {
+		this.virtualOrder = null;
+		this.virtualQty = Number(localStorage.getItem("l3-virtual-qty")) || 1;
+		const qtyInput = this.el("virtual-qty");
+		qtyInput.value = this.virtualQty;
+
+		// Right-click a level on the chart or in the book to join its queue.
+		// SVG levels are wired up in renderSegmentedBars.
+		d3.select(this.canvasRenderer.canvas).on("contextmenu", (event) => {
+			const [mx] = d3.pointer(event);
+			const level = this.canvasRenderer.hitLevel(mx);
+			if (level) {
+				event.preventDefault();
+				this.placeVirtualOrder(level.side, level.price);
+			}
+		});
+		this.root.querySelector(".book-section").addEventListener("contextmenu", (event) => {
+			const row = event.target.closest(".level");
+			if (!row) return;
+			event.preventDefault();
+			this.placeVirtualOrder(row.dataset.side, row.dataset.price);
+		});
+
+		qtyInput.addEventListener("change", () => {
+			const qty = Number(qtyInput.value);
+			if (!(qty > 0)) {
+				qtyInput.value = this.virtualQty;
+				return;
+			}
+			this.virtualQty = qty;
+			localStorage.setItem("l3-virtual-qty", qty);
+			if (this.virtualOrder) {
+				this.virtualOrder.qty = qty;
+				this.renderFrame();
+			}
+		});
+		this.el("virtual-cancel").addEventListener("click", () => {
+			this.cancelVirtualOrder();
+			this.renderFrame();
+		});
+	}
+
+	placeVirtualOrder(side, price) {
+		// Estimates always follow the live book, even while replaying
+		const data = this.liveData || this.l3Data;
+		if (!data) return;
+
+		this.virtualOrder = new VirtualOrder({
+			symbol: data.symbol,
+			side,
+			price,
+			qty: this.virtualQty,
+			data,
+		});
+		this.renderFrame();
+	}
+
+	cancelVirtualOrder() {
+		this.virtualOrder = null;
+		this.el("virtual-order").style.display = "none";
+	}
+
+	updateVirtualOrder() {
+		const order = this.virtualOrder;
+		if (!order) return;
+
+		const card = this.el("virtual-order");
+		card.className = `order-inspector virtual-order ${order.side}`;
+		card.style.display = "block";
+		this.el("virtual-status").textContent = {
+			queued: "Queued",
+			front: "At the front of the queue",
+			filled: "Filled: the level traded through",
+		}[order.status];
+
+		const eta = order.eta;
+		this.el("virtual-body").innerHTML = `
+			<div class="order-info-row"><span>Side</span><span>${order.side === "bid" ? "Buy" : "Sell"} ${order.symbol}</span></div>
+			<div class="order-info-row"><span>Price</span><span>${this.formatPrice(order.price)}</span></div>
+			<div class="order-info-row"><span>Queue position</span><span>${order.status === "filled" ? "n/a" : order.ordersAhead + 1}</span></div>
+			<div class="order-info-row"><span>Qty ahead</span><span>${this.formatQuantity(order.ahead)}</span></div>
+			<div class="order-info-row"><span>Drain rate</span><span>${this.formatQuantity(order.rate)}/s</span></div>
+			<div class="order-info-row"><span>Est. time to fill</span><span>${eta === null ? "queue not moving" : this.formatAge(eta)}</span></div>
+			<div class="order-info-row"><span>Resting for</span><span>${this.formatAge((this.liveData || this.l3Data).timestamp - order.placedAt)}</span></div>
+		`;
+	}
+
+	initMetricsPanel() {
+		this.selectedLevel = null; // { side, price }
+		this.metricsHistory = { bid: [], ask: [], level: [] };
+		this.metricsHistoryLength = 120;
+		this.metricsSampleInterval = 500; // ms between history samples
+		this.lastMetricsSample = 0;
+
+		// Book rows are re-rendered as HTML, so delegate clicks from the section
+		this.root.querySelector(".book-section").addEventListener("click", (event) => {
+			const row = event.target.closest(".level");
+			if (!row) return;
+			this.selectLevel(row.dataset.side, row.dataset.price);
+		});
+		this.el("metrics-display").addEventListener("click", (event) => {
+			if (event.target.closest("[data-queue-history]") && this.selectedLevel) {
+				this.openQueueHistory(this.selectedLevel.side, this.selectedLevel.price);
+			}
+		});
+	}
+
+	selectLevel(side, price) {
+		const isSame =
+			this.selectedLevel &&
+			this.selectedLevel.side === side &&
+			this.selectedLevel.price === price;
+
+		// Clicking the selected row again clears the selection
+		this.selectedLevel = isSame ? null : { side, price };
+		this.metricsHistory.level = [];
+		this.updateSidebar();
+		this.updateMetricsPanel();
+	}
+
+	// Book-wide aggregates for one side from each level's queue_metrics.
+	// Age is weighted by quantity using order_details when the server sends
+	// them, so one old wall outweighs many young dust orders.
+	computeSideMetrics(levels, timestamp) {
+		let totalQty = 0;
+		let weightedAge = 0;
+		let totalOrders = 0;
+		let partialOrders = 0;
+		let oldestAge = 0;
+		let minOrder = Infinity;
+		let maxOrder = 0;
+		let stalest = null;
+
+		levels.forEach((level) => {
+			const metrics = level.queue_metrics;
+			if (!metrics || !metrics.total_orders) return;
+
+			const levelQty = Number.parseFloat(metrics.total_qty);
+			let levelWeightedAge;
+			if (level.order_details && level.order_details.length > 0) {
+				levelWeightedAge = level.order_details.reduce(
+					(sum, o) => sum + Number.parseFloat(o.qty) * Math.max(0, timestamp - o.timestamp),
+					0,
+				);
+			} else {
+				levelWeightedAge = metrics.avg_age_ms * levelQty;
+			}
+
+			totalQty += levelQty;
+			weightedAge += levelWeightedAge;
+			totalOrders += metrics.total_orders;
+			partialOrders += metrics.partial_orders;
+			oldestAge = Math.max(oldestAge, metrics.oldest_age_ms);
+			minOrder = Math.min(minOrder, Number.parseFloat(metrics.min_order_size));
+			maxOrder = Math.max(maxOrder, Number.parseFloat(metrics.max_order_size));
+
+			const levelAge = levelQty > 0 ? levelWeightedAge / levelQty : 0;
+			if (!stalest || levelWeightedAge > stalest.weightedAge) {
+				stalest = { price: level.price, age: levelAge, qty: levelQty, weightedAge: levelWeightedAge };
+			}
+		});
+
+		return {
+			weightedAge: totalQty > 0 ? weightedAge / totalQty : 0,
+			oldestAge,
+			partialShare: totalOrders > 0 ? partialOrders / totalOrders : 0,
+			partialOrders,
+			totalOrders,
+			minOrder: minOrder === Infinity ? 0 : minOrder,
+			maxOrder,
+			stalest,
+		};
+	}
+
+	getSelectedLevelData() {
+		if (!this.selectedLevel || !this.l3Data) return null;
+
+		const levels = this.selectedLevel.side === "bid" ? this.l3Data.bids : this.l3Data.asks;
+		return levels.find((level) => level.price === this.selectedLevel.price) || null;
+	}
+
+	recordMetricsHistory(bidMetrics, askMetrics, levelMetrics) {
+		const now = performance.now();
+		if (now - this.lastMetricsSample < this.metricsSampleInterval) return;
+		this.lastMetricsSample = now;
+
+		const push = (history, sample) => {
+			history.push(sample);
+			if (history.length > this.metricsHistoryLength) {
+				history.shift();
+			}
+		};
+
+		push(this.metricsHistory.bid, bidMetrics);
+		push(this.metricsHistory.ask, askMetrics);
+		if (levelMetrics) {
+			push(this.metricsHistory.level, levelMetrics);
+		}
+	}
+
+	renderSparkline(values, color, width = 80, height = 16) {
+		if (values.length < 2) {
+			return `<svg class="sparkline" width="${width}" height="${height}"></svg>`;
+		}
+
+		const x = d3.scaleLinear().domain([0, values.length - 1]).range([0, width]);
+		const [lo, hi] = d3.extent(values);
+		const y = d3
+			.scaleLinear()
+			.domain(lo === hi ? [lo - 1, hi + 1] : [lo, hi])
+			.range([height - 1, 1]);
+		const path = d3
+			.line()
+			.x((v, i) => x(i))
+			.y((v) => y(v))(values);
+
+		return `<svg class="sparkline" width="${width}" height="${height}"><path d="${path}" style="fill: none; stroke: ${color}; stroke-width: 1;"></path></svg>`;
+	}
+
+	renderMetricRow(label, value, history, key, color) {
+		const values = history.map((sample) => sample[key]);
+		return `
+			<div class="metric-row">
+				<span class="metric-label">${label}</span>
+				<span class="metric-value">${value}</span>
+				${this.renderSparkline(values, color)}
+			</div>
+		`;
+	}
+
+	renderSideMetrics(title, metrics, history, color) {
+		const stalest = metrics.stalest
+			? `${this.formatPrice(metrics.stalest.price)} (${this.formatQuantity(metrics.stalest.qty)} @ ${this.formatAge(metrics.stalest.age)})`
+			: "n/a";
+
+		return `
+			<div class="metrics-block" style="border-left-color: ${color};">
+				<div class="metrics-title" style="color: ${color};">${title}</div>
+				${this.renderMetricRow("Qty-wtd age", this.formatAge(metrics.weightedAge), history, "weightedAge", color)}
+				${this.renderMetricRow("Oldest", this.formatAge(metrics.oldestAge), history, "oldestAge", color)}
+				${this.renderMetricRow("Partial", `${(metrics.partialShare * 100).toFixed(1)}% (${metrics.partialOrders}/${metrics.totalOrders})`, history, "partialShare", color)}
+				${this.renderMetricRow("Order size", `${this.formatQuantity(metrics.minOrder)} - ${this.formatQuantity(metrics.maxOrder)}`, history, "maxOrder", color)}
+				<div class="metric-row"><span class="metric-label">Stalest wall</span><span class="metric-value">${stalest}</span></div>
+			</div>
+		`;
+	}
+
+	renderLevelMetrics(level, history) {
+		const color = this.selectedLevel.side === "bid" ? "#00ff88" : "#ff4444";
+		const title = `${this.selectedLevel.side === "bid" ? "Bid" : "Ask"} ${this.formatPrice(this.selectedLevel.price)}`;
+
+		if (!level || !level.queue_metrics) {
+			return `
+				<div class="metrics-block" style="border-left-color: ${color};">
+					<div class="metrics-title" style="color: ${color};">${title}</div>
+					<div class="metric-row"><span class="metric-label">Level no longer in view</span></div>
+				</div>
+			`;
+		}
+
+		const metrics = level.queue_metrics;
+		return `
+			<div class="metrics-block" style="border-left-color: ${color};">
+				<div class="metrics-title" style="color: ${color};">
+					${title}
+					<button class="level-history-btn" data-queue-history title="Plot this level's queue over time">History</button>
+				</div>
+				${this.renderMetricRow("Avg age", this.formatAge(metrics.avg_age_ms), history, "avg_age_ms", color)}
+				${this.renderMetricRow("Oldest", this.formatAge(metrics.oldest_age_ms), history, "oldest_age_ms", color)}
+				${this.renderMetricRow("Partial", `${metrics.partial_orders}/${metrics.total_orders}`, history, "partial_orders", color)}
+				${this.renderMetricRow("Min size", this.formatQuantity(metrics.min_order_size), history, "min_order_size", color)}
+				${this.renderMetricRow("Max size", this.formatQuantity(metrics.max_order_size), history, "max_order_size", color)}
+			</div>
+		`;
+	}
+
+	updateMetricsPanel() {
+		if (!this.l3Data) return;
+
+		const { bids, asks, timestamp } = this.l3Data;
+		const bidMetrics = this.computeSideMetrics(bids, timestamp);
+		const askMetrics = this.computeSideMetrics(asks, timestamp);
+
+		const level = this.getSelectedLevelData();
+		let levelSample = null;
+		if (level && level.queue_metrics) {
+			const metrics = level.queue_metrics;
+			levelSample = {
+				avg_age_ms: metrics.avg_age_ms,
+				oldest_age_ms: metrics.oldest_age_ms,
+				partial_orders: metrics.partial_orders,
+				min_order_size: Number.parseFloat(metrics.min_order_size),
+				max_order_size: Number.parseFloat(metrics.max_order_size),
+			};
+		}
+		// Replayed frames would scramble the live history
+		if (this.playback.live) {
+			this.recordMetricsHistory(bidMetrics, askMetrics, levelSample);
+		}
+
+		let html = this.renderSideMetrics("Bids", bidMetrics, this.metricsHistory.bid, "#00ff88");
+		html += this.renderSideMetrics("Asks", askMetrics, this.metricsHistory.ask, "#ff4444");
+		if (this.selectedLevel) {
+			html += this.renderLevelMetrics(level, this.metricsHistory.level);
+		} else {
+			html += '<div class="metrics-hint">Click a price level in the book to track its queue metrics</div>';
+		}
+
+		this.el("metrics-display").innerHTML = html;
+	}
+
+	initSignalsPanel() {
+		const depthInput = this.el("signal-depth");
+		this.signals = new BookSignals({
+			depth: Number(localStorage.getItem("l3-signal-depth")) || 5,
+		});
+		depthInput.value = this.signals.depth;
+
+		depthInput.addEventListener("change", () => {
+			const depth = Math.round(Number(depthInput.value));
+			if (!(depth >= 1 && depth <= 100)) {
+				depthInput.value = this.signals.depth;
+				return;
+			}
+			this.signals.setDepth(depth);
+			localStorage.setItem("l3-signal-depth", depth);
+			this.updateSignalsPanel();
+		});
+		this.el("signal-export").addEventListener("click", () => this.exportSignals());
+	}
+
+	updateSignalsPanel() {
+		const sample = this.signals.latest;
+		if (!sample) {
+			this.el("signals-display").innerHTML =
+				'<div class="metrics-hint">Waiting for live data</div>';
+			return;
+		}
+
+		const ratio = (v) => (v >= 0 ? "+" : "") + v.toFixed(3);
+		const share = (v) => (v === null ? "clustering off" : `${(v * 100).toFixed(1)}%`);
+		const tickSize = Number.parseFloat(this.precision.tick_size) || 0.01;
+		const offset = (sample.microprice - sample.mid) / tickSize;
+		const rows = [
+			["Volume imb.", ratio(sample.volume_imbalance), "volume_imbalance", "#ffff00"],
+			[
+				"Microprice",
+				`${this.formatPrice(sample.microprice)} (${offset >= 0 ? "+" : ""}${offset.toFixed(2)}t)`,
+				"microprice",
+				"#ffffff",
+			],
+			["Count imb.", ratio(sample.count_imbalance), "count_imbalance", "#ffaa00"],
+			["Avg bid order", this.formatQuantity(sample.avg_bid_order), "avg_bid_order", "#00ff88"],
+			["Avg ask order", this.formatQuantity(sample.avg_ask_order), "avg_ask_order", "#ff4444"],
+			["Large bid share", share(sample.large_bid_share), "large_bid_share", "#00ff88"],
+			["Large ask share", share(sample.large_ask_share), "large_ask_share", "#ff4444"],
+		];
+
+		this.el("signals-display").innerHTML = rows
+			.map(
+				([label, value, key, color]) => `
+				<div class="metric-row">
+					<span class="metric-label">${label}</span>
+					<span class="metric-value">${value}</span>
+					${this.renderSparkline(this.signals.values(key), color, 120, 24)}
+				</div>
+			`,
+			)
+			.join("");
+	}
+
+	exportSignals() {
+		const history = this.signals.history;
+		if (history.length === 0) return;
+
+		const symbol = (this.activeSymbol || "signals").toUpperCase();
+		const stamp = new Date(history[0].timestamp).toISOString().replace(/[:.]/g, "-");
+		const blob = new Blob([this.signals.toCSV()], { type: "text/csv" });
+		const link = document.createElement("a");
+		link.href = URL.createObjectURL(blob);
+		link.download = `l3-${symbol}-signals-top${this.signals.depth}-${stamp}.csv`;
+		link.click();
+		setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+	}
+
+	initClusterLegend() {
+		this.clusterLegend = new ClusterLegend();
+
+		// Entries are re-rendered every frame, so delegate clicks from the legend
+		this.el("cluster-legend").addEventListener("click", (event) => {
+			const entry = event.target.closest("[data-cluster]");
+			if (event.target.closest("[data-action=show-all]")) {
+				this.clusterLegend.showAll();
+			} else if (entry && event.shiftKey) {
+				this.clusterLegend.toggleIsolated(entry.dataset.cluster);
+			} else if (entry) {
+				this.clusterLegend.toggleHidden(entry.dataset.cluster);
+			} else {
+				return;
+			}
+			if (this.l3Data) {
+				this.renderFrame();
+			}
+		});
+	}
+
+	updateClusterLegend() {
+		const legend = this.el("cluster-legend");
+		if (!this.clusterLegend.active) {
+			legend.style.display = "none";
+			return;
+		}
+
+		const renderSide = (side, title) => {
+			const entries = this.clusterLegend.entries[side]
+				.map((entry) => {
+					const id = `${side}:${entry.key}`;
+					let state = "";
+					if (this.clusterLegend.isolated === id) {
+						state = "isolated";
+					} else if (entry.count === 0 || !this.clusterLegend.isVisible(side, entry.label)) {
+						state = "muted";
+					}
+					const stats =
+						entry.count > 0
+							? `${this.formatQuantity(entry.min)}–${this.formatQuantity(entry.max)} · ${entry.count} · Σ${this.formatQuantity(entry.total, { abbreviate: true })}`
+							: "not in view";
+					const label = entry.label === null ? "not in this frame" : `k-means label ${entry.label} this frame`;
+					return `
+						<span class="cluster-entry ${state}" data-cluster="${id}" title="${label}. Click to hide, shift-click to isolate">
+							<i class="cluster-swatch" style="background: ${entry.color || "#666"};"></i>C${entry.key}
+							<span class="cluster-stats">${stats}</span>
+						</span>
+					`;
+				})
+				.join("");
+			return `<div class="cluster-legend-row"><span class="cluster-legend-side ${side}">${title}</span>${entries}</div>`;
+		};
+
+		const showAll = this.clusterLegend.filtered
+			? '<button data-action="show-all">Show all</button>'
+			: "";
+		legend.innerHTML = renderSide("bid", "Bids") + renderSide("ask", "Asks") + showAll;
+		legend.style.display = "block";
+	}
+
+	initQueueHistory() {
+		this.queueHistory = {
+			side: null, // Level shown, or null while closed
+			price: null,
+			spanMs: Number(localStorage.getItem("l3-queue-history-span")) || 60000,
+			lastRender: 0,
+		};
+		this.queueHistoryView = new QueueHistoryView(this.el("queue-history-chart"), {
+			formatQuantity: (qty) => this.formatQuantity(qty, { abbreviate: true }),
+		});
+
+		const spanSelect = this.el("queue-history-span");
+		spanSelect.value = String(this.queueHistory.spanMs);
+		spanSelect.addEventListener("change", () => {
+			this.queueHistory.spanMs = Number(spanSelect.value);
+			localStorage.setItem("l3-queue-history-span", spanSelect.value);
+			this.updateQueueHistory(true);
+		});
+		this.el("queue-history-close").addEventListener("click", () => this.closeQueueHistory());
+
+		const chart = this.el("queue-history-chart");
+		chart.addEventListener("mousemove", (event) => {
+			const rect = chart.getBoundingClientRect();
+			const hit = this.queueHistoryView.hitTest(event.clientX - rect.left, event.clientY - rect.top);
+			this.queueHistoryView.hovered = hit ? hit.track.key : null;
+			this.queueHistory.hit = hit;
+			this.updateQueueHistory(true);
+		});
+		chart.addEventListener("mouseleave", () => {
+			this.queueHistoryView.hovered = null;
+			this.queueHistory.hit = null;
+			this.updateQueueHistory(true);
+		});
+
+		// Double-click a book row to open its history directly
+		this.root.querySelector(".book-section").addEventListener("dblclick", (event) => {
+			const row = event.target.closest(".level");
+			if (row) {
+				this.openQueueHistory(row.dataset.side, row.dataset.price);
+			}
+		});
+	}
+
+	openQueueHistory(side, price) {
+		this.queueHistory.side = side;
+		this.queueHistory.price = price;
+		this.queueHistory.hit = null;
+		this.queueHistoryView.hovered = null;
+		this.el("queue-history").style.display = "flex";
+		this.el("queue-history-title").textContent =
+			`${side === "bid" ? "Bid" : "Ask"} ${this.formatPrice(price)} queue history`;
+		this.updateQueueHistory(true);
+	}
+
+	closeQueueHistory() {
+		this.queueHistory.side = null;
+		this.el("queue-history").style.display = "none";
+	}
+
+	// Rebuilt from the recording, so at most a few times a second unless the
+	// user is interacting with it
+	updateQueueHistory(force = false) {
+		const { side, price, spanMs } = this.queueHistory;
+		if (!side || !this.l3Data) return;
+
+		const now = performance.now();
+		if (!force && now - this.queueHistory.lastRender < 250) return;
+		this.queueHistory.lastRender = now;
+
+		// Recorded frames up to the one on screen, so the history follows replay
+		const frames = this.recorder.frames.slice(0, this.recorder.indexAt(this.l3Data.timestamp) + 1);
+		const summary = this.queueHistoryView.render({ frames, side, price, spanMs });
+		const readout = this.el("queue-history-readout");
+
+		const hit = this.queueHistory.hit;
+		if (hit) {
+			const { track, segment } = hit;
+			const time = (t) => new Date(t).toLocaleTimeString();
+			const removed =
+				track.removedAt !== null ? ` · removed ${time(track.removedAt)} from #${track.removedFrom} in queue` : "";
+			readout.textContent =
+				`Order #${track.id}: ${this.formatQuantity(segment.qty)} at #${segment.position} in queue · ` +
+				`added ${time(track.addedAt)} · ${track.fills} partial fill${track.fills === 1 ? "" : "s"}${removed}`;
+		} else if (summary.covered === 0) {
+			readout.textContent = "No order details for this level yet (they need the Full payload and the level in view)";
+		} else {
+			readout.textContent =
+				`${summary.orders} orders, ${summary.removed} removed (${summary.fromFront} from the front). ` +
+				"White tick: removed from the front, red: from behind it";
+		}
+	}
+
+	initReplay() {
+		const savedWindow = Number(localStorage.getItem("l3-replay-window")) || 60000;
+		// The timeline shows this.recorder. Session files and history get an
+		// in-memory one of their own, so the live recording and its persisted
+		// copy carry on underneath and are back when they are closed.
+		this.liveRecorder = new SessionRecorder({
+			windowMs: savedWindow,
+			dbName: `l3-orderbook-recorder-${this.id}`,
+		});
+		this.recorder = this.liveRecorder;
+		this.playback = { live: true, playing: false, timestamp: null, speed: 1, timer: null };
+
+		const playButton = this.el("replay-play");
+		const stepBack = this.el("replay-step-back");
+		const stepForward = this.el("replay-step-forward");
+		const speedSelect = this.el("replay-speed");
+		const scrubber = this.el("replay-scrubber");
+		const liveButton = this.el("replay-live");
+		const windowSelect = this.el("replay-window");
+		const persistToggle = this.el("replay-persist");
+
+		windowSelect.value = String(savedWindow);
+		// The toggle follows whether persisting actually works
+		const setPersist = async (enabled) => {
+			persistToggle.checked = enabled;
+			const persisted = await this.liveRecorder.setPersist(enabled);
+			persistToggle.checked = persisted;
+			localStorage.setItem("l3-replay-persist", String(persisted));
+			this.updateTimeline();
+		};
+		setPersist(localStorage.getItem("l3-replay-persist") === "true");
+
+		playButton.addEventListener("click", () => this.togglePause());
+		stepBack.addEventListener("click", () => this.stepReplay(-1));
+		stepForward.addEventListener("click", () => this.stepReplay(1));
+		speedSelect.addEventListener("change", (e) => {
+			this.playback.speed = Number.parseFloat(e.target.value);
+		});
+		scrubber.addEventListener("input", (e) => {
+			this.pauseReplay();
+			this.showReplayFrame(Number(e.target.value));
+		});
+		liveButton.addEventListener("click", () => this.goLive());
+		windowSelect.addEventListener("change", (e) => {
+			const windowMs = Number(e.target.value);
+			this.liveRecorder.setWindow(windowMs);
+			if (this.recorder !== this.liveRecorder) {
+				this.recorder.setWindow(windowMs);
+			}
+			localStorage.setItem("l3-replay-window", String(windowMs));
+			this.updateTimeline();
+		});
+		persistToggle.addEventListener("change", (e) => setPersist(e.target.checked));
+
+		this.updateTimeline();
+	}
+
+	initSessionFiles() {
+		this.fileSource = null;
+
+		const exportButton = this.el("session-export");
+		const importButton = this.el("session-import");
+		const fileInput = this.el("session-file-input");
+
+		exportButton.addEventListener("click", () => this.exportSession());
+		importButton.addEventListener("click", () => {
+			if (this.fileSource) {
+				this.closeSessionFile();
+			} else {
+				fileInput.click();
+			}
+		});
+		fileInput.addEventListener("change", (e) => {
+			const file = e.target.files[0];
+			e.target.value = "";
+			if (file) {
+				this.loadSessionFile(file);
+			}
+		});
+	}
+
+	async exportSession() {
+		const frames = this.recorder.frames;
+		if (frames.length === 0) return;
+
+		const lastData = frames[frames.length - 1].data;
+		const { blob, extension } = await SessionFile.encode(frames, {
+			symbol: lastData.symbol,
+			precision: lastData.precision,
+			kmeans_mode: lastData.kmeans_mode,
+			num_clusters: lastData.num_clusters,
+		});
+
+		const stamp = new Date(frames[0].timestamp).toISOString().replace(/[:.]/g, "-");
+		const link = document.createElement("a");
+		link.href = URL.createObjectURL(blob);
+		link.download = `l3-${lastData.symbol.toUpperCase()}-${stamp}.${extension}`;
+		link.click();
+		setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+	}
+
+	// The frame on screen, as JSON
+	exportSnapshot() {
+		if (!this.l3Data) return;
+
+		const stamp = new Date(this.l3Data.timestamp).toISOString().replace(/[:.]/g, "-");
+		const blob = new Blob([JSON.stringify(this.l3Data, null, 2)], { type: "application/json" });
+		const link = document.createElement("a");
+		link.href = URL.createObjectURL(blob);
+		link.download = `l3-${this.l3Data.symbol.toUpperCase()}-snapshot-${stamp}.json`;
+		link.click();
+		setTimeout(() => URL.revokeObjectURL(link.href), 1000);
 	}
 
-	renderSegmentedBars(allData) {
-		// Remove existing bars
-		this.plotArea.selectAll(".segmented-bars").remove();
+	async loadSessionFile(file) {
+		const connectionStatus = this.el("connection-status");
+
+		let session;
+		try {
+			session = await SessionFile.decode(file);
+		} catch (error) {
+			connectionStatus.textContent = "Error: " + error.message;
+			connectionStatus.style.color = "#ff4444";
+			return;
+		}
+
+		if (this.fileSource) {
+			this.fileSource.stop();
+		}
+
+		// Start from a clean slate, as a symbol switch would
+		this.l3Data = null;
+		this.recorder = new SessionRecorder({ windowMs: this.liveRecorder.windowMs });
+		this.goLive();
+		this.clearChart();
+		this.symbolSynced = false;
+		if (session.header.precision) {
+			this.precision = session.header.precision;
+			this.updatePrecisionDisplay();
+		}
+
+		this.fileSource = new FileReplaySource(
+			session.messages,
+			(message) => this.handleMessage(message),
+			() => {
+				connectionStatus.textContent = `Session ended: ${file.name}`;
+				connectionStatus.style.color = "#ffaa00";
+			},
+		);
+		this.fileSource.name = file.name;
+		this.el("session-import").textContent = "Close file";
+		this.fileSource.start();
+	}
+
+	closeSessionFile() {
+		if (!this.fileSource) return;
+
+		this.fileSource.stop();
+		this.fileSource = null;
+		this.el("session-import").textContent = "Import";
+
+		// Back to the WebSocket feed and what was recorded of it meanwhile
+		this.l3Data = null;
+		this.recorder = this.liveRecorder;
+		this.clearChart();
+		this.goLive();
+		this.symbolSynced = false;
+	}
+
+	initHistory() {
+		this.historyLoad = null; // Range still being fetched
+		const durationSelect = this.el("history-duration");
+		const stepSelect = this.el("history-step");
+
+		durationSelect.value = localStorage.getItem("l3-history-duration") || "300000";
+		stepSelect.value = localStorage.getItem("l3-history-step") || "0";
+		durationSelect.addEventListener("change", (e) => {
+			localStorage.setItem("l3-history-duration", e.target.value);
+		});
+		stepSelect.addEventListener("change", (e) => {
+			localStorage.setItem("l3-history-step", e.target.value);
+		});
+
+		this.el("history-toggle").addEventListener("click", () => this.toggleHistoryForm());
+		this.el("history-load").addEventListener("click", () => this.loadHistory());
+		this.el("history-at").addEventListener("click", () => this.loadHistory({ single: true }));
+	}
+
+	toggleHistoryForm(show = this.el("history-form").style.display === "none") {
+		this.el("history-form").style.display = show ? "flex" : "none";
+		this.el("history-toggle").classList.toggle("active", show);
+
+		// Start from the range just before now; datetime-local wants local time
+		const fromInput = this.el("history-from");
+		if (show && !fromInput.value) {
+			const from = new Date(Date.now() - Number(this.el("history-duration").value));
+			from.setMinutes(from.getMinutes() - from.getTimezoneOffset());
+			fromInput.value = from.toISOString().slice(0, 19);
+		}
+		this.resizeChart();
+	}
+
+	// Load a persisted range of the view's symbol (or just the snapshot at its
+	// start) from the server and step through it on the replay timeline
+	async loadHistory({ single = false } = {}) {
+		const status = this.el("history-status");
+		const symbol = this.activeSymbol || this.desiredSymbol;
+		const from = new Date(this.el("history-from").value).getTime();
+		if (!symbol || Number.isNaN(from)) {
+			status.textContent = "Pick a start time";
+			return;
+		}
+
+		const source = new HistorySource({
+			symbol,
+			from,
+			to: from + Number(this.el("history-duration").value),
+			step: Number(this.el("history-step").value),
+		});
+		if (this.historyLoad) {
+			this.historyLoad.stop();
+		}
+		this.historyLoad = source;
+		status.textContent = "Loading…";
+
+		const onProgress = (count) => {
+			status.textContent = `Loading… ${count} frames`;
+		};
+		let frames;
+		try {
+			frames = single ? await source.loadAt(from) : await source.load(onProgress);
+		} catch (error) {
+			if (error.name !== "AbortError") {
+				status.textContent = error.message;
+			}
+			return;
+		} finally {
+			if (this.historyLoad === source) {
+				this.historyLoad = null;
+			}
+		}
+		if (frames.length === 0) {
+			status.textContent = `No ${source.symbol} history in that range`;
+			return;
+		}
+
+		if (this.fileSource) {
+			this.fileSource.stop();
+		}
+
+		// Start from a clean slate, as a session file does, and show the
+		// range paused at its first frame
+		this.l3Data = null;
+		this.recorder = new SessionRecorder({ windowMs: this.liveRecorder.windowMs });
+		this.goLive();
+		this.clearChart();
+		this.symbolSynced = false;
+		if (frames[0].data.precision) {
+			this.precision = frames[0].data.precision;
+			this.updatePrecisionDisplay();
+		}
+
+		this.fileSource = source;
+		this.el("session-import").textContent = "Close history";
+		this.recorder.load(frames);
+		this.playback.live = false;
+		this.showReplayFrame(0);
+
+		const connectionStatus = this.el("connection-status");
+		connectionStatus.textContent = `History: ${source.name}`;
+		connectionStatus.style.color = "#ffaa00";
+		status.textContent =
+			`${frames.length} frames` + (source.truncated ? `, cut short at ${HistorySource.maxFrames}; use a step` : "");
+	}
 
-		const barsGroup = this.plotArea.append("g").attr("class", "segmented-bars");
-		const barWidth = Math.min(
-			12,
-			this.xScale.range()[1] / (allData.length * 2),
-		); // Dynamic bar width
+	initAlerts() {
+		this.alerts = new AlertEngine();
+		const form = this.el("alert-form");
+		const type = this.el("alert-type");
+
+		// Each rule type only uses some of the fields
+		const fields = {
+			large_order: ["side", "qty", "ticks"],
+			order_pulled: ["side"],
+			spread: ["ticks"],
+			queue_ahead: ["side", "qty", "price"],
+		};
+		const updateFields = () => {
+			["side", "qty", "ticks", "price"].forEach((field) => {
+				this.el(`alert-${field}`).style.display = fields[type.value].includes(field)
+					? null
+					: "none";
+			});
+			// A queue has to be on one side
+			this.el("alert-side").querySelector('option[value="both"]').disabled =
+				type.value === "queue_ahead";
+			if (type.value === "queue_ahead" && this.el("alert-side").value === "both") {
+				this.el("alert-side").value = "bid";
+			}
+		};
+		type.addEventListener("change", updateFields);
+		updateFields();
 
-		allData.forEach((d) => {
-			const x = this.xScale(d.index) - barWidth / 2;
-			const baseColor = d.index < 0 ? "#00ff88" : "#ff4444";
-			const strokeColor = d.index < 0 ? "#00cc66" : "#cc3333";
+		this.el("alert-add-toggle").addEventListener("click", () => {
+			form.style.display = form.style.display === "none" ? null : "none";
+		});
 
-			// Draw individual order segments
-			let currentY = this.yScale(0);
-			d.orderSizes.forEach((orderSize, segmentIndex) => {
-				const segmentHeight = this.yScale(0) - this.yScale(orderSize);
+		form.addEventListener("submit", (event) => {
+			event.preventDefault();
+			const symbol = this.activeSymbol || this.desiredSymbol;
+			if (!symbol) return;
 
-				// Use server-provided colors if available, otherwise fall back to intensity-based coloring
-				let segmentColor;
-				if (d.colors && d.colors[segmentIndex]) {
-					segmentColor = d.colors[segmentIndex];
-				} else {
-					// Fallback to intensity-based coloring
-					const intensity = Math.max(0.6, 1 - segmentIndex * 0.1);
-					segmentColor = d.index < 0
-						? `rgba(0, 255, 136, ${intensity})`
-						: `rgba(255, 68, 68, ${intensity})`;
+			const rule = {
+				type: type.value,
+				symbol: symbol.toUpperCase(),
+				delivery: this.el("alert-delivery").value,
+			};
+			for (const field of fields[type.value]) {
+				const value = this.el(`alert-${field}`).value.trim();
+				if (!value) {
+					this.el(`alert-${field}`).focus();
+					return;
 				}
+				rule[field] = field === "side" || field === "price" ? value : Number(value);
+			}
+			if (rule.delivery === "desktop" || rule.delivery === "both") {
+				AlertEngine.requestPermission();
+			}
+			AlertEngine.addRule(rule);
+			form.style.display = "none";
+		});
 
-				// Draw segment rectangle
-				barsGroup
-					.append("rect")
-					.attr("x", x)
-					.attr("y", currentY - segmentHeight)
-					.attr("width", barWidth)
-					.attr("height", segmentHeight)
-					.style("fill", segmentColor)
-					.style("stroke", strokeColor)
-					.style("stroke-width", 0.5)
-					.style("opacity", 0.9);
-
-				// Add separator line between segments (except for last segment)
-				if (segmentIndex < d.orderSizes.length - 1) {
-					barsGroup
-						.append("line")
-						.attr("x1", x)
-						.attr("x2", x + barWidth)
-						.attr("y1", currentY - segmentHeight)
-						.attr("y2", currentY - segmentHeight)
-						.style("stroke", "#ffffff")
-						.style("stroke-width", 1);
-				}
+		// Rule rows and log entries are rebuilt on every change, so delegate
+		this.el("alert-rules").addEventListener("click", (event) => {
+			const row = event.target.closest(".alert-rule");
+			if (!row) return;
+			if (event.target.classList.contains("alert-remove")) {
+				AlertEngine.removeRule(row.dataset.id);
+			} else if (event.target.classList.contains("alert-enabled")) {
+				AlertEngine.updateRule(row.dataset.id, { enabled: event.target.checked });
+			}
+		});
+		this.el("alert-log-clear").addEventListener("click", () => AlertEngine.clearLog());
 
-				currentY -= segmentHeight;
-			});
+		this.onAlertsChanged = () => this.updateAlertsPanel();
+		document.addEventListener("l3-alerts-changed", this.onAlertsChanged);
+		this.updateAlertsPanel();
+	}
+
+	updateAlertsPanel() {
+		// Rules and log entries hold what was typed into the form, so they
+		// go in as text
+		const rules = AlertEngine.rules;
+		const ruleList = d3.select(this.el("alert-rules"));
+		ruleList.selectAll("*").remove();
+		if (rules.length === 0) {
+			ruleList.append("div").attr("class", "metrics-hint").text("No alert rules yet");
+		}
+		rules.forEach((rule) => {
+			const row = ruleList.append("div").attr("class", "alert-rule").attr("data-id", rule.id);
+			row.append("input").attr("type", "checkbox").attr("class", "alert-enabled").property("checked", rule.enabled);
+			row.append("span").text(AlertEngine.describe(rule));
+			row.append("span").attr("class", "alert-delivery").text(rule.delivery);
+			row.append("button").attr("class", "alert-remove").attr("title", "Remove").text("×");
+		});
 
-			// Add outer border for the entire bar
-			barsGroup
-				.append("rect")
-				.attr("x", x)
-				.attr("y", this.yScale(d.size))
-				.attr("width", barWidth)
-				.attr("height", this.yScale(0) - this.yScale(d.size))
-				.style("fill", "none")
-				.style("stroke", strokeColor)
-				.style("stroke-width", 1.5);
+		const log = d3.select(this.el("alert-log"));
+		log.selectAll("*").remove();
+		AlertEngine.log.forEach((entry) => {
+			const row = log.append("div").attr("class", "alert-entry");
+			row.append("span").attr("class", "alert-time").text(new Date(entry.timestamp).toLocaleTimeString());
+			row.append("span").attr("class", "alert-symbol").text(entry.symbol);
+			row.append("span").text(entry.message);
 		});
 	}
 
-	addOrderCounts(allData) {
-		// Remove existing order counts
-		this.plotArea.selectAll(".order-counts").remove();
+	// Render whatever frame is currently in this.l3Data, live or historical
+	renderFrame() {
+		// Background tabs only keep their metrics history going
+		if (!this.visible) {
+			this.updateMetricsPanel();
+			return;
+		}
 
-		const countsGroup = this.plotArea.append("g").attr("class", "order-counts");
+		this.clusterLegend.update(this.l3Data);
+		this.updateClusterLegend();
+		this.renderChart();
+		this.updateSidebar();
+		this.updateQueueVisualization();
+		this.updateOrderInspector();
+		this.updateVirtualOrder();
+		this.updateTradeTape();
+		this.updateSignalsPanel();
+		this.updateQueueHistory();
+		this.updateMetricsPanel();
+	}
 
-		// Add order count for each bar (only if > 1)
-		allData
-			.filter((d) => d.orders > 1)
-			.forEach((d) => {
-				const x = this.xScale(d.index);
-				const y = this.yScale(d.size) - 15; // Position above the bar
+	pauseReplay() {
+		clearTimeout(this.playback.timer);
+		if (this.playback.live) {
+			const last = this.recorder.last;
+			if (!last) return;
+			this.playback.live = false;
+			this.playback.timestamp = last.timestamp;
+		}
+		this.playback.playing = false;
+		this.updateTimeline();
+	}
 
-				// Background circle for better visibility
-				countsGroup
-					.append("circle")
-					.attr("cx", x)
-					.attr("cy", y)
-					.attr("r", 10)
-					.style("fill", "rgba(0, 0, 0, 0.8)")
-					.style("stroke", d.index < 0 ? "#00ff88" : "#ff4444")
-					.style("stroke-width", 1);
+	playReplay() {
+		if (this.playback.live) return;
+		this.playback.playing = true;
+		this.scheduleNextReplayFrame();
+		this.updateTimeline();
+	}
 
-				// Order count text
-				countsGroup
-					.append("text")
-					.attr("x", x)
-					.attr("y", y + 4) // Center vertically in circle
-					.attr("text-anchor", "middle")
-					.style("fill", "#ffff00")
-					.style("font-family", "Monaco, monospace")
-					.style("font-size", "10px")
-					.style("font-weight", "bold")
-					.text(d.orders);
-			});
+	// Same as the play button: freeze the live view or a running replay,
+	// otherwise play on from the frame shown
+	togglePause() {
+		if (this.playback.live || this.playback.playing) {
+			this.pauseReplay();
+		} else {
+			this.playReplay();
+		}
 	}
 
-	resizeChart() {
-		if (!this.svg) return;
+	stepReplay(delta) {
+		this.pauseReplay();
+		if (this.playback.live) return;
 
-		this.svg.style("width", "100%").style("height", "100%");
+		const index = this.recorder.indexAt(this.playback.timestamp) + delta;
+		this.showReplayFrame(Math.max(0, Math.min(this.recorder.length - 1, index)));
+	}
 
-		// Re-render if we have data
-		if (this.l3Data) {
-			this.renderChart();
+	goLive() {
+		clearTimeout(this.playback.timer);
+		this.playback.live = true;
+		this.playback.playing = false;
+		this.playback.timestamp = null;
+
+		const last = this.recorder.last;
+		if (last) {
+			this.l3Data = last.data;
+			this.renderFrame();
 		}
+		this.updateTimeline();
 	}
 
-	initControls() {
-		// K-means toggle
-		const kmeansToggle = document.getElementById("kmeans-toggle");
-		const clusterCountRow = document.getElementById("cluster-count-row");
-		const clusterSlider = document.getElementById("cluster-slider");
-		const clusterNumber = document.getElementById("cluster-number");
-		const colorModeBtn = document.getElementById("color-mode-btn");
-		const precisionRefresh = document.getElementById("precision-refresh");
-
-		kmeansToggle.addEventListener("click", () => {
-			this.kmeansEnabled = !this.kmeansEnabled;
-			kmeansToggle.textContent = this.kmeansEnabled ? "ON" : "OFF";
-			kmeansToggle.classList.toggle("active", this.kmeansEnabled);
-			
-			clusterCountRow.style.display = this.kmeansEnabled ? "flex" : "none";
-			
-			this.sendControlMessage({
-				type: "toggle_kmeans",
-				kmeans_mode: this.kmeansEnabled,
-				num_clusters: this.numClusters
-			});
-			
-			this.updateColorModeButton();
-		});
+	// Advance through recorded frames, keeping their original spacing scaled by speed
+	scheduleNextReplayFrame() {
+		clearTimeout(this.playback.timer);
+		if (!this.playback.playing) return;
+
+		const index = this.recorder.indexAt(this.playback.timestamp);
+		const current = this.recorder.frameAt(index);
+		const next = this.recorder.frameAt(index + 1);
+		if (!current || !next) {
+			this.goLive();
+			return;
+		}
 
-		// Cluster count controls
-		clusterSlider.addEventListener("input", (e) => {
-			this.numClusters = parseInt(e.target.value);
-			clusterNumber.value = this.numClusters;
-			if (this.kmeansEnabled) {
-				this.sendControlMessage({
-					type: "toggle_kmeans",
-					kmeans_mode: this.kmeansEnabled,
-					num_clusters: this.numClusters
-				});
-			}
-		});
+		const delay = (next.timestamp - current.timestamp) / this.playback.speed;
+		this.playback.timer = setTimeout(() => {
+			this.showReplayFrame(index + 1);
+			this.scheduleNextReplayFrame();
+		}, delay);
+	}
 
-		clusterNumber.addEventListener("change", (e) => {
-			const value = Math.max(3, Math.min(15, parseInt(e.target.value) || 10));
-			this.numClusters = value;
-			clusterSlider.value = value;
-			clusterNumber.value = value;
-			if (this.kmeansEnabled) {
-				this.sendControlMessage({
-					type: "toggle_kmeans",
-					kmeans_mode: this.kmeansEnabled,
-					num_clusters: this.numClusters
-				});
-			}
-		});
+	showReplayFrame(index) {
+		const frame = this.recorder.frameAt(index);
+		if (!frame) return;
 
-		// Color mode button (visual only - actual mode determined by server)
-		colorModeBtn.addEventListener("click", () => {
-			// This is just for display, actual color mode is determined by kmeans state
-			this.updateColorModeButton();
-		});
+		this.playback.timestamp = frame.timestamp;
+		this.l3Data = frame.data;
+		this.renderFrame();
+		this.updateTimeline();
+	}
 
-		// Precision refresh
-		precisionRefresh.addEventListener("click", () => {
-			this.sendControlMessage({
-				type: "refresh_precision"
-			});
-		});
+	updateTimeline() {
+		const scrubber = this.el("replay-scrubber");
+		const position = this.el("replay-position");
+		const playButton = this.el("replay-play");
+		const liveButton = this.el("replay-live");
+		const count = this.recorder.length;
+
+		scrubber.max = Math.max(0, count - 1);
+		liveButton.classList.toggle("active", this.playback.live);
+		playButton.textContent =
+			this.playback.live || this.playback.playing ? "Pause" : "Play";
+
+		if (this.playback.live || count === 0) {
+			scrubber.value = scrubber.max;
+			position.textContent = `LIVE (${count} frames)`;
+			return;
+		}
 
-		this.updateColorModeButton();
+		const last = this.recorder.last;
+		const ts = this.playback.timestamp;
+		scrubber.value = this.recorder.indexAt(ts);
+		position.textContent = `${new Date(ts).toLocaleTimeString()} (-${((last.timestamp - ts) / 1000).toFixed(1)}s)`;
 	}
 
 	updateColorModeButton() {
-		const colorModeBtn = document.getElementById("color-mode-btn");
+		const colorModeBtn = this.el("color-mode-btn");
 		if (this.kmeansEnabled) {
 			colorModeBtn.textContent = "Cluster";
 			colorModeBtn.classList.add("active");
@@ -366,131 +2000,373 @@ class L3OrderBookVisualizer {
 	}
 
 	sendControlMessage(message) {
-		if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-			this.ws.send(JSON.stringify(message));
+		return this.connection.send(message);
+	}
+
+	// Protocol 2 sends a snapshot and then only the levels that changed
+	sendStreamConfig() {
+		const fields = ["orders", "clustered_orders", "colors"];
+		if (this.stream.payload === "full") {
+			fields.push("queue_metrics", "order_details");
 		}
+		this.sendControlMessage({
+			type: "configure",
+			protocol: 2,
+			fields,
+			interval: this.stream.interval,
+		});
 	}
 
-	initTickerSelector() {
-		const tickerSelect = document.getElementById("ticker-select");
-		const connectionStatus = document.getElementById("connection-status");
+	sendClustering() {
+		this.desiredClustering = {
+			kmeans_mode: this.kmeansEnabled && this.clusterAlgorithm === "server",
+			num_clusters: this.numClusters,
+		};
+		this.sendControlMessage({ type: "toggle_kmeans", ...this.desiredClustering });
+	}
 
-		tickerSelect.addEventListener("change", (event) => {
-			const newSymbol = event.target.value;
-			this.switchSymbol(newSymbol);
+	initTickerSelector() {
+		this.symbolPicker = new SymbolPicker(this.el("symbol-picker"), {
+			onSelect: (symbol) => this.switchSymbol(symbol),
 		});
+		if (this.desiredSymbol) {
+			this.symbolPicker.value = this.desiredSymbol;
+		}
 	}
 
 	switchSymbol(symbol) {
-		const connectionStatus = document.getElementById("connection-status");
+		const connectionStatus = this.el("connection-status");
 		connectionStatus.textContent = "Switching...";
 		connectionStatus.style.color = "#ffaa00";
 
-		// Send switch symbol message to backend
-		if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-			this.ws.send(
-				JSON.stringify({
-					type: "switch_symbol",
-					symbol: symbol,
-				}),
-			);
+		// Send switch symbol message to backend; if the socket is down the
+		// reconnect handshake sends it instead
+		this.desiredSymbol = symbol;
+		this.pendingSymbol = symbol;
+		this.sendControlMessage({
+			type: "switch_symbol",
+			symbol: symbol,
+		});
+	}
+
+	// What the command palette and hotkeys can do to this view
+	commands() {
+		const clusterCounts = [];
+		for (let n = 3; n <= 15; n++) {
+			clusterCounts.push({ label: `${n} clusters`, value: n });
 		}
+
+		return [
+			{
+				id: "switch-symbol",
+				label: "Switch symbol",
+				prompt: "Symbol, e.g. BTCUSDT",
+				freeText: true,
+				options: async () => {
+					// Starred symbols first, as in the picker
+					const favorites = SymbolPicker.favorites;
+					const symbols = (await SymbolPicker.loadSymbols()).map((s) => s.symbol);
+					return [...favorites, ...symbols.filter((s) => !favorites.includes(s))].map((symbol) => ({
+						label: symbol,
+						value: symbol,
+					}));
+				},
+				run: (symbol) => this.symbolPicker.select(symbol),
+			},
+			{
+				id: "toggle-clustering",
+				label: this.kmeansEnabled ? "Turn clustering off" : "Turn clustering on",
+				run: () => this.toggleClustering(),
+			},
+			{ id: "more-clusters", label: "More clusters", run: () => this.setNumClusters(this.numClusters + 1) },
+			{ id: "fewer-clusters", label: "Fewer clusters", run: () => this.setNumClusters(this.numClusters - 1) },
+			{
+				id: "set-clusters",
+				label: "Set cluster count",
+				options: () => clusterCounts,
+				run: (n) => this.setNumClusters(n),
+			},
+			{
+				id: "toggle-pause",
+				label: this.playback.live || this.playback.playing ? "Pause" : "Resume",
+				run: () => this.togglePause(),
+			},
+			{
+				id: "chart-mode",
+				label: this.chartMode === "bars" ? "Show heatmap" : "Show bars",
+				run: () => this.setChartMode(this.chartMode === "bars" ? "heatmap" : "bars"),
+			},
+			{
+				id: "toggle-units",
+				label: this.units === "base" ? "Show sizes as notional" : "Show sizes as quantity",
+				run: () => this.setUnits(this.units === "base" ? "notional" : "base"),
+			},
+			{ id: "export-snapshot", label: "Export snapshot (JSON)", run: () => this.exportSnapshot() },
+			{
+				id: "queue-history",
+				label: "Queue history of the selected level",
+				run: () => {
+					if (this.selectedLevel) {
+						this.openQueueHistory(this.selectedLevel.side, this.selectedLevel.price);
+					}
+				},
+			},
+			{ id: "refresh-precision", label: "Refresh precision", run: () => this.refreshPrecision() },
+			{ id: "history", label: "Show/hide history range", run: () => this.toggleHistoryForm() },
+			{ id: "toggle-controls", label: "Show/hide controls", run: () => this.toggleControls() },
+		];
 	}
 
 	initWebSocket() {
 		const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
-		const wsUrl = `${protocol}//${window.location.host}/ws`;
+		this.bookModel = new BookModel({
+			onGap: () => this.sendControlMessage({ type: "resync" }),
+		});
+
+		this.connection = new ConnectionManager({
+			url: `${protocol}//${window.location.host}/ws${this.desiredSymbol ? `?symbol=${this.desiredSymbol.toLowerCase()}` : ""}`,
+			onOpen: () => this.resyncConnection(),
+			onMessage: (message) => {
+				// Deltas keep the book model current even while a session file
+				// is playing, so closing the file doesn't leave a gap
+				if (message.type === "book_snapshot" || message.type === "book_delta") {
+					const data = this.bookModel.apply(message);
+					if (!data) return;
+					message = { type: "l3_update", data };
+				}
+
+				// A loaded session file stands in for the live feed, though
+				// alerts, signals, the virtual order and the live recording
+				// keep following the live one
+				if (this.fileSource && (message.type === "l3_update" || message.type === "trades")) {
+					if (message.type === "l3_update") {
+						this.alerts.evaluate(message.data);
+						this.signals.record(message.data);
+						this.liveData = message.data;
+						if (this.virtualOrder) {
+							this.virtualOrder.update(message.data);
+						}
+						this.liveRecorder.record(message.data);
+					}
+					return;
+				}
 
-		this.ws = new WebSocket(wsUrl);
+				this.handleMessage(message);
+			},
+			onStateChange: (status) => this.updateConnectionIndicator(status),
+		});
+		this.connection.connect();
+	}
+
+	// Re-apply the user's symbol and clustering choices on every (re)connect so
+	// the UI never silently falls back to the server defaults, then ask the
+	// server to confirm what it is actually running
+	resyncConnection() {
+		this.symbolSynced = false;
+		this.bookModel.reset();
+		this.sendStreamConfig();
+
+		if (this.desiredSymbol) {
+			this.pendingSymbol = this.desiredSymbol;
+			this.sendControlMessage({ type: "switch_symbol", symbol: this.desiredSymbol });
+		}
+		if (this.desiredClustering) {
+			this.sendControlMessage({ type: "toggle_kmeans", ...this.desiredClustering });
+		}
+		this.sendControlMessage({ type: "get_clustering_info" });
+		this.sendControlMessage({ type: "get_precision_info" });
+	}
 
-		this.ws.onopen = () => {
-			document.getElementById("status").textContent = "L3 Connected";
+	updateConnectionIndicator({ state, latency, messageRate, attempts, retryIn }) {
+		const indicator = this.el("connection-indicator");
+		const labels = {
+			connecting: "Connecting",
+			open: "Live",
+			stale: "Stale feed",
+			reconnecting:
+				retryIn === null
+					? "Reconnecting"
+					: `Retry in ${Math.ceil(retryIn / 1000)}s (#${attempts})`,
 		};
 
-		this.ws.onmessage = (event) => {
-			try {
-				const message = JSON.parse(event.data);
-				const connectionStatus = document.getElementById("connection-status");
-
-				if (message.type === "l3_update") {
-					this.l3Data = message.data;
-					
-					// Update clustering state from server
-					if (message.data.kmeans_mode !== undefined) {
-						this.kmeansEnabled = message.data.kmeans_mode;
-						this.numClusters = message.data.num_clusters || 10;
-						this.updateControlsFromServer();
-					}
-					
-					// Update precision info
-					if (message.data.precision) {
-						this.precision = message.data.precision;
-						this.updatePrecisionDisplay();
-					}
-					
-					this.renderChart();
-					this.updateSidebar();
-					this.updateQueueVisualization();
-
-					// Sync dropdown with current symbol on first data received
-					if (!this.symbolSynced) {
-						const tickerSelect = document.getElementById("ticker-select");
-						tickerSelect.value = message.data.symbol.toUpperCase();
-						this.symbolSynced = true;
-					}
+		indicator.className = `connection-indicator ${state}`;
+		this.el("connection-state").textContent = labels[state];
+		this.el("connection-stats").textContent =
+			state === "open" || state === "stale"
+				? `${latency === null ? "–" : latency}ms · ${messageRate.toFixed(1)} msg/s`
+				: "";
+		this.el("status").textContent =
+			state === "open" ? "L3 Connected" : "Disconnected";
+		// Book health comes from the server; it is sent again on reconnect
+		if (state === "reconnecting") {
+			this.el("book-health").textContent = "";
+		}
+	}
+
+	// Whether the server's book is in step with Binance's depth stream. Gaps
+	// are recovered with a fresh snapshot; until then the book may be off.
+	updateBookHealth(health) {
+		const el = this.el("book-health");
+		const labels = {
+			syncing: "Syncing book",
+			synced: "Book synced",
+			resyncing: "Resyncing book",
+			disconnected: "Exchange disconnected",
+		};
+		const since = new Date(health.since).toLocaleTimeString();
+		const lastGap = health.last_gap ? new Date(health.last_gap).toLocaleTimeString() : null;
+		const gaps = `${health.gaps} gap${health.gaps === 1 ? "" : "s"}`;
+
+		el.className = `book-health ${health.state}`;
+		el.textContent = `· ${labels[health.state] || health.state}` + (health.gaps > 0 ? ` (${gaps})` : "");
+		el.title =
+			`${labels[health.state] || health.state} since ${since}` +
+			(lastGap ? `\n${gaps} in the sequence, last at ${lastGap}` : "\nNo sequence gaps");
+	}
 
-					// Update connection status
-					connectionStatus.textContent = "Connected";
-					connectionStatus.style.color = "#00ff88";
-				} else if (message.type === "symbol_switched") {
-					// Update UI to reflect successful symbol switch
-					const tickerSelect = document.getElementById("ticker-select");
-					tickerSelect.value = message.symbol;
-					connectionStatus.textContent = "Connected";
-					connectionStatus.style.color = "#00ff88";
-
-					// Clear existing data
-					this.l3Data = null;
-					this.plotArea.selectAll("*").remove();
-				} else if (message.type === "kmeans_updated") {
-					// Update clustering controls
-					this.kmeansEnabled = message.kmeans_mode;
-					this.numClusters = message.num_clusters;
-					this.updateControlsFromServer();
-				} else if (message.type === "precision_refreshed") {
-					connectionStatus.textContent = "Precision updated";
-					connectionStatus.style.color = "#00ff88";
-					setTimeout(() => {
-						connectionStatus.textContent = "Connected";
-					}, 2000);
-				} else if (message.type === "precision_info") {
-					this.precision = message.precision;
-					this.updatePrecisionDisplay();
-				} else if (message.type === "error") {
-					connectionStatus.textContent = "Error: " + message.message;
-					connectionStatus.style.color = "#ff4444";
+	// Handles one server message; also driven by FileReplaySource for offline sessions
+	handleMessage(message) {
+		const connectionStatus = this.el("connection-status");
+
+		if (message.type === "l3_update") {
+			// Update clustering state from server, unless this view clusters
+			// locally and only told the server to stop
+			if (message.data.kmeans_mode !== undefined && this.clusterAlgorithm === "server") {
+				this.kmeansEnabled = message.data.kmeans_mode;
+				this.numClusters = message.data.num_clusters || 10;
+				this.updateControlsFromServer();
+			}
+			// Session files replay as recorded
+			if (this.kmeansEnabled && this.clusterAlgorithm !== "server" && !this.fileSource) {
+				this.clientClusterer.apply(message.data, this.clusterAlgorithm, this.numClusters);
+			}
+			
+			// Update precision info
+			if (message.data.precision) {
+				this.precision = message.data.precision;
+				this.updatePrecisionDisplay();
+			}
+			
+			// Alerts and the signals history (and its CSV export) follow the
+			// live feed even while replaying or hidden, but not a session
+			// file's recorded frames
+			if (!this.fileSource) {
+				this.alerts.evaluate(message.data);
+				this.signals.record(message.data);
+			}
+			// The virtual order waits in the live queue; a session file's
+			// frames would move it through a queue it isn't in
+			if (!this.fileSource) {
+				this.liveData = message.data;
+				if (this.virtualOrder) {
+					this.virtualOrder.update(message.data);
 				}
-			} catch (error) {
-				console.error("Error parsing message:", error);
 			}
-		};
 
-		this.ws.onclose = () => {
-			document.getElementById("status").textContent = "Disconnected";
-			setTimeout(() => this.initWebSocket(), 2000);
-		};
+			// Record every frame; only render it while following the live feed
+			this.recorder.record(message.data);
+			if (this.playback.live) {
+				this.l3Data = message.data;
+				this.renderFrame();
+			}
+			this.updateTimeline();
+
+			// Sync dropdown with current symbol on first data received, unless a
+			// switch is still in flight and the frame belongs to the old symbol
+			if (!this.symbolSynced && !this.pendingSymbol) {
+				this.activeSymbol = message.data.symbol.toUpperCase();
+				this.symbolPicker.value = this.activeSymbol;
+				this.loadUnits();
+				this.symbolSynced = true;
+				if (this.onSymbolChange) {
+					this.onSymbolChange(this.activeSymbol);
+				}
+			}
+
+			// Update connection status
+			if (this.fileSource) {
+				connectionStatus.textContent = `Offline: ${this.fileSource.name}`;
+				connectionStatus.style.color = "#ffaa00";
+			} else {
+				connectionStatus.textContent = "Connected";
+				connectionStatus.style.color = "#00ff88";
+			}
+		} else if (message.type === "symbol_switched") {
+			// Update UI to reflect successful symbol switch
+			this.activeSymbol = message.symbol;
+			this.symbolPicker.value = message.symbol;
+			this.loadUnits();
+			connectionStatus.textContent = "Connected";
+			connectionStatus.style.color = "#00ff88";
+			this.pendingSymbol = null;
+			this.symbolSynced = true;
+			if (this.onSymbolChange) {
+				this.onSymbolChange(message.symbol);
+			}
+
+			// Clear existing data, recorded frames belong to the old symbol. A
+			// reconnect re-sends the current symbol, which keeps its recording
+			const last = this.liveRecorder.last;
+			if (!last || last.data.symbol.toUpperCase() !== message.symbol) {
+				this.l3Data = null;
+				this.liveRecorder.clear();
+				this.cancelVirtualOrder();
+				this.trades = [];
+				this.reductions = [];
+				this.signals.clear();
+				this.closeQueueHistory();
+				this.goLive();
+				this.clearChart();
+				this.zoomResetPending = true;
+			}
+		} else if (message.type === "trades") {
+			this.addTradeFlow(message);
+		} else if (message.type === "book_health") {
+			this.updateBookHealth(message.health);
+		} else if (message.type === "kmeans_updated" || message.type === "clustering_info") {
+			if (this.clusterAlgorithm !== "server") return;
+			// Update clustering controls
+			this.kmeansEnabled = message.kmeans_mode;
+			this.numClusters = message.num_clusters;
+			this.updateControlsFromServer();
+		} else if (message.type === "precision_refreshed") {
+			connectionStatus.textContent = "Precision updated";
+			connectionStatus.style.color = "#00ff88";
+			setTimeout(() => {
+				connectionStatus.textContent = "Connected";
+			}, 2000);
+		} else if (message.type === "precision_info") {
+			this.precision = message.precision;
+			this.updatePrecisionDisplay();
+		} else if (message.type === "error") {
+			// The server only reports errors for symbol switches; don't replay a bad one
+			if (this.pendingSymbol) {
+				this.pendingSymbol = null;
+				this.desiredSymbol = null;
+				this.symbolSynced = false;
+			}
+			connectionStatus.textContent = "Error: " + message.message;
+			connectionStatus.style.color = "#ff4444";
+
+			// Put the picker back on the symbol still streaming
+			if (message.symbol) {
+				this.symbolPicker.showError(message.message);
+				this.symbolPicker.value = this.activeSymbol || "";
+			}
+		}
 	}
 
 	updateControlsFromServer() {
 		// Update K-means toggle
-		const kmeansToggle = document.getElementById("kmeans-toggle");
-		const clusterCountRow = document.getElementById("cluster-count-row");
-		const clusterSlider = document.getElementById("cluster-slider");
-		const clusterNumber = document.getElementById("cluster-number");
+		const kmeansToggle = this.el("kmeans-toggle");
+		const clusterCountRow = this.el("cluster-count-row");
+		const clusterSlider = this.el("cluster-slider");
+		const clusterNumber = this.el("cluster-number");
 
 		kmeansToggle.textContent = this.kmeansEnabled ? "ON" : "OFF";
 		kmeansToggle.classList.toggle("active", this.kmeansEnabled);
 		clusterCountRow.style.display = this.kmeansEnabled ? "flex" : "none";
+		this.el("cluster-algorithm-row").style.display = this.kmeansEnabled ? "flex" : "none";
 		clusterSlider.value = this.numClusters;
 		clusterNumber.value = this.numClusters;
 		
@@ -498,7 +2374,8 @@ class L3OrderBookVisualizer {
 	}
 
 	updatePrecisionDisplay() {
-		const precisionInfo = document.getElementById("precision-info");
+		this.updateUnitsToggle();
+		const precisionInfo = this.el("precision-info");
 		if (this.precision && precisionInfo) {
 			precisionInfo.innerHTML = `
 				Price: ${this.precision.price_precision} decimals | 
@@ -507,14 +2384,123 @@ class L3OrderBookVisualizer {
 		}
 	}
 
-	formatPrice(price) {
-		const decimals = this.precision ? this.precision.price_precision : 2;
-		return parseFloat(price).toFixed(decimals);
+	// Prices snap to the tick size and quantities to the step size, shown
+	// with as many decimals as the tick or step has and thousands grouped.
+	// Strings from the server are used as is, never through a float.
+	formatPrice(price, options) {
+		return this.formatDecimal(price, "tick_size", "price_precision", options);
+	}
+
+	formatQuantity(qty, options) {
+		return this.formatDecimal(qty, "step_size", "qty_precision", options);
+	}
+
+	// Quote currency value of a quantity at a price, e.g. "1.25M USDT"
+	formatNotional(qty, price, { abbreviate = true } = {}) {
+		if (!Decimal.isDecimal(qty) || !Decimal.isDecimal(price)) return "–";
+		const quote = (this.precision && this.precision.quote_asset) || "USDT";
+		return `${Decimal.from(qty).mul(price).format({ decimals: 2, abbreviate })} ${quote}`;
+	}
+
+	// Size in the view's units: base quantity, or quote notional at the
+	// given price. A float for drawing; text goes through formatSize.
+	unitValue(qty, price) {
+		const value = Number.parseFloat(qty);
+		return this.units === "notional" ? value * Number.parseFloat(price) : value;
+	}
+
+	formatSize(qty, price, options) {
+		return this.units === "notional"
+			? this.formatNotional(qty, price, options)
+			: this.formatQuantity(qty, options);
+	}
+
+	// A value already in the view's units, such as a sum of unitValue results
+	formatAmount(value, options) {
+		return this.units === "notional"
+			? this.formatNotional(value, 1, options)
+			: this.formatQuantity(value, options);
 	}
 
-	formatQuantity(qty) {
-		const decimals = this.precision ? this.precision.qty_precision : 2;
-		return parseFloat(qty).toFixed(decimals);
+	formatDecimal(value, incrementKey, decimalsKey, { abbreviate = false } = {}) {
+		if (!Decimal.isDecimal(value)) return "–";
+
+		let decimal = Decimal.from(value);
+		let decimals = this.precision ? this.precision[decimalsKey] : 2;
+		const increment = this.precision && this.precision[incrementKey];
+		if (Decimal.isDecimal(increment) && !Decimal.from(increment).isZero()) {
+			decimal = decimal.snap(increment);
+			decimals = Decimal.decimalsOf(increment);
+		}
+		return decimal.format({ decimals, abbreviate });
+	}
+
+	prepareLevelData(level, index, isBid) {
+		let orderSizes;
+		const unit = this.units === "notional" ? Number.parseFloat(level.price) : 1;
+
+		// Use clustered orders if the frame was clustered. Checked per level rather
+		// than against this.kmeansEnabled so replayed frames render as recorded.
+		if (level.clustered_orders && level.clustered_orders.length > 0) {
+			orderSizes = level.clustered_orders.map((co) => Number.parseFloat(co.qty) * unit);
+		} else {
+			orderSizes = level.orders
+				? level.orders.map((o) => Number.parseFloat(o) * unit)
+				: [Number.parseFloat(level.total_size) * unit];
+		}
+		const colors = level.colors || null;
+		const strokeColor = isBid ? "#00cc66" : "#cc3333";
+		const side = isBid ? "bid" : "ask";
+
+		// Stack segments from the front of the queue upwards
+		let cumulative = 0;
+		const segments = orderSizes.map((orderSize, segmentIndex) => {
+			// Use server-provided colors if available, otherwise fall back to intensity-based coloring
+			const intensity = Math.max(0.6, 1 - segmentIndex * 0.1);
+			const segmentColor = this.orderColor(
+				level,
+				side,
+				segmentIndex,
+				isBid ? `rgba(0, 255, 136, ${intensity})` : `rgba(255, 68, 68, ${intensity})`,
+			);
+
+			const clustered = level.clustered_orders && level.clustered_orders[segmentIndex];
+			const segment = {
+				side,
+				levelIndex: index,
+				position: segmentIndex,
+				y0: cumulative,
+				y1: cumulative + orderSize,
+				color: segmentColor,
+				stroke: strokeColor,
+				// Filtered out in the cluster legend
+				dimmed: clustered ? !this.clusterLegend.isVisible(side, clustered.cluster) : false,
+			};
+			cumulative += orderSize;
+			return segment;
+		});
+
+		const price = Number.parseFloat(level.price);
+		const order = this.virtualOrder;
+		const virtual =
+			order && order.status !== "filled" && order.side === side && order.price === price
+				? { y0: cumulative, y1: cumulative + order.qty * unit }
+				: null;
+
+		return {
+			key: `${side}-${level.price}`,
+			side,
+			levelIndex: index,
+			index: isBid ? -(index + 1) : index + 1,
+			size: Number.parseFloat(level.total_size) * unit,
+			top: virtual ? virtual.y1 : Number.parseFloat(level.total_size) * unit, // Including the virtual order
+			virtual,
+			price,
+			orders: level.order_count,
+			orderSizes: orderSizes,
+			colors: colors,
+			segments: segments,
+		};
 	}
 
 	renderChart() {
@@ -523,95 +2509,412 @@ class L3OrderBookVisualizer {
 		const { bids, asks } = this.l3Data;
 		if (!bids.length || !asks.length) return;
 
-		// Prepare bid data with individual order segments
-		const bidData = bids.slice(0, 25).map((bid, i) => {
-			let orderSizes, colors;
-			
-			// Use clustered orders if available and clustering is enabled
-			if (this.kmeansEnabled && bid.clustered_orders && bid.clustered_orders.length > 0) {
-				orderSizes = bid.clustered_orders.map(co => Number.parseFloat(co.qty));
-				colors = bid.colors || null;
-			} else {
-				orderSizes = bid.orders 
-					? bid.orders.map(o => Number.parseFloat(o))
-					: [Number.parseFloat(bid.total_size)];
-				colors = bid.colors || null;
-			}
-			
-			return {
-				index: -(i + 1),
-				size: Number.parseFloat(bid.total_size),
-				price: Number.parseFloat(bid.price),
-				orders: bid.order_count,
-				orderSizes: orderSizes,
-				colors: colors
-			};
-		});
+		// Nothing to draw into while the view's tab is hidden
+		const containerRect = this.chartContainer.node().getBoundingClientRect();
+		if (containerRect.width === 0) return;
 
-		// Prepare ask data with individual order segments
-		const askData = asks.slice(0, 25).map((ask, i) => {
-			let orderSizes, colors;
-			
-			// Use clustered orders if available and clustering is enabled
-			if (this.kmeansEnabled && ask.clustered_orders && ask.clustered_orders.length > 0) {
-				orderSizes = ask.clustered_orders.map(co => Number.parseFloat(co.qty));
-				colors = ask.colors || null;
-			} else {
-				orderSizes = ask.orders 
-					? ask.orders.map(o => Number.parseFloat(o))
-					: [Number.parseFloat(ask.total_size)];
-				colors = ask.colors || null;
-			}
-			
-			return {
-				index: i + 1,
-				size: Number.parseFloat(ask.total_size),
-				price: Number.parseFloat(ask.price),
-				orders: ask.order_count,
-				orderSizes: orderSizes,
-				colors: colors
-			};
-		});
+		const frameStart = performance.now();
 
-		// Update y-domain based on max size
-		const maxSize = Math.max(
-			d3.max(bidData, (d) => d.size) || 0,
-			d3.max(askData, (d) => d.size) || 0,
-		);
-		this.yScale.domain([0, maxSize * 1.1]);
+		if (this.chartMode === "heatmap") {
+			this.renderHeatmap();
+			this.recordFrameTime(performance.now() - frameStart);
+			return;
+		}
+
+		// Every level the server sent is prepared; the zoom window decides
+		// which of them get drawn
+		const allBidData = bids.map((bid, i) => this.prepareLevelData(bid, i, true));
+		const allAskData = asks.map((ask, i) => this.prepareLevelData(ask, i, false));
 
 		// Update scales with container dimensions
-		const containerRect = this.chartContainer.node().getBoundingClientRect();
-		const margin = { top: 20, right: 20, bottom: 60, left: 20 };
+		const margin = {
+			top: 20,
+			right: this.showDepthCurve ? 60 : 20, // Room for the depth axis
+			bottom: 60,
+			left: 20,
+		};
 		const width = containerRect.width - margin.left - margin.right;
 		const height = containerRect.height - margin.top - margin.bottom;
 
-		this.xScale.range([0, width]);
+		// Position bars by price level index, or by price so missing ticks show as gaps
+		const priceAxis = this.xAxisMode === "price";
+		const tickSize = Number.parseFloat(this.precision.tick_size) || 0.01;
+		const mid = (allBidData[0].price + allAskData[0].price) / 2;
+		[...allBidData, ...allAskData].forEach((d) => {
+			d.x = priceAxis ? d.price : d.index;
+		});
+
+		if (priceAxis) {
+			this.baseXScale.domain([
+				allBidData[allBidData.length - 1].price - tickSize,
+				allAskData[allAskData.length - 1].price + tickSize,
+			]);
+		} else {
+			const levelsPerSide = Math.max(allBidData.length, allAskData.length);
+			this.baseXScale.domain([-levelsPerSide, levelsPerSide]);
+		}
+		this.baseXScale.range([0, width]);
+		this.updateZoom(width, height, allBidData, allAskData, priceAxis, tickSize);
+		this.xScale = this.zoomTransform.rescaleX(this.baseXScale);
+
+		// Only levels inside the zoom window (plus one either side) are drawn
+		const [x0, x1] = this.xScale.domain();
+		const pad = priceAxis ? tickSize : 1;
+		const inView = (d) => d.x >= x0 - pad && d.x <= x1 + pad;
+		const bidData = allBidData.filter(inView);
+		const askData = allAskData.filter(inView);
+
+		// Update y-domain based on max size in view
+		const maxSize = Math.max(
+			d3.max(bidData, (d) => d.top) || 0,
+			d3.max(askData, (d) => d.top) || 0,
+		);
+		this.yScale.domain([0, (maxSize || 1) * 1.1]);
 		this.yScale.range([height, 0]);
+		this.plotClip.attr("width", width).attr("height", height);
+
+		const centerX = this.xScale(priceAxis ? mid : 0);
+		const spacing = priceAxis
+			? Math.abs(this.xScale(tickSize) - this.xScale(0))
+			: Math.abs(this.xScale(1) - this.xScale(0));
+
+		// Rotated price labels need ~54px each, order count badges ~22px
+		const labelStep = this.levelStep(spacing, 54);
+		const countStep = this.levelStep(spacing, 22);
+
+		// Executions from the aggTrade stream, at the level they traded on
+		const markers = this.tradeMarkers(allBidData, allAskData, priceAxis, height);
+
+		// Depth accumulates from the touch, so it is built from every level
+		const depth = this.showDepthCurve
+			? this.computeDepth(allBidData, allAskData, mid, height)
+			: null;
+
+		if (this.rendererMode === "canvas") {
+			this.canvasRenderer.render({
+				bidData,
+				askData,
+				xScale: this.xScale,
+				yScale: this.yScale,
+				margin,
+				spacing,
+				centerX,
+				depth,
+				priceAxis,
+				labelStep,
+				countStep,
+				markers,
+				formatPrice: (price) => this.formatPrice(price),
+				formatQuantity: (value) => this.formatAmount(value, { abbreviate: true }),
+			});
+			this.recordFrameTime(performance.now() - frameStart);
+			return;
+		}
 
 		// Position plot area
 		this.plotArea.attr("transform", `translate(${margin.left}, ${margin.top})`);
 
 		// Draw center line
-		this.plotArea.selectAll(".center-line").remove();
-		this.plotArea
-			.append("line")
-			.attr("class", "center-line")
-			.attr("x1", this.xScale(0))
-			.attr("x2", this.xScale(0))
+		this.centerLine
+			.attr("x1", centerX)
+			.attr("x2", centerX)
 			.attr("y1", 0)
-			.attr("y2", height)
-			.style("stroke", "#888")
-			.style("stroke-width", 2);
+			.attr("y2", height);
+
+		// Dynamic bar width
+		const barWidth = priceAxis
+			? Math.max(1, Math.min(12, spacing * 0.8))
+			: Math.max(1, Math.min(12, spacing / 2));
 
 		// Render segmented bars
-		this.renderSegmentedBars([...bidData, ...askData]);
+		this.renderSegmentedBars([...bidData, ...askData], barWidth);
+
+		// Overlay cumulative depth
+		this.renderDepthCurve(depth, width, height, priceAxis);
 
 		// Add price labels
-		this.addPriceLabels(bidData, askData);
+		this.addPriceLabels(bidData, askData, labelStep);
 
 		// Add order count indicators
-		this.addOrderCounts([...bidData, ...askData]);
+		this.addOrderCounts([...bidData, ...askData], countStep);
+
+		// Mark recent executions
+		this.renderTradeMarkers(markers);
+
+		this.recordFrameTime(performance.now() - frameStart);
+	}
+
+	initTradeFlow() {
+		this.trades = []; // [{ id, price, qty, side, time }], oldest first
+		this.reductions = []; // [{ side, price, qty, executed, cancelled, time }]
+		this.flowHistoryLength = 1000;
+		this.tradeMarkerWindow = 3000; // ms a trade stays marked on the chart
+		this.queueFlowWindow = 5000; // ms of reductions summed in the queue sidebar
+		this.tapeLength = 50;
+	}
+
+	addTradeFlow(message) {
+		for (const trade of message.trades || []) {
+			this.trades.push({
+				id: trade.id,
+				price: Number.parseFloat(trade.price),
+				qty: Number.parseFloat(trade.qty),
+				side: trade.side,
+				time: trade.time,
+			});
+		}
+		for (const reduction of message.reductions || []) {
+			this.reductions.push({
+				side: reduction.side,
+				price: Number.parseFloat(reduction.price),
+				qty: Number.parseFloat(reduction.qty),
+				executed: Number.parseFloat(reduction.executed),
+				cancelled: Number.parseFloat(reduction.cancelled),
+				time: reduction.time,
+			});
+		}
+		this.trades = this.trades.slice(-this.flowHistoryLength);
+		this.reductions = this.reductions.slice(-this.flowHistoryLength);
+	}
+
+	// Executed and cancelled quantity per level over the last few seconds
+	recentQueueFlow() {
+		const now = this.l3Data.timestamp;
+		const flow = new Map();
+		for (const r of this.reductions) {
+			if (r.time > now || now - r.time >= this.queueFlowWindow) continue;
+			const key = `${r.side}|${r.price}`;
+			const sums = flow.get(key) || { executed: 0, cancelled: 0 };
+			sums.executed += r.executed;
+			sums.cancelled += r.cancelled;
+			flow.set(key, sums);
+		}
+		return flow;
+	}
+
+	renderQueueFlow(flow, side, price) {
+		const sums = flow.get(`${side}|${Number.parseFloat(price)}`);
+		if (!sums) return "";
+
+		let html = "";
+		if (sums.executed > 0) {
+			html += `<span class="queue-flow executed" title="Traded in the last ${this.queueFlowWindow / 1000}s">▼${this.formatQuantity(sums.executed)} filled</span>`;
+		}
+		if (sums.cancelled > 0) {
+			html += `<span class="queue-flow cancelled" title="Cancelled in the last ${this.queueFlowWindow / 1000}s">▼${this.formatQuantity(sums.cancelled)} cxl</span>`;
+		}
+		return html;
+	}
+
+	updateTradeTape() {
+		const tape = this.trades.slice(-this.tapeLength).reverse();
+		this.el("tape").innerHTML = tape
+			.map(
+				(t) => `
+				<div class="tape-row ${t.side}">
+					<span>${new Date(t.time).toLocaleTimeString([], { hour12: false })}</span>
+					<span>${this.formatPrice(t.price)}</span>
+					<span>${this.formatQuantity(t.qty)}</span>
+				</div>
+			`,
+			)
+			.join("");
+
+		// Aggressor volume over the last minute
+		const since = (this.l3Data ? this.l3Data.timestamp : Date.now()) - 60000;
+		let buyVolume = 0;
+		let sellVolume = 0;
+		for (const t of this.trades) {
+			if (t.time < since) continue;
+			if (t.side === "buy") {
+				buyVolume += t.qty;
+			} else {
+				sellVolume += t.qty;
+			}
+		}
+		this.el("tape-stats").innerHTML = `
+            1m volume: <span style="color: #00ff88;">${this.formatQuantity(buyVolume, { abbreviate: true })} buy</span> / <span style="color: #ff4444;">${this.formatQuantity(sellVolume, { abbreviate: true })} sell</span>
+        `;
+	}
+
+	// Circles along the bottom of the plot for trades in the last few seconds
+	// of the frame, sized by quantity and fading with age. Buys lift the ask
+	// side and sells hit the bid side, so that is where they are placed.
+	tradeMarkers(allBidData, allAskData, priceAxis, height) {
+		const now = this.l3Data.timestamp;
+		const recent = this.trades.filter(
+			(t) => t.time <= now && now - t.time < this.tradeMarkerWindow,
+		);
+		if (recent.length === 0) return [];
+
+		const size = (t) => this.unitValue(t.qty, t.price);
+		const maxSize = d3.max(recent, size);
+		return recent
+			.map((t) => {
+				const levels = t.side === "buy" ? allAskData : allBidData;
+				const level = levels.find((d) => d.price === t.price);
+				// In index mode a consumed level has nowhere to go
+				if (!level && !priceAxis) return null;
+
+				const r = 3 + Math.sqrt(size(t) / maxSize) * 9;
+				return {
+					key: t.id,
+					x: level ? level.x : t.price,
+					y: height - r - 2,
+					r,
+					color: t.side === "buy" ? "#00ff88" : "#ff4444",
+					opacity: 1 - (now - t.time) / this.tradeMarkerWindow,
+				};
+			})
+			.filter(Boolean);
+	}
+
+	renderTradeMarkers(markers) {
+		this.tradesGroup
+			.selectAll("circle.trade-marker")
+			.data(markers, (m) => m.key)
+			.join("circle")
+			.attr("class", "trade-marker")
+			.attr("cx", (m) => this.xScale(m.x))
+			.attr("cy", (m) => m.y)
+			.attr("r", (m) => m.r)
+			.style("fill", (m) => m.color)
+			.style("fill-opacity", (m) => m.opacity * 0.6)
+			.style("stroke", "#ffffff")
+			.style("stroke-opacity", (m) => m.opacity);
+	}
+
+	// Cumulative resting quantity walking away from the touch on each side,
+	// plus how much rests within depthBandPct of mid
+	computeDepth(bidData, askData, mid, height) {
+		const accumulate = (levels) => {
+			let cumulative = 0;
+			return levels.map((d) => ({ x: d.x, price: d.price, cum: (cumulative += d.size) }));
+		};
+
+		const bids = accumulate(bidData);
+		const asks = accumulate(askData);
+		const bandLow = mid * (1 - this.depthBandPct / 100);
+		const bandHigh = mid * (1 + this.depthBandPct / 100);
+		const maxDepth = Math.max(
+			bids.length ? bids[bids.length - 1].cum : 0,
+			asks.length ? asks[asks.length - 1].cum : 0,
+		);
+
+		return {
+			bids,
+			asks,
+			bandPct: this.depthBandPct,
+			bandLow,
+			bandHigh,
+			bidBand: d3.sum(bidData.filter((d) => d.price >= bandLow), (d) => d.size),
+			askBand: d3.sum(askData.filter((d) => d.price <= bandHigh), (d) => d.size),
+			scale: d3
+				.scaleLinear()
+				.domain([0, (maxDepth || 1) * 1.05])
+				.range([height, 0]),
+		};
+	}
+
+	depthBandLabel(depth) {
+		return `±${depth.bandPct}% of mid: ${this.formatAmount(depth.bidBand, { abbreviate: true })} bid / ${this.formatAmount(depth.askBand, { abbreviate: true })} ask`;
+	}
+
+	renderDepthCurve(depth, width, height, priceAxis) {
+		const curves = depth
+			? [
+					{ side: "bid", points: depth.bids, color: "#00ff88" },
+					{ side: "ask", points: depth.asks, color: "#ff4444" },
+				]
+			: [];
+
+		// Step curves hold the cumulative value until the next level outwards
+		const line = depth
+			? d3
+					.line()
+					.x((p) => this.xScale(p.x))
+					.y((p) => depth.scale(p.cum))
+					.curve(d3.curveStepAfter)
+			: null;
+
+		this.depthGroup
+			.selectAll("path.depth-line")
+			.data(curves, (c) => c.side)
+			.join((enter) =>
+				enter
+					.append("path")
+					.attr("class", "depth-line")
+					.attr("clip-path", `url(#plot-clip-${this.id})`)
+					.style("fill", "none")
+					.style("stroke-width", 1.5)
+					.style("stroke", (c) => c.color),
+			)
+			.attr("d", (c) => line(c.points));
+
+		// The ±band only maps onto the axis when it is a true price scale
+		const bands = depth && priceAxis ? [depth.bandLow, depth.bandHigh] : [];
+		this.depthGroup
+			.selectAll("line.depth-band")
+			.data(bands)
+			.join((enter) =>
+				enter
+					.append("line")
+					.attr("class", "depth-band")
+					.attr("clip-path", `url(#plot-clip-${this.id})`)
+					.style("stroke", "#ffff00")
+					.style("stroke-width", 1)
+					.style("stroke-dasharray", "4,3"),
+			)
+			.attr("x1", (p) => this.xScale(p))
+			.attr("x2", (p) => this.xScale(p))
+			.attr("y1", 0)
+			.attr("y2", height);
+
+		this.depthGroup
+			.selectAll("text.depth-readout")
+			.data(depth ? [depth] : [])
+			.join((enter) =>
+				enter
+					.append("text")
+					.attr("class", "depth-readout")
+					.attr("text-anchor", "end")
+					.style("fill", "#ffff00")
+					.style("font-family", "Monaco, monospace")
+					.style("font-size", "11px"),
+			)
+			.attr("x", width - 5)
+			.attr("y", 12)
+			.text((d) => this.depthBandLabel(d));
+
+		this.depthGroup
+			.selectAll("g.depth-axis")
+			.data(depth ? [depth] : [])
+			.join((enter) => enter.append("g").attr("class", "depth-axis"))
+			.attr("transform", `translate(${width}, 0)`)
+			.each((d, i, nodes) => {
+				d3.select(nodes[i])
+					.call(d3.axisRight(d.scale).ticks(6).tickFormat(d3.format("~s")))
+					.call((g) => g.selectAll("text").style("fill", "#888"))
+					.call((g) => g.selectAll("line, path").style("stroke", "#444"));
+			});
+	}
+
+	isVirtualLevel(side, price) {
+		const order = this.virtualOrder;
+		return (
+			order !== null &&
+			order.status !== "filled" &&
+			order.side === side &&
+			order.price === Number.parseFloat(price)
+		);
+	}
+
+	isSelectedLevel(side, price) {
+		return (
+			this.selectedLevel !== null &&
+			this.selectedLevel.side === side &&
+			this.selectedLevel.price === price
+		);
 	}
 
 	updateSidebar() {
@@ -629,22 +2932,22 @@ class L3OrderBookVisualizer {
 			0,
 		);
 
-		document.getElementById("book-stats").innerHTML = `
+		this.el("book-stats").innerHTML = `
             Levels: ${bids.length} bids, ${asks.length} asks<br>
             Orders: ${totalBidOrders} bids, ${totalAskOrders} asks
         `;
 
 		// Update asks
-		document.getElementById("asks-section").innerHTML = `
+		this.el("asks-section").innerHTML = `
             <h4 style="color: #ff4444;">Asks</h4>
             ${asks
-							.slice(0, 15)
+							.slice(0, this.levelCounts.book)
 							.reverse()
 							.map(
 								(ask) => `
-                <div class="level ask-level">
+                <div class="level ask-level${this.isSelectedLevel("ask", ask.price) ? " selected" : ""}${this.isVirtualLevel("ask", ask.price) ? " virtual" : ""}" data-side="ask" data-price="${ask.price}">
                     <span>${this.formatPrice(ask.price)}</span>
-                    <span>${this.formatQuantity(ask.total_size)}</span>
+                    <span>${this.formatSize(ask.total_size, ask.price)}</span>
                     <span>(${ask.order_count})</span>
                 </div>
             `,
@@ -653,15 +2956,15 @@ class L3OrderBookVisualizer {
         `;
 
 		// Update bids
-		document.getElementById("bids-section").innerHTML = `
+		this.el("bids-section").innerHTML = `
             <h4 style="color: #00ff88;">Bids</h4>
             ${bids
-							.slice(0, 15)
+							.slice(0, this.levelCounts.book)
 							.map(
 								(bid) => `
-                <div class="level bid-level">
+                <div class="level bid-level${this.isSelectedLevel("bid", bid.price) ? " selected" : ""}${this.isVirtualLevel("bid", bid.price) ? " virtual" : ""}" data-side="bid" data-price="${bid.price}">
                     <span>${this.formatPrice(bid.price)}</span>
-                    <span>${this.formatQuantity(bid.total_size)}</span>
+                    <span>${this.formatSize(bid.total_size, bid.price)}</span>
                     <span>(${bid.order_count})</span>
                 </div>
             `,
@@ -671,41 +2974,102 @@ class L3OrderBookVisualizer {
 
 		// Update spread
 		if (bids.length > 0 && asks.length > 0) {
-			const spread =
-				Number.parseFloat(asks[0].price) - Number.parseFloat(bids[0].price);
-			const spreadPct = (spread / Number.parseFloat(asks[0].price)) * 100;
-			document.getElementById("spread-info").innerHTML = `
+			const ask = Decimal.from(asks[0].price);
+			const spread = ask.sub(bids[0].price);
+			const spreadPct = ask.isZero() ? Decimal.from(0) : spread.mul(100).div(ask, 3);
+			this.el("spread-info").innerHTML = `
                 Spread: ${this.formatPrice(spread)} (${spreadPct.toFixed(3)}%)
             `;
 		}
 	}
 
+	// Queue bars take the cluster colors in k-means mode, and fade out when
+	// their cluster is filtered out in the legend
+	queueBarStyle(level, side, position, fallback) {
+		const clustered = level.clustered_orders && level.clustered_orders[position];
+		if (!clustered) return { background: fallback, opacity: 1 };
+		return {
+			background: this.orderColor(level, side, position, fallback),
+			opacity: this.clusterLegend.isVisible(side, clustered.cluster) ? 1 : 0.15,
+		};
+	}
+
+	// Queue bar length against the level's largest order, or in notional
+	// units against the largest value among the listed queues
+	queueBarWidth(order, level, maxValue) {
+		const ratio = maxValue
+			? this.unitValue(order, level.price) / maxValue
+			: Number.parseFloat(order) / Number.parseFloat(level.max_order);
+		return Math.max(4, ratio * 120);
+	}
+
+	// The server's gold marks each side's largest orders by quantity. In
+	// notional units the largest by value get it instead, and orders that
+	// lose it go back to their cluster color, or the fallback.
+	orderColor(level, side, position, fallback) {
+		const color = level.colors && level.colors[position];
+		if (this.units !== "notional") return color || fallback;
+
+		const clustered = level.clustered_orders && level.clustered_orders[position];
+		const qty = clustered ? clustered.qty : level.orders && level.orders[position];
+		const [max, second] = this.notionalPeaks(side);
+		const value = this.unitValue(qty, level.price);
+		if (value === max) return "#ffd700";
+		if (value === second) return "#b8860b";
+		if (!AlertEngine.highlightColors.has(color)) return color || fallback;
+		if (!clustered) return fallback;
+		const palette = ClientClusterer.palette(side, this.l3Data.num_clusters || this.numClusters);
+		return palette[clustered.cluster % palette.length];
+	}
+
+	// Largest and second largest order values per side of the frame on
+	// screen, worked out once per frame
+	notionalPeaks(side) {
+		if (!this.peaks || this.peaks.frame !== this.l3Data) {
+			const peaks = (levels) => {
+				const values = new Set();
+				levels.forEach((level) => {
+					(level.orders || []).forEach((o) => values.add(this.unitValue(o, level.price)));
+				});
+				return [...values].sort((a, b) => b - a).slice(0, 2);
+			};
+			this.peaks = { frame: this.l3Data, bid: peaks(this.l3Data.bids), ask: peaks(this.l3Data.asks) };
+		}
+		return this.peaks[side];
+	}
+
 	updateQueueVisualization() {
 		if (!this.l3Data) return;
 
 		const { bids, asks } = this.l3Data;
-		const queueDisplay = document.getElementById("queue-display");
-
-		// Show detailed queue for top 5 levels of each side
+		const queueDisplay = this.el("queue-display");
+		const flow = this.recentQueueFlow();
+		// Notional bars share one scale across the listed queues, so value
+		// compares between prices
+		const maxValue =
+			this.units === "notional"
+				? d3.max(
+						[...bids.slice(0, this.levelCounts.queue), ...asks.slice(0, this.levelCounts.queue)],
+						(level) => this.unitValue(level.max_order, level.price),
+					)
+				: null;
+
+		// Show detailed queue for the top levels of each side
 		let html = '<h4 style="color: #00ff88;">Top Bid Queues</h4>';
-		bids.slice(0, 5).forEach((bid, levelIndex) => {
+		bids.slice(0, this.levelCounts.queue).forEach((bid, levelIndex) => {
 			if (bid.orders && bid.orders.length > 0) {
 				html += `
                     <div style="margin: 5px 0; border-left: 3px solid #00ff88; padding-left: 8px;">
                         <div style="font-size: 12px; color: #00ff88; font-weight: 600;">
-                            ${this.formatPrice(bid.price)} - ${bid.order_count} orders (${this.formatQuantity(bid.total_size)} total)
+                            ${this.formatPrice(bid.price)} - ${bid.order_count} orders (${this.formatSize(bid.total_size, bid.price)} total)
+                            ${this.renderQueueFlow(flow, "bid", bid.price)}
                         </div>
                         <div class="queue-orders" style="margin-top: 4px;">
                             ${bid.orders
 															.map((order, orderIndex) => {
-																const width = Math.max(
-																	4,
-																	(Number.parseFloat(order) /
-																		Number.parseFloat(bid.max_order)) *
-																		120,
-																);
-																const size = Number.parseFloat(order);
-																return `<span class="order-bar" title="Order ${orderIndex + 1}: ${size.toFixed(2)}" style="width: ${width}px; background: #00ff88; display: inline-block; height: 8px; margin: 1px; border-radius: 2px;"></span>`;
+																const width = this.queueBarWidth(order, bid, maxValue);
+																const { background, opacity } = this.queueBarStyle(bid, "bid", orderIndex, "#00ff88");
+																return `<span class="order-bar" data-side="bid" data-level="${levelIndex}" data-position="${orderIndex}" style="width: ${width}px; background: ${background}; opacity: ${opacity}; display: inline-block; height: 8px; margin: 1px; border-radius: 2px;"></span>`;
 															})
 															.join("")}
                         </div>
@@ -715,24 +3079,20 @@ class L3OrderBookVisualizer {
 		});
 
 		html += '<h4 style="color: #ff4444; margin-top: 15px;">Top Ask Queues</h4>';
-		asks.slice(0, 5).forEach((ask, levelIndex) => {
+		asks.slice(0, this.levelCounts.queue).forEach((ask, levelIndex) => {
 			if (ask.orders && ask.orders.length > 0) {
 				html += `
                     <div style="margin: 5px 0; border-left: 3px solid #ff4444; padding-left: 8px;">
                         <div style="font-size: 12px; color: #ff4444; font-weight: 600;">
-                            ${this.formatPrice(ask.price)} - ${ask.order_count} orders (${this.formatQuantity(ask.total_size)} total)
+                            ${this.formatPrice(ask.price)} - ${ask.order_count} orders (${this.formatSize(ask.total_size, ask.price)} total)
+                            ${this.renderQueueFlow(flow, "ask", ask.price)}
                         </div>
                         <div class="queue-orders" style="margin-top: 4px;">
                             ${ask.orders
 															.map((order, orderIndex) => {
-																const width = Math.max(
-																	4,
-																	(Number.parseFloat(order) /
-																		Number.parseFloat(ask.max_order)) *
-																		120,
-																);
-																const size = Number.parseFloat(order);
-																return `<span class="order-bar" title="Order ${orderIndex + 1}: ${size.toFixed(2)}" style="width: ${width}px; background: #ff4444; display: inline-block; height: 8px; margin: 1px; border-radius: 2px;"></span>`;
+																const width = this.queueBarWidth(order, ask, maxValue);
+																const { background, opacity } = this.queueBarStyle(ask, "ask", orderIndex, "#ff4444");
+																return `<span class="order-bar" data-side="ask" data-level="${levelIndex}" data-position="${orderIndex}" style="width: ${width}px; background: ${background}; opacity: ${opacity}; display: inline-block; height: 8px; margin: 1px; border-radius: 2px;"></span>`;
 															})
 															.join("")}
                         </div>
@@ -753,13 +3113,8 @@ class L3OrderBookVisualizer {
 				? asks.reduce((sum, a) => sum + a.order_count, 0) / asks.length
 				: 0;
 
-		document.getElementById("queue-stats").innerHTML = `
+		this.el("queue-stats").innerHTML = `
             Avg Queue Size: ${avgBidQueueSize.toFixed(1)} bids, ${avgAskQueueSize.toFixed(1)} asks
         `;
 	}
 }
-
-// Initialize when page loads
-document.addEventListener("DOMContentLoaded", () => {
-	new L3OrderBookVisualizer();
-});
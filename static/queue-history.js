@@ -0,0 +1,202 @@
+// One price level's queue over time, built from recorded frames. Time runs
+// left to right and each synthetic order from order_details is a band
+// stacked in queue order, front of the queue at the bottom: it starts when
+// the order is added, thins on partial fills and ends where the order was
+// removed. That makes the server's removal heuristics checkable by eye; a
+// FIFO queue loses its bands from the bottom, a largest-first one from its
+// thickest band. Removals are ticked white from the front, red from behind.
+class QueueHistoryView {
+	constructor(container, { formatQuantity }) {
+		this.container = container;
+		this.formatQuantity = formatQuantity;
+		this.canvas = document.createElement("canvas");
+		this.container.appendChild(this.canvas);
+		this.ctx = this.canvas.getContext("2d");
+		this.width = 0;
+		this.height = 0;
+		this.margin = { top: 10, right: 70, bottom: 24, left: 10 };
+		this.tracks = new Map();
+		this.hovered = null; // Key of the track under the mouse
+		this.dataKey = null;
+		this.built = null;
+		this.lastRenderKey = null;
+	}
+
+	resize() {
+		const rect = this.container.getBoundingClientRect();
+		if (rect.width === this.width && rect.height === this.height) return;
+
+		const ratio = window.devicePixelRatio || 1;
+		this.width = rect.width;
+		this.height = rect.height;
+		this.canvas.width = Math.round(rect.width * ratio);
+		this.canvas.height = Math.round(rect.height * ratio);
+		this.canvas.style.width = `${rect.width}px`;
+		this.canvas.style.height = `${rect.height}px`;
+		this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+		this.lastRenderKey = null;
+	}
+
+	// Every order seen at the level: { key, id, addedAt, segments, fills,
+	// removedAt, removedFrom }, one segment per frame it rested in. IDs
+	// restart when the server rebuilds a level or resnapshots the book, so
+	// tracks are keyed by ID and the time the order was added.
+	static buildTracks(frames, side, price, end) {
+		const tracks = new Map();
+		let maxTotal = 0;
+		let covered = 0; // Frames where the level came with order_details
+		let alive = new Map(); // Track key -> queue position in the last covered frame
+
+		frames.forEach((frame, i) => {
+			const levels = side === "bid" ? frame.data.bids : frame.data.asks;
+			const level = levels.find((l) => l.price === price);
+			// Gone from the level, or no details (light payload): a gap, and
+			// the orders resting before it are neither kept nor removed
+			if (!level || !level.order_details) {
+				if (!level) alive = new Map();
+				return;
+			}
+			covered++;
+
+			const t1 = i + 1 < frames.length ? frames[i + 1].timestamp : end;
+			const present = new Map();
+			let total = 0;
+			level.order_details.forEach((order, position) => {
+				const qty = Number.parseFloat(order.qty);
+				const key = `${order.id}:${order.timestamp}`;
+				let track = tracks.get(key);
+				if (!track) {
+					track = { key, id: order.id, addedAt: order.timestamp, segments: [], fills: 0, removedAt: null, removedFrom: null };
+					tracks.set(key, track);
+				}
+				const previous = track.segments[track.segments.length - 1];
+				if (previous && qty < previous.qty) {
+					track.fills++;
+				}
+				track.segments.push({ t0: frame.timestamp, t1, y0: total, y1: total + qty, qty, position: position + 1 });
+				present.set(key, position + 1);
+				total += qty;
+			});
+			maxTotal = Math.max(maxTotal, total);
+
+			alive.forEach((position, key) => {
+				if (present.has(key)) return;
+				const track = tracks.get(key);
+				track.removedAt = frame.timestamp;
+				track.removedFrom = position;
+			});
+			alive = present;
+		});
+
+		return { tracks, maxTotal, covered };
+	}
+
+	// frames: recorder frames oldest first, ending at the frame on screen
+	render({ frames, side, price, spanMs }) {
+		this.resize();
+		const last = frames[frames.length - 1];
+		const end = last ? last.timestamp : Date.now();
+		const start = end - spanMs;
+
+		// Tracks are only rebuilt when the frames change; hovering just repaints
+		const dataKey = `${frames.length}:${end}:${side}:${price}:${spanMs}`;
+		const renderKey = `${dataKey}:${this.hovered}:${this.width}x${this.height}`;
+		if (renderKey === this.lastRenderKey) return this.summary;
+		this.lastRenderKey = renderKey;
+
+		if (dataKey !== this.dataKey) {
+			this.dataKey = dataKey;
+			const visible = frames.filter((f) => f.timestamp >= start);
+			this.built = QueueHistoryView.buildTracks(visible, side, price, end);
+			this.built.frames = visible.length;
+		}
+		const { tracks, maxTotal, covered } = this.built;
+		this.tracks = tracks;
+
+		const { margin } = this;
+		const width = Math.max(0, this.width - margin.left - margin.right);
+		const height = Math.max(0, this.height - margin.top - margin.bottom);
+		this.xScale = d3.scaleLinear().domain([start, end]).range([0, width]);
+		this.yScale = d3.scaleLinear().domain([0, (maxTotal || 1) * 1.05]).range([height, 0]);
+
+		const ctx = this.ctx;
+		ctx.clearRect(0, 0, this.width, this.height);
+		ctx.save();
+		ctx.translate(margin.left, margin.top);
+
+		tracks.forEach((track) => {
+			const hovered = track.key === this.hovered;
+			ctx.fillStyle = QueueHistoryView.color(track.id, hovered);
+			track.segments.forEach((s) => {
+				const x0 = this.xScale(Math.max(s.t0, start));
+				const y1 = this.yScale(s.y1);
+				ctx.fillRect(x0, y1, Math.max(1, this.xScale(s.t1) - x0), Math.max(1, this.yScale(s.y0) - y1));
+			});
+
+			if (track.removedAt !== null) {
+				const final = track.segments[track.segments.length - 1];
+				const x = this.xScale(track.removedAt);
+				ctx.strokeStyle = track.removedFrom === 1 ? "#ffffff" : "#ff4444";
+				ctx.lineWidth = 2;
+				ctx.beginPath();
+				ctx.moveTo(x, this.yScale(final.y0));
+				ctx.lineTo(x, this.yScale(final.y1));
+				ctx.stroke();
+			}
+		});
+
+		ctx.restore();
+		this.drawAxes(width, height, end);
+
+		let removed = 0;
+		let fromFront = 0;
+		tracks.forEach((track) => {
+			if (track.removedAt === null) return;
+			removed++;
+			if (track.removedFrom === 1) fromFront++;
+		});
+		this.summary = { orders: tracks.size, removed, fromFront, covered, frames: this.built.frames };
+		return this.summary;
+	}
+
+	drawAxes(width, height, end) {
+		const ctx = this.ctx;
+		ctx.save();
+		ctx.translate(this.margin.left, this.margin.top);
+		ctx.fillStyle = "#888";
+		ctx.font = "10px Monaco, monospace";
+
+		// Quantity resting ahead on the right
+		ctx.textAlign = "left";
+		ctx.textBaseline = "middle";
+		this.yScale.ticks(6).forEach((qty) => {
+			ctx.fillText(this.formatQuantity(qty), width + 4, this.yScale(qty));
+		});
+
+		// Seconds before the frame on screen along the bottom
+		ctx.textAlign = "center";
+		ctx.textBaseline = "top";
+		this.xScale.ticks(6).forEach((t) => {
+			ctx.fillText(`-${((end - t) / 1000).toFixed(0)}s`, this.xScale(t), height + 6);
+		});
+
+		ctx.restore();
+	}
+
+	// The order and segment under a point in CSS pixels, or null
+	hitTest(x, y) {
+		if (!this.xScale) return null;
+		const t = this.xScale.invert(x - this.margin.left);
+		const qty = this.yScale.invert(y - this.margin.top);
+		for (const track of this.tracks.values()) {
+			const segment = track.segments.find((s) => t >= s.t0 && t < s.t1 && qty >= s.y0 && qty < s.y1);
+			if (segment) return { track, segment };
+		}
+		return null;
+	}
+
+	// Neighbouring IDs get well separated hues
+	static color(id, highlighted) {
+		return d3.hsl((id * 137.508) % 360, 0.55, highlighted ? 0.7 : 0.45).toString();
+	}
+}
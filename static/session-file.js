@@ -0,0 +1,114 @@
+// Recorded sessions as files: gzipped NDJSON with a header line describing
+// the symbol, precision and clustering settings, followed by one l3_update
+// message per line exactly as it arrived over /ws.
+class SessionFile {
+	static get version() {
+		return 1;
+	}
+
+	static async encode(frames, meta) {
+		const first = frames[0];
+		const last = frames[frames.length - 1];
+		const header = {
+			type: "session_header",
+			version: SessionFile.version,
+			symbol: meta.symbol,
+			precision: meta.precision,
+			kmeans_mode: meta.kmeans_mode,
+			num_clusters: meta.num_clusters,
+			frame_count: frames.length,
+			start: first ? first.timestamp : null,
+			end: last ? last.timestamp : null,
+		};
+
+		const lines = [JSON.stringify(header)];
+		frames.forEach((frame) => {
+			lines.push(JSON.stringify({ type: "l3_update", data: frame.data }));
+		});
+		const text = `${lines.join("\n")}\n`;
+
+		if (typeof CompressionStream === "undefined") {
+			return { blob: new Blob([text], { type: "application/x-ndjson" }), extension: "ndjson" };
+		}
+
+		const stream = new Blob([text]).stream().pipeThrough(new CompressionStream("gzip"));
+		const blob = await new Response(stream).blob();
+		return { blob: new Blob([blob], { type: "application/gzip" }), extension: "ndjson.gz" };
+	}
+
+	static async decode(file) {
+		const bytes = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+		const gzipped = bytes[0] === 0x1f && bytes[1] === 0x8b;
+
+		let text;
+		if (gzipped) {
+			if (typeof DecompressionStream === "undefined") {
+				throw new Error("This browser cannot decompress gzip files");
+			}
+			const stream = file.stream().pipeThrough(new DecompressionStream("gzip"));
+			text = await new Response(stream).text();
+		} else {
+			text = await file.text();
+		}
+
+		const lines = text.split("\n").filter((line) => line.trim() !== "");
+		if (lines.length === 0) {
+			throw new Error("Session file is empty");
+		}
+
+		const header = JSON.parse(lines[0]);
+		if (header.type !== "session_header") {
+			throw new Error("Not an L3 session file (missing header)");
+		}
+		if (header.version > SessionFile.version) {
+			throw new Error(`Unsupported session file version ${header.version}`);
+		}
+
+		const messages = lines.slice(1).map((line) => JSON.parse(line));
+		return { header, messages };
+	}
+}
+
+// Feeds decoded session messages to a handler with their original spacing,
+// standing in for the WebSocket when replaying a file offline
+class FileReplaySource {
+	constructor(messages, onMessage, onEnd) {
+		this.messages = messages;
+		this.onMessage = onMessage;
+		this.onEnd = onEnd;
+		this.index = 0;
+		this.timer = null;
+	}
+
+	start() {
+		this.stop();
+		this.index = 0;
+		this.emitNext();
+	}
+
+	stop() {
+		clearTimeout(this.timer);
+		this.timer = null;
+	}
+
+	emitNext() {
+		const message = this.messages[this.index];
+		if (!message) {
+			this.timer = null;
+			if (this.onEnd) {
+				this.onEnd();
+			}
+			return;
+		}
+
+		this.onMessage(message);
+		this.index++;
+
+		const next = this.messages[this.index];
+		const delay =
+			next && next.data && message.data
+				? Math.max(0, next.data.timestamp - message.data.timestamp)
+				: 0;
+		this.timer = setTimeout(() => this.emitNext(), delay);
+	}
+}
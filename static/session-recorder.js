@@ -0,0 +1,186 @@
+// Rolling recorder of l3_update snapshots for time-travel replay. Frames are
+// kept in memory for a configurable window and can optionally be mirrored to
+// IndexedDB so a reload doesn't lose the recent past.
+class SessionRecorder {
+	constructor({
+		windowMs = 60000,
+		minInterval = 250,
+		persist = false,
+		dbName = "l3-orderbook-recorder", // One database per view, frames are per symbol
+	} = {}) {
+		this.windowMs = windowMs;
+		this.minInterval = minInterval; // Record at most one frame per interval
+		this.frames = []; // [{ timestamp, data }] oldest first
+		this.persist = false;
+		this.db = null;
+		this.dbName = dbName;
+		this.storeName = "frames";
+
+		if (persist) {
+			this.setPersist(true);
+		}
+	}
+
+	get length() {
+		return this.frames.length;
+	}
+
+	get first() {
+		return this.frames[0] || null;
+	}
+
+	get last() {
+		return this.frames[this.frames.length - 1] || null;
+	}
+
+	record(data) {
+		const timestamp = data.timestamp || Date.now();
+		const last = this.last;
+		if (last && timestamp - last.timestamp < this.minInterval) return false;
+
+		const frame = { timestamp, data };
+		this.frames.push(frame);
+		this.evict(timestamp);
+
+		if (this.persist && this.db) {
+			this.writeFrame(frame);
+		}
+		return true;
+	}
+
+	evict(now) {
+		const cutoff = now - this.windowMs;
+		let drop = 0;
+		while (drop < this.frames.length && this.frames[drop].timestamp < cutoff) {
+			drop++;
+		}
+		if (drop > 0) {
+			this.frames.splice(0, drop);
+		}
+	}
+
+	setWindow(windowMs) {
+		this.windowMs = windowMs;
+		if (this.last) {
+			this.evict(this.last.timestamp);
+			if (this.persist && this.db) {
+				this.prunePersisted(this.last.timestamp - windowMs);
+			}
+		}
+	}
+
+	clear() {
+		this.frames = [];
+		if (this.db) {
+			const tx = this.db.transaction(this.storeName, "readwrite");
+			tx.objectStore(this.storeName).clear();
+		}
+	}
+
+	// Replace the frames with a loaded range (oldest first), kept whole
+	// whatever the window. Nothing is persisted.
+	load(frames) {
+		this.frames = frames.slice();
+	}
+
+	// Index of the last frame at or before the timestamp
+	indexAt(timestamp) {
+		let lo = 0;
+		let hi = this.frames.length - 1;
+		let found = 0;
+		while (lo <= hi) {
+			const mid = (lo + hi) >> 1;
+			if (this.frames[mid].timestamp <= timestamp) {
+				found = mid;
+				lo = mid + 1;
+			} else {
+				hi = mid - 1;
+			}
+		}
+		return found;
+	}
+
+	frameAt(index) {
+		return this.frames[index] || null;
+	}
+
+	// Resolves to whether frames are persisted. IndexedDB can refuse
+	// (private browsing, quota, a blocked upgrade); recording then carries on
+	// in memory only.
+	async setPersist(enabled) {
+		this.persist = enabled;
+		if (!enabled) {
+			if (this.db) {
+				this.db.close();
+				this.db = null;
+			}
+			return false;
+		}
+
+		if (!window.indexedDB) {
+			console.warn("IndexedDB not available, recording in memory only");
+			this.persist = false;
+			return false;
+		}
+
+		try {
+			this.db = await this.openDatabase();
+			await this.loadPersisted();
+		} catch (error) {
+			console.warn("Cannot persist the recording, recording in memory only:", error);
+			if (this.db) {
+				this.db.close();
+				this.db = null;
+			}
+			this.persist = false;
+		}
+		return this.persist;
+	}
+
+	openDatabase() {
+		return new Promise((resolve, reject) => {
+			const request = indexedDB.open(this.dbName, 1);
+			request.onupgradeneeded = () => {
+				request.result.createObjectStore(this.storeName, { keyPath: "timestamp" });
+			};
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+			request.onblocked = () => reject(new Error("Database upgrade blocked by another tab"));
+		});
+	}
+
+	// Merge frames persisted by an earlier session that are still inside the window
+	loadPersisted() {
+		return new Promise((resolve, reject) => {
+			const cutoff = (this.last ? this.last.timestamp : Date.now()) - this.windowMs;
+			const tx = this.db.transaction(this.storeName, "readonly");
+			const request = tx
+				.objectStore(this.storeName)
+				.getAll(IDBKeyRange.lowerBound(cutoff));
+
+			request.onsuccess = () => {
+				const known = new Set(this.frames.map((f) => f.timestamp));
+				const restored = request.result.filter((f) => !known.has(f.timestamp));
+				this.frames = [...restored, ...this.frames].sort(
+					(a, b) => a.timestamp - b.timestamp,
+				);
+				this.prunePersisted(cutoff);
+				resolve(restored.length);
+			};
+			request.onerror = () => reject(request.error);
+		});
+	}
+
+	writeFrame(frame) {
+		const tx = this.db.transaction(this.storeName, "readwrite");
+		const store = tx.objectStore(this.storeName);
+		store.put(frame);
+		store.delete(IDBKeyRange.upperBound(frame.timestamp - this.windowMs, true));
+		tx.onerror = () => console.error("Failed to persist frame:", tx.error);
+	}
+
+	prunePersisted(cutoff) {
+		const tx = this.db.transaction(this.storeName, "readwrite");
+		tx.objectStore(this.storeName).delete(IDBKeyRange.upperBound(cutoff, true));
+	}
+}
@@ -0,0 +1,207 @@
+// Searchable symbol picker fed by the server's /api/symbols list. Arrow keys
+// move through matches, Enter picks, Escape closes; starred symbols are kept
+// in localStorage and listed first. Free text is accepted too, so symbols
+// still work if the list can't be loaded — the server validates them.
+class SymbolPicker {
+	constructor(root, { onSelect }) {
+		this.root = root;
+		this.onSelect = onSelect;
+		this.input = root.querySelector("input");
+		this.list = root.querySelector(".symbol-list");
+		this.errorEl = root.querySelector(".symbol-error");
+		this.symbols = [];
+		this.matches = [];
+		this.highlight = 0;
+		this.current = "";
+		this.maxResults = 50;
+
+		SymbolPicker.loadSymbols().then((symbols) => {
+			this.symbols = symbols;
+			if (this.isOpen()) {
+				this.renderList();
+			}
+		});
+
+		this.input.addEventListener("focus", () => {
+			this.input.select();
+			this.open();
+		});
+		this.input.addEventListener("input", () => {
+			this.clearError();
+			this.highlight = 0;
+			this.open();
+		});
+		this.input.addEventListener("keydown", (event) => this.handleKey(event));
+		this.input.addEventListener("blur", () => {
+			// Let a click on the list land before it closes
+			setTimeout(() => this.close(), 150);
+		});
+
+		// mousedown keeps focus in the input, so blur doesn't race the click
+		this.list.addEventListener("mousedown", (event) => {
+			event.preventDefault();
+			const star = event.target.closest(".symbol-star");
+			const item = event.target.closest(".symbol-item");
+			if (!item) return;
+			if (star) {
+				SymbolPicker.toggleFavorite(item.dataset.symbol);
+				this.renderList();
+			} else {
+				this.select(item.dataset.symbol);
+			}
+		});
+	}
+
+	// Symbol list is fetched once and shared by every picker on the page
+	static loadSymbols() {
+		if (!SymbolPicker.symbolsRequest) {
+			SymbolPicker.symbolsRequest = fetch("/api/symbols")
+				.then((response) => {
+					if (!response.ok) {
+						throw new Error(`HTTP ${response.status}`);
+					}
+					return response.json();
+				})
+				.then((body) => body.symbols.filter((s) => s.status === "TRADING"))
+				.catch((error) => {
+					console.warn("Symbol list unavailable, free text only:", error);
+					SymbolPicker.symbolsRequest = null; // Retry on the next picker
+					return [];
+				});
+		}
+		return SymbolPicker.symbolsRequest;
+	}
+
+	static get favorites() {
+		return JSON.parse(localStorage.getItem("l3-favorite-symbols") || "[]");
+	}
+
+	static toggleFavorite(symbol) {
+		const favorites = SymbolPicker.favorites;
+		const index = favorites.indexOf(symbol);
+		if (index >= 0) {
+			favorites.splice(index, 1);
+		} else {
+			favorites.push(symbol);
+		}
+		localStorage.setItem("l3-favorite-symbols", JSON.stringify(favorites));
+	}
+
+	get value() {
+		return this.current;
+	}
+
+	// Show the symbol the view is actually on, without firing onSelect
+	set value(symbol) {
+		this.current = symbol;
+		if (document.activeElement !== this.input) {
+			this.input.value = symbol;
+		}
+	}
+
+	showError(message) {
+		this.errorEl.textContent = message;
+		this.errorEl.style.display = "block";
+		this.input.classList.add("invalid");
+	}
+
+	clearError() {
+		this.errorEl.style.display = "none";
+		this.input.classList.remove("invalid");
+	}
+
+	isOpen() {
+		return this.list.style.display === "block";
+	}
+
+	open() {
+		this.list.style.display = "block";
+		this.renderList();
+	}
+
+	close() {
+		this.list.style.display = "none";
+		this.input.value = this.current;
+	}
+
+	select(symbol) {
+		const normalized = symbol.trim().toUpperCase();
+		if (!normalized) return;
+
+		this.clearError();
+		this.current = normalized;
+		this.input.value = normalized;
+		this.list.style.display = "none";
+		this.input.blur();
+		this.onSelect(normalized);
+	}
+
+	handleKey(event) {
+		if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+			event.preventDefault();
+			if (!this.isOpen()) {
+				this.open();
+				return;
+			}
+			const step = event.key === "ArrowDown" ? 1 : -1;
+			const count = this.matches.length;
+			if (count > 0) {
+				this.highlight = (this.highlight + step + count) % count;
+				this.renderList();
+			}
+		} else if (event.key === "Enter") {
+			event.preventDefault();
+			const match = this.matches[this.highlight];
+			this.select(match ? match.symbol : this.input.value);
+		} else if (event.key === "Escape") {
+			this.close();
+			this.input.blur();
+		}
+	}
+
+	// Favorites first, then symbols starting with the query, then the rest
+	filter(query) {
+		const q = query.trim().toUpperCase();
+		const favorites = new Set(SymbolPicker.favorites);
+		const rank = (s) =>
+			(favorites.has(s.symbol) ? 0 : 2) +
+			(s.symbol.startsWith(q) || s.base_asset.startsWith(q) ? 0 : 1);
+
+		return this.symbols
+			.filter((s) => !q || s.symbol.includes(q) || s.base_asset.includes(q))
+			.sort((a, b) => rank(a) - rank(b) || a.symbol.localeCompare(b.symbol))
+			.slice(0, this.maxResults);
+	}
+
+	renderList() {
+		// Untouched input still shows the current symbol; list everything then
+		const query = this.input.value === this.current ? "" : this.input.value;
+		this.matches = this.filter(query);
+		this.highlight = Math.min(this.highlight, Math.max(0, this.matches.length - 1));
+
+		const favorites = new Set(SymbolPicker.favorites);
+		if (this.matches.length === 0) {
+			this.list.innerHTML = `<div class="symbol-empty">${
+				this.symbols.length ? "No matches" : "Type a symbol and press Enter"
+			}</div>`;
+			return;
+		}
+
+		this.list.innerHTML = this.matches
+			.map(
+				(s, i) => `
+				<div class="symbol-item${i === this.highlight ? " highlighted" : ""}${s.symbol === this.current ? " current" : ""}" data-symbol="${s.symbol}">
+					<span class="symbol-star${favorites.has(s.symbol) ? " starred" : ""}" title="Favorite">&#9733;</span>
+					<span class="symbol-name">${s.symbol}</span>
+					<span class="symbol-type">${s.contract_type === "PERPETUAL" ? "" : s.contract_type}</span>
+				</div>
+			`,
+			)
+			.join("");
+
+		const highlighted = this.list.querySelector(".highlighted");
+		if (highlighted && highlighted.scrollIntoView) {
+			highlighted.scrollIntoView({ block: "nearest" });
+		}
+	}
+}
@@ -0,0 +1,123 @@
+// A hypothetical order of our own, joined at the back of one price level's
+// queue. Everything resting at the level when it is placed is ahead of it;
+// those orders are followed by synthetic ID as they fill or cancel from the
+// front, and the rate at which they drain gives an estimated time to fill.
+class VirtualOrder {
+	constructor({ symbol, side, price, qty, data }) {
+		this.symbol = symbol.toUpperCase();
+		this.side = side;
+		this.price = Number.parseFloat(price);
+		this.qty = qty;
+		this.placedAt = data.timestamp;
+		this.status = "queued"; // queued, front, filled
+		this.rateWindow = 60000; // ms of drain history behind the ETA
+
+		const level = this.findLevel(data);
+		const details = (level && level.order_details) || [];
+		this.aheadIds = new Map(details.map((o) => [o.id, Number.parseFloat(o.qty)]));
+		this.ordersAhead = level ? level.order_count : 0;
+		this.ahead = level ? Number.parseFloat(level.total_size) : 0;
+		this.initialAhead = this.ahead;
+		this.samples = [{ t: data.timestamp, consumed: 0 }];
+		if (this.ahead === 0) {
+			this.status = "front";
+		}
+	}
+
+	findLevel(data) {
+		const levels = this.side === "bid" ? data.bids : data.asks;
+		return levels.find((l) => Number.parseFloat(l.price) === this.price) || null;
+	}
+
+	update(data) {
+		if (this.status === "filled" || data.symbol.toUpperCase() !== this.symbol) return;
+
+		const levels = this.side === "bid" ? data.bids : data.asks;
+		if (levels.length === 0) return;
+
+		const level = this.findLevel(data);
+		let ahead;
+		if (!level) {
+			// The book moved past our price: the level was consumed
+			const best = Number.parseFloat(levels[0].price);
+			if (this.side === "bid" ? this.price > best : this.price < best) {
+				this.status = "filled";
+				this.ahead = 0;
+				this.ordersAhead = 0;
+				return;
+			}
+			// Deeper than the levels the server sends: nothing to go on
+			const deepest = Number.parseFloat(levels[levels.length - 1].price);
+			if (this.side === "bid" ? this.price < deepest : this.price > deepest) return;
+			// Otherwise the level was emptied by cancels and we'd be alone on it
+			ahead = 0;
+			this.ordersAhead = 0;
+		} else {
+			ahead = this.trackAhead(level);
+		}
+
+		// Orders ahead only ever leave or shrink
+		this.ahead = Math.min(this.ahead, ahead);
+		if (this.ahead === 0) {
+			this.status = "front";
+		}
+
+		this.samples.push({ t: data.timestamp, consumed: this.initialAhead - this.ahead });
+		while (this.samples.length > 2 && data.timestamp - this.samples[0].t > this.rateWindow) {
+			this.samples.shift();
+		}
+	}
+
+	// Quantity still ahead of us at the level, following the orders that were
+	// ahead by synthetic ID
+	trackAhead(level) {
+		const details = level.order_details || [];
+		const total = Number.parseFloat(level.total_size);
+		if (details.length === 0) {
+			return Math.min(this.ahead, total);
+		}
+
+		let ahead = 0;
+		let count = 0;
+		for (const order of details) {
+			if (this.aheadIds.has(order.id)) {
+				ahead += Number.parseFloat(order.qty);
+				count++;
+			}
+		}
+
+		// IDs restart when the server rebuilds a level; assume FIFO and take
+		// the last known quantity ahead from the front of the new queue
+		if (count === 0 && this.ahead > 0) {
+			this.aheadIds.clear();
+			let covered = 0;
+			for (const order of details) {
+				if (covered >= this.ahead) break;
+				const qty = Number.parseFloat(order.qty);
+				this.aheadIds.set(order.id, qty);
+				covered += qty;
+				count++;
+			}
+			ahead = Math.min(this.ahead, covered);
+		}
+
+		this.ordersAhead = count;
+		return Math.min(ahead, total);
+	}
+
+	// Quantity ahead drained per second over the rate window
+	get rate() {
+		const first = this.samples[0];
+		const last = this.samples[this.samples.length - 1];
+		const seconds = (last.t - first.t) / 1000;
+		return seconds > 0 ? (last.consumed - first.consumed) / seconds : 0;
+	}
+
+	// Time until the level drains through our whole order, or null while the
+	// queue isn't moving
+	get eta() {
+		if (this.status === "filled") return 0;
+		const rate = this.rate;
+		return rate > 0 ? ((this.ahead + this.qty) / rate) * 1000 : null;
+	}
+}
@@ -0,0 +1,181 @@
+package main
+
+import (
+	"sync"
+	"time"
+
+	"github.com/shopspring/decimal"
+)
+
+// Trade is one Binance aggTrade, forwarded to /ws clients
+type Trade struct {
+	ID    int64           `json:"id"` // Aggregate trade ID
+	Price decimal.Decimal `json:"price"`
+	Qty   decimal.Decimal `json:"qty"`
+	Side  string          `json:"side"` // Aggressor side: "buy" lifted an ask, "sell" hit a bid
+	Time  int64           `json:"time"`
+}
+
+// QueueReduction is a drop in one level's quantity, split into the part
+// explained by trades at that price and the rest, which was cancelled
+type QueueReduction struct {
+	Side      string          `json:"side"` // Book side: "bid" or "ask"
+	Price     decimal.Decimal `json:"price"`
+	Qty       decimal.Decimal `json:"qty"`
+	Executed  decimal.Decimal `json:"executed"`
+	Cancelled decimal.Decimal `json:"cancelled"`
+	Time      int64           `json:"time"`
+}
+
+type binanceAggTrade struct {
+	ID           int64  `json:"a"`
+	Price        string `json:"p"`
+	Qty          string `json:"q"`
+	TradeTime    int64  `json:"T"`
+	BuyerIsMaker bool   `json:"m"`
+}
+
+// TradeFlow keeps one book's recent trades and queue reductions. Events are
+// numbered so each /ws connection can pick up only what it hasn't sent yet.
+type TradeFlow struct {
+	mu      sync.Mutex
+	events  []flowEvent
+	seq     int64
+	pending map[string]*pendingFill // "side|price" -> traded qty not yet seen in depth
+}
+
+type flowEvent struct {
+	seq       int64
+	trade     *Trade
+	reduction *QueueReduction
+}
+
+type pendingFill struct {
+	qty  decimal.Decimal
+	time int64
+}
+
+const (
+	maxFlowEvents  = 1000
+	pendingFillTTL = 2000 // ms a trade waits for the depth update that shows it
+)
+
+// NewTradeFlow creates an empty trade flow
+func NewTradeFlow() *TradeFlow {
+	return &TradeFlow{pending: make(map[string]*pendingFill)}
+}
+
+func fillKey(side string, price decimal.Decimal) string {
+	return side + "|" + price.String()
+}
+
+// AddTrade records a trade and remembers its quantity against the resting
+// level it executed on, for the next depth update to account for
+func (tf *TradeFlow) AddTrade(raw *binanceAggTrade) {
+	price, err := decimal.NewFromString(raw.Price)
+	if err != nil {
+		return
+	}
+	qty, err := decimal.NewFromString(raw.Qty)
+	if err != nil {
+		return
+	}
+
+	trade := &Trade{ID: raw.ID, Price: price, Qty: qty, Side: "buy", Time: raw.TradeTime}
+	bookSide := "ask"
+	if raw.BuyerIsMaker {
+		trade.Side = "sell"
+		bookSide = "bid"
+	}
+
+	tf.mu.Lock()
+	defer tf.mu.Unlock()
+
+	key := fillKey(bookSide, price)
+	if fill, ok := tf.pending[key]; ok {
+		fill.qty = fill.qty.Add(qty)
+		fill.time = time.Now().UnixMilli()
+	} else {
+		tf.pending[key] = &pendingFill{qty: qty, time: time.Now().UnixMilli()}
+	}
+	tf.append(flowEvent{trade: trade})
+}
+
+// Classify splits a level's quantity drop into executed and cancelled parts,
+// using up the traded quantity seen at that price, and records the reduction
+func (tf *TradeFlow) Classify(side string, price, diff decimal.Decimal) decimal.Decimal {
+	tf.mu.Lock()
+	defer tf.mu.Unlock()
+
+	now := time.Now().UnixMilli()
+	for key, fill := range tf.pending {
+		if now-fill.time > pendingFillTTL {
+			delete(tf.pending, key)
+		}
+	}
+
+	executed := decimal.Zero
+	key := fillKey(side, price)
+	if fill, ok := tf.pending[key]; ok {
+		executed = decimal.Min(fill.qty, diff)
+		fill.qty = fill.qty.Sub(executed)
+		if !fill.qty.IsPositive() {
+			delete(tf.pending, key)
+		}
+	}
+
+	tf.append(flowEvent{reduction: &QueueReduction{
+		Side:      side,
+		Price:     price,
+		Qty:       diff,
+		Executed:  executed,
+		Cancelled: diff.Sub(executed),
+		Time:      now,
+	}})
+	return executed
+}
+
+// Reset drops pending fills, e.g. when the book is rebuilt from a snapshot
+func (tf *TradeFlow) Reset() {
+	tf.mu.Lock()
+	defer tf.mu.Unlock()
+	tf.pending = make(map[string]*pendingFill)
+}
+
+// append adds an event; callers hold tf.mu
+func (tf *TradeFlow) append(event flowEvent) {
+	tf.seq++
+	event.seq = tf.seq
+	tf.events = append(tf.events, event)
+	if len(tf.events) > maxFlowEvents {
+		tf.events = tf.events[len(tf.events)-maxFlowEvents:]
+	}
+}
+
+// Seq returns the number of the latest event
+func (tf *TradeFlow) Seq() int64 {
+	tf.mu.Lock()
+	defer tf.mu.Unlock()
+	return tf.seq
+}
+
+// Since returns the trades and reductions recorded after seq, and the number
+// of the latest event to pass next time
+func (tf *TradeFlow) Since(seq int64) ([]*Trade, []*QueueReduction, int64) {
+	tf.mu.Lock()
+	defer tf.mu.Unlock()
+
+	var trades []*Trade
+	var reductions []*QueueReduction
+	for _, event := range tf.events {
+		if event.seq <= seq {
+			continue
+		}
+		if event.trade != nil {
+			trades = append(trades, event.trade)
+		} else {
+			reductions = append(reductions, event.reduction)
+		}
+	}
+	return trades, reductions, tf.seq
+}